@@ -7,13 +7,168 @@ const rateLimit = require("express-rate-limit");
 const Joi = require("joi");
 const path = require("path");
 const { v4: uuidv4 } = require("uuid");
-const axios = require("axios");
 const { ResourceManagementClient } = require("@azure/arm-resources");
 const { ClientSecretCredential } = require("@azure/identity");
+const {
+  ProvisioningJobStore,
+  STEP_STATUS,
+} = require("./services/provisioningJobs");
+const { ProvisioningHistoryStore } = require("./services/provisioningHistory");
+const { SecretRetirementStore } = require("./services/secretRetirements");
+const {
+  loadBlueprint,
+  listBlueprints,
+  sortCrossPermissions,
+  describeCrossPermission,
+  fillPlaceholders,
+  buildAppMarker,
+  isAppMarker,
+  APP_MARKER_PREFIX,
+} = require("./services/blueprints");
+const { PermissionCatalog } = require("./services/permissionCatalog");
+const { createSecretSink } = require("./services/secretSinks");
+const {
+  createProvisionerIdentity,
+  loadApiKeys,
+  isAuthorizedCaller,
+} = require("./services/identity");
+const { GraphClient, GRAPH_BETA_URL } = require("./services/graphClient");
+const { ReplicationWaiter } = require("./services/replication");
+const { filterQuery } = require("./services/odata");
+const {
+  flattenResourceAccess,
+  detectAppRegistrationDrift,
+  detectEnterpriseAppDrift,
+  desiredEnterpriseUris,
+} = require("./services/drift");
+const {
+  buildPermissionScope,
+  reconcileAppRegistration,
+  reconcileEnterpriseApplication,
+  reconcileEnterpriseServicePrincipal,
+} = require("./services/reconcile");
+const {
+  buildClaimsMappingPolicy,
+  toPem,
+  identityProviderEndpoints,
+  buildIdentityProviderMetadata,
+  buildServiceProviderConfiguration,
+} = require("./services/saml");
+const {
+  generateSelfSignedCertificate,
+  parseCertificate,
+} = require("./services/certificates");
+const {
+  findExpiringCredentials,
+  readCertificateFiles,
+  CredentialExpiryMonitor,
+} = require("./services/credentialMonitor");
 require("dotenv").config();
 
 const app = express();
 const port = process.env.PORT || 3000;
+const jobStore = new ProvisioningJobStore();
+const historyStore = new ProvisioningHistoryStore(
+  path.resolve(
+    process.env.PROVISIONING_HISTORY_DIR ||
+      path.join(__dirname, "data", "provisions")
+  )
+);
+// Replaced client secrets waiting for their grace period to end, removed again after a restart
+const secretRetirementStore = new SecretRetirementStore(
+  path.resolve(
+    process.env.SECRET_RETIREMENTS_DIR ||
+      path.join(__dirname, "data", "secret-retirements")
+  )
+);
+
+// Generated client secrets go to a secret sink; responses only carry a reference to them.
+// Plain-text .env files (envFile) are only used when SECRET_SINK asks for them
+const secretSinkType =
+  process.env.SECRET_SINK ||
+  (process.env.AZURE_KEY_VAULT_URL ? "keyVault" : "encryptedFile");
+const secretsDir = path.resolve(
+  process.env.SECRETS_DIR || path.join(__dirname, "data", "secrets")
+);
+
+/**
+ * Creates the configured secret sink for a provisioning run
+ * @param {Object} credential - Azure credential of the run, used by the Key Vault sink
+ * @returns {Object} Secret sink (see services/secretSinks.js)
+ */
+function buildSecretSink(credential) {
+  return createSecretSink(secretSinkType, {
+    vaultUrl: process.env.AZURE_KEY_VAULT_URL,
+    credential,
+    directory: secretsDir,
+    key: process.env.SECRET_ENCRYPTION_KEY,
+  });
+}
+
+// Fail at startup rather than on the first run if the secret sink is misconfigured
+buildSecretSink(null);
+
+// Server-held identity (environment, managed identity, workload identity or certificate) the
+// provisioner authenticates with; service principal credentials posted with a request are only
+// accepted, and then take precedence, when ALLOW_REQUEST_CREDENTIALS=true
+const provisionerIdentity = createProvisionerIdentity();
+// Callers must present one of these keys to act with the server identity; without any the
+// server identity is only used by the credential monitor
+const provisionerApiKeys = loadApiKeys();
+const allowRequestCredentials =
+  process.env.ALLOW_REQUEST_CREDENTIALS === "true";
+
+// Default lifetime of generated client secrets, and how long replaced secrets stay valid after a rotation
+const SECRET_LIFETIME_DAYS = parseInt(process.env.SECRET_LIFETIME_DAYS) || 365;
+const SECRET_GRACE_PERIOD_MINUTES = process.env.SECRET_GRACE_PERIOD_MINUTES
+  ? parseInt(process.env.SECRET_GRACE_PERIOD_MINUTES)
+  : 1440;
+// Replaced secrets stay valid for at most a week
+const MAX_SECRET_GRACE_PERIOD_MINUTES = 7 * 24 * 60;
+// Display name of the client secrets the provisioner generates; rotations only retire secrets
+// with this name (or the one earlier versions used), never secrets added by hand
+const PROVISIONED_SECRET_DISPLAY_NAME = "azureArmProvisioner: generated secret";
+const PROVISIONED_SECRET_DISPLAY_NAMES = new Set([
+  PROVISIONED_SECRET_DISPLAY_NAME,
+  "Auto-generated secret",
+]);
+
+// How long writes following the creation of an app or service principal wait for it to replicate
+const REPLICATION_TIMEOUT_SECONDS =
+  parseInt(process.env.REPLICATION_TIMEOUT_SECONDS) || 60;
+
+// New enterprise apps are published through Application Proxy unless ENABLE_APPLICATION_PROXY=false
+const applicationProxyEnabled =
+  process.env.ENABLE_APPLICATION_PROXY !== "false";
+// Gallery template of on-premises (Application Proxy) applications; publishing requires apps
+// created from it
+const ON_PREMISES_APPLICATION_TEMPLATE_ID =
+  "8adf8e6e-67b2-4cf2-a259-e3dc5476c621";
+
+// Credentials expiring within this many days are reported; the periodic check runs every
+// CREDENTIAL_CHECK_INTERVAL_HOURS (0 disables it) and can post to a webhook
+const CREDENTIAL_EXPIRY_DAYS =
+  parseInt(process.env.CREDENTIAL_EXPIRY_DAYS) || 30;
+const CREDENTIAL_CHECK_INTERVAL_HOURS = process.env
+  .CREDENTIAL_CHECK_INTERVAL_HOURS
+  ? parseFloat(process.env.CREDENTIAL_CHECK_INTERVAL_HOURS)
+  : 24;
+// Local certificates to monitor next to the managed apps, e.g. the bot.cert created by bot-setup.sh
+const monitoredCertificateFiles = (
+  process.env.MONITORED_CERTIFICATE_FILES || ""
+)
+  .split(",")
+  .map((file) => file.trim())
+  .filter(Boolean);
+
+const blueprintsDir = path.resolve(
+  process.env.BLUEPRINTS_DIR || path.join(__dirname, "blueprints")
+);
+const DEFAULT_BLUEPRINT = process.env.DEFAULT_BLUEPRINT || "mahi";
+const permissionCatalog = new PermissionCatalog();
+
+// Job events after which the run's history record is rewritten
+const HISTORY_EVENT_TYPES = new Set(["job", "step", "complete", "teardown"]);
 
 // Security middleware
 app.use(
@@ -30,13 +185,27 @@ app.use(
 );
 
 // Rate limiting
+// Event streams are long-lived and reconnect on their own, so they have a limit of their own
+const EVENT_STREAM_PATH = /^\/api\/provision\/[^/]+\/events$/;
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100,
   message: { error: "Too many requests from this IP, please try again later." },
+  skip: (req) => EVENT_STREAM_PATH.test(req.baseUrl + req.path),
+});
+const eventStreamLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 300,
+  message: {
+    error: "Too many event streams from this IP, please try again later.",
+  },
 });
 
 app.use("/api/", limiter);
+// Keep API keys sent in the query string of event streams out of the access log
+morgan.token("url", (req) =>
+  (req.originalUrl || req.url).replace(/([?&]apiKey=)[^&]*/gi, "$1[redacted]")
+);
 app.use(morgan("combined"));
 app.use(cors());
 app.use(express.json({ limit: "10mb" }));
@@ -67,73 +236,139 @@ const provisioningSchema = Joi.object({
     .max(20)
     .pattern(/^[a-zA-Z0-9]+$/)
     .default("myapp"),
-  clientId: Joi.string().guid().required(),
-  clientSecret: Joi.string().min(1).required(),
+  // Service principal of the run; without it the server identity is used
+  clientId: Joi.string()
+    .guid()
+    .when("clientSecret", { is: Joi.exist(), then: Joi.required() }),
+  clientSecret: Joi.string().min(1),
 
-  // App Registration Configuration with unique IDs
-  app1Name: Joi.string()
-    .min(1)
-    .max(50)
-    .pattern(/^[a-zA-Z0-9-_]+$/)
-    .default("mahi-connector-app"),
-  app1Id: Joi.string().valid("MAHI_CONNECTOR_APP").required(),
-  app1RedirectUri: Joi.string().uri().optional(),
-  app2Name: Joi.string()
-    .min(1)
-    .max(50)
-    .pattern(/^[a-zA-Z0-9-_]+$/)
-    .default("mahi-api-access"),
-  app2Id: Joi.string().valid("MAHI_API_ACCESS").required(),
-  app2RedirectUri: Joi.string().uri().optional(),
-  app3Name: Joi.string()
+  // Blueprint describing the app registrations and enterprise applications to provision:
+  // the name of a blueprint file in the blueprints directory, or an inline blueprint
+  blueprint: Joi.alternatives()
+    .try(Joi.string().pattern(/^[a-z0-9-]+$/), Joi.object())
+    .default(DEFAULT_BLUEPRINT),
+  // Per-app overrides of blueprint values, keyed by the app's logical ID (e.g. MAHI_CONNECTOR_APP)
+  overrides: Joi.object()
+    .pattern(
+      Joi.string(),
+      Joi.object({
+        name: Joi.string()
+          .min(1)
+          .max(50)
+          .pattern(/^[a-zA-Z0-9-_]+$/),
+        redirectUris: Joi.array().items(Joi.string().uri()).min(1),
+        internalUrl: Joi.string().uri(),
+        externalUrl: Joi.string().uri(),
+        // Application Proxy connector group, e.g. one per environment
+        connectorGroup: Joi.string().min(1).max(256),
+        // PEM certificate to upload instead of a generated one (credentialType certificate)
+        certificate: Joi.string().custom((value, helpers) => {
+          try {
+            parseCertificate(value);
+          } catch (error) {
+            return helpers.message(error.message);
+          }
+          return value;
+        }),
+      })
+    )
+    .default({}),
+
+  // Provisioning options
+  enableCrossPermissions: Joi.boolean().default(true),
+  generateSecrets: Joi.boolean().default(true),
+  // Credential generated for each app registration: a client secret or a certificate
+  credentialType: Joi.string().valid("secret", "certificate").default("secret"),
+  certificateLifetimeDays: Joi.number().integer().min(1).max(1095).default(365),
+  grantAdminConsent: Joi.boolean().default(true),
+  dryRun: Joi.boolean().default(false),
+  rollbackOnFailure: Joi.boolean().default(false),
+  // Update reused apps to match the blueprint instead of leaving them as they are
+  reconcile: Joi.boolean().default(false),
+  // Lifetime of generated secrets; reused apps get a new secret and the old ones the provisioner
+  // generated are removed after the grace period
+  secretLifetimeDays: Joi.number()
+    .integer()
     .min(1)
-    .max(50)
-    .pattern(/^[a-zA-Z0-9-_]+$/)
-    .default("mahi-teams-app"),
-  app3Id: Joi.string().valid("MAHI_TEAMS_APP").required(),
-  app3RedirectUri: Joi.string().uri().optional(),
-  enableCrossPermissions: Joi.string()
-    .valid("true", "false")
-    .default("true")
-    .custom((value) => value === "true"),
-  generateSecrets: Joi.string()
-    .valid("true", "false")
-    .default("true")
-    .custom((value) => value === "true"),
-  grantAdminConsent: Joi.string()
-    .valid("true", "false")
-    .default("true")
-    .custom((value) => value === "true"),
-
-  // Enterprise Application Configuration with unique IDs
-  enterprise1Name: Joi.string()
+    .max(730)
+    .default(SECRET_LIFETIME_DAYS),
+  secretGracePeriodMinutes: Joi.number()
+    .integer()
+    .min(0)
+    .max(MAX_SECRET_GRACE_PERIOD_MINUTES)
+    .default(SECRET_GRACE_PERIOD_MINUTES),
+});
+
+// Target and optional service principal credentials to tear down or resume an earlier provisioning run
+const runCredentialsSchema = Joi.object({
+  tenantId: Joi.string().guid().required(),
+  subscriptionId: Joi.string().guid().required(),
+  clientId: Joi.string()
+    .guid()
+    .when("clientSecret", { is: Joi.exist(), then: Joi.required() }),
+  clientSecret: Joi.string().min(1),
+});
+
+// Optional service principal credentials and options of a client secret rotation
+const secretRotationSchema = Joi.object({
+  tenantId: Joi.string().guid().required(),
+  clientId: Joi.string()
+    .guid()
+    .when("clientSecret", { is: Joi.exist(), then: Joi.required() }),
+  clientSecret: Joi.string().min(1),
+  lifetimeDays: Joi.number()
+    .integer()
     .min(1)
-    .max(50)
-    .pattern(/^[a-zA-Z0-9-_]+$/)
-    .default("app-proxy-saml-app"),
-  enterprise1Id: Joi.string().valid("APP_PROXY_SAML_APP").required(),
-  enterprise2Name: Joi.string()
+    .max(730)
+    .default(SECRET_LIFETIME_DAYS),
+  gracePeriodMinutes: Joi.number()
+    .integer()
+    .min(0)
+    .max(MAX_SECRET_GRACE_PERIOD_MINUTES)
+    .default(SECRET_GRACE_PERIOD_MINUTES),
+});
+
+// Options of the expiring credentials endpoint
+const expiringCredentialsQuerySchema = Joi.object({
+  days: Joi.number().integer().min(0).max(3650).default(CREDENTIAL_EXPIRY_DAYS),
+});
+
+// Blueprint and naming inputs the drift endpoint builds the desired state from
+const driftQuerySchema = Joi.object({
+  blueprint: Joi.string()
+    .pattern(/^[a-z0-9-]+$/)
+    .default(DEFAULT_BLUEPRINT),
+  environment: Joi.string().valid("dev", "test", "prod").default("dev"),
+  applicationPrefix: Joi.string()
     .min(1)
-    .max(50)
-    .pattern(/^[a-zA-Z0-9-_]+$/)
-    .default("chat-proxy-app"),
-  enterprise2Id: Joi.string().valid("CHAT_PROXY_APP").required(),
-
-  // Application Proxy Configuration
-  enterprise1InternalUrl: Joi.string().uri().optional(),
-  enterprise1ExternalUrl: Joi.string().uri().optional(),
-  enterprise2InternalUrl: Joi.string().uri().optional(),
-  enterprise2ExternalUrl: Joi.string().uri().optional(),
+    .max(20)
+    .pattern(/^[a-zA-Z0-9]+$/)
+    .default("myapp"),
+});
+
+// Options of the SAML metadata export: json returns IdP and SP configuration, xml only the IdP metadata
+const samlMetadataQuerySchema = Joi.object({
+  format: Joi.string().valid("json", "xml").default("json"),
+});
+
+// Filters accepted by the provisioning history list endpoint
+const historyQuerySchema = Joi.object({
+  tenantId: Joi.string().guid(),
+  environment: Joi.string().valid("dev", "test", "prod"),
+  resourceGroup: Joi.string().min(1).max(90),
+  status: Joi.string().valid("pending", "running", "succeeded", "failed"),
+  limit: Joi.number().integer().min(1).max(500).default(50),
 });
 
 /**
- * Validation middleware that validates incoming request bodies against a Joi schema
+ * Validation middleware that validates incoming request bodies (or another request property) against a Joi schema
  * @param {Joi.ObjectSchema} schema - The Joi schema to validate against
+ * @param {string} property - Request property to validate (body or query)
  * @returns {Function} Express middleware function
  */
-function validateRequest(schema) {
+function validateRequest(schema, property = "body") {
   return (req, res, next) => {
-    const { error, value } = schema.validate(req.body);
+    const { error, value } = schema.validate(req[property]);
     if (error) {
       return res.status(400).json({
         success: false,
@@ -149,8 +384,139 @@ function validateRequest(schema) {
   };
 }
 
+/**
+ * Rejects callers that may not act with the server identity: 403 while no API keys are configured,
+ * 401 if the request does not carry one of them (Authorization: Bearer <key> or X-API-Key)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} [queryKey] - Key from the query string, where the client cannot set headers
+ * @returns {boolean} Whether a 401 or 403 response was sent
+ */
+function rejectUnauthorizedCaller(req, res, queryKey) {
+  if (provisionerApiKeys.length === 0) {
+    res.status(403).json({
+      success: false,
+      error: "Forbidden",
+      message:
+        "The server identity is not available to callers - configure PROVISIONER_API_KEYS to enable it",
+    });
+    return true;
+  }
+  if (!isAuthorizedCaller(req.headers, provisionerApiKeys, queryKey)) {
+    res.set("WWW-Authenticate", "Bearer");
+    res.status(401).json({
+      success: false,
+      error: "Unauthorized",
+      message:
+        "A valid API key is required to use the server identity (Authorization: Bearer <key>)",
+    });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Middleware for endpoints that only run with the server identity, letting through callers with a
+ * valid API key (see rejectUnauthorizedCaller)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function requireApiKey(req, res, next) {
+  if (!rejectUnauthorizedCaller(req, res)) {
+    next();
+  }
+}
+
+/**
+ * Middleware like requireApiKey that also takes the key from the apiKey query parameter,
+ * as EventSource cannot send headers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function requireStreamApiKey(req, res, next) {
+  if (!rejectUnauthorizedCaller(req, res, req.query.apiKey)) {
+    next();
+  }
+}
+
+/**
+ * Middleware that picks the identity a request runs with and sets it as req.identity
+ * ({ type, tenantId, clientId, credential }): the service principal in the request if
+ * ALLOW_REQUEST_CREDENTIALS allows it, otherwise the server identity. Runs after validateRequest
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function authenticateRequest(req, res, next) {
+  const { tenantId, clientId, clientSecret } = req.validatedData;
+
+  if (clientSecret) {
+    if (!allowRequestCredentials) {
+      return res.status(403).json({
+        success: false,
+        error: "Forbidden",
+        message:
+          "Service principal credentials in requests are disabled - set ALLOW_REQUEST_CREDENTIALS=true to accept them",
+      });
+    }
+    req.identity = {
+      type: "request",
+      tenantId,
+      clientId,
+      credential: new ClientSecretCredential(tenantId, clientId, clientSecret),
+    };
+    return next();
+  }
+
+  if (!provisionerIdentity) {
+    if (!allowRequestCredentials) {
+      return res.status(403).json({
+        success: false,
+        error: "Forbidden",
+        message:
+          "No server identity is configured and service principal credentials in requests are disabled - configure one or set ALLOW_REQUEST_CREDENTIALS=true",
+      });
+    }
+    return res.status(400).json({
+      success: false,
+      error: "Validation failed",
+      details: [
+        {
+          field: "clientSecret",
+          message:
+            '"clientId" and "clientSecret" are required - no server identity is configured',
+        },
+      ],
+    });
+  }
+  if (rejectUnauthorizedCaller(req, res)) {
+    return;
+  }
+  if (
+    provisionerIdentity.tenantId &&
+    provisionerIdentity.tenantId !== tenantId
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: "Validation failed",
+      details: [
+        {
+          field: "tenantId",
+          message: '"tenantId" must be the tenant of the server identity',
+        },
+      ],
+    });
+  }
+
+  req.identity = provisionerIdentity;
+  next();
+}
+
 /**
  * Centralized logging utility for consistent log formatting across the application
+ * Entries carrying a requestId are also forwarded to that provisioning job's event stream
  * @param {string} level - Log level (info, error, warn)
  * @param {string} message - Log message
  * @param {Object} data - Additional data to include in log
@@ -163,8 +529,53 @@ function log(level, message, data = {}) {
     ...data,
   };
   console.log(JSON.stringify(logEntry));
+
+  if (data.requestId) {
+    jobStore.recordEvent(data.requestId, "log", logEntry);
+  }
+}
+
+/**
+ * Builds the persistent history record of a provisioning job
+ * Request inputs are stored without the submitted client secret
+ * @param {Object} job - Provisioning job from the job store
+ * @returns {Object} History record for the run
+ */
+function buildHistoryRecord(job) {
+  return {
+    requestId: job.requestId,
+    status: job.status,
+    requester: job.requester,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    duration: job.duration,
+    inputs: job.inputs,
+    steps: job.steps,
+    results: job.provisioningResults,
+    summary: job.summary,
+    errors: job.provisioningResults?.errors || (job.error ? [job.error] : []),
+    warnings: job.provisioningResults?.warnings || [],
+    error: job.error,
+    createdResources: job.createdResources,
+    teardown: job.teardown,
+    attempts: job.attempts,
+  };
 }
 
+jobStore.on("event", (requestId, event) => {
+  if (!HISTORY_EVENT_TYPES.has(event.type)) return;
+
+  historyStore
+    .save(buildHistoryRecord(jobStore.getJob(requestId)))
+    .catch((error) =>
+      log("error", "Failed to save provisioning history", {
+        requestId,
+        error: error.message,
+      })
+    );
+});
+
 /**
  * Azure Resource Manager class for managing Azure Resource Groups
  * Handles authentication and resource group creation operations
@@ -176,29 +587,49 @@ class AzureResourceManager {
   }
 
   /**
-   * Initializes the Azure Resource Manager client with service principal credentials
-   * @param {string} tenantId - Azure AD tenant ID
+   * Initializes the Azure Resource Manager client
    * @param {string} subscriptionId - Azure subscription ID
-   * @param {string} clientId - Service principal client ID
-   * @param {string} clientSecret - Service principal client secret
+   * @param {Object} credential - Azure TokenCredential (e.g. the server identity or a ClientSecretCredential)
    */
-  async initialize(tenantId, subscriptionId, clientId, clientSecret) {
-    this.credential = new ClientSecretCredential(
-      tenantId,
-      clientId,
-      clientSecret
-    );
+  async initialize(subscriptionId, credential) {
+    this.credential = credential;
     this.client = new ResourceManagementClient(this.credential, subscriptionId);
   }
 
+  /**
+   * Checks if a resource group with the given name already exists in the subscription
+   * @param {string} resourceGroupName - Name of the resource group to look up
+   * @returns {Object|null} Existing resource group details or null if not found
+   */
+  async checkExistingResourceGroup(resourceGroupName) {
+    try {
+      const result = await this.client.resourceGroups.get(resourceGroupName);
+
+      return {
+        name: result.name,
+        location: result.location,
+        id: result.id,
+        provisioningState: result.properties?.provisioningState,
+      };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      throw new Error(`Failed to look up resource group: ${error.message}`);
+    }
+  }
+
   /**
    * Creates or updates an Azure Resource Group in the specified location
    * @param {string} resourceGroupName - Name of the resource group to create
    * @param {string} location - Azure region where the resource group should be created
-   * @returns {Object} Created resource group details including name, location, and ID
+   * @returns {Object} Created resource group details including name, location, ID, and whether it already existed
    */
   async createResourceGroup(resourceGroupName, location) {
     try {
+      const existingResourceGroup =
+        await this.checkExistingResourceGroup(resourceGroupName);
+
       const resourceGroup = {
         location: location,
         tags: {
@@ -218,11 +649,42 @@ class AzureResourceManager {
         location: result.location,
         id: result.id,
         provisioningState: result.provisioningState,
+        isExisting: !!existingResourceGroup,
       };
     } catch (error) {
       throw new Error(`Failed to create resource group: ${error.message}`);
     }
   }
+
+  /**
+   * Deletes a resource group and everything in it by its ARM resource ID, waiting for the deletion
+   * to finish; a same-named resource group in another subscription is never touched
+   * @param {string} resourceId - e.g. /subscriptions/<id>/resourceGroups/<name>
+   * @returns {boolean} True if deleted, false if the resource group no longer existed
+   */
+  async deleteResourceGroupById(resourceId) {
+    const match = /^\/subscriptions\/([^/]+)\/resourceGroups\/([^/]+)$/i.exec(
+      resourceId || ""
+    );
+    if (!match) {
+      throw new Error(`Invalid resource group ID: ${resourceId}`);
+    }
+    const [, subscriptionId, resourceGroupName] = match;
+
+    try {
+      const client = new ResourceManagementClient(
+        this.credential,
+        subscriptionId
+      );
+      await client.resourceGroups.beginDeleteAndWait(resourceGroupName);
+      return true;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return false;
+      }
+      throw new Error(`Failed to delete resource group: ${error.message}`);
+    }
+  }
 }
 
 /**
@@ -230,34 +692,161 @@ class AzureResourceManager {
  * Handles app registrations, enterprise applications, API permissions, and admin consent
  */
 class GraphApiService {
-  constructor() {
-    this.accessToken = null;
+  /**
+   * @param {Object} options - Service options
+   * @param {Function} options.onProgress - Optional callback invoked as (type, details) for fine-grained progress events
+   */
+  constructor({ onProgress = null, secretSink = null } = {}) {
+    this.graph = null;
+    this.tenantId = null;
     this.credential = null;
+    this.onProgress = onProgress;
+    this.secretSink = secretSink;
+    this.createdResources = [];
+    this.replication = new ReplicationWaiter({
+      timeoutMs: REPLICATION_TIMEOUT_SECONDS * 1000,
+      log,
+    });
+  }
+
+  /**
+   * Records a directory object created by this service so a failed run can be rolled back
+   * Reported to the progress listener as a resourceCreated event
+   * @param {Object} resource - Created resource ({ type, id, appId, name, uniqueId })
+   */
+  trackCreatedResource(resource) {
+    this.createdResources.push(resource);
+    this.reportProgress("resourceCreated", resource);
+  }
+
+  /**
+   * Runs a write against an object, retrying it while the object has not replicated yet if this
+   * service created it; writes to objects that existed before fail right away
+   * @param {string} objectId - Object ID the write targets or references
+   * @param {string} description - What is written, used in log messages
+   * @param {Function} write - Async function performing the write
+   * @returns {*} The write's result
+   */
+  async writeAfterCreation(objectId, description, write) {
+    if (!this.isCreatedResource(objectId)) {
+      return write();
+    }
+    return this.replication.retry(description, write, { expectCreated: true });
+  }
+
+  /**
+   * Sends a Graph batch, sending requests that failed because an object has not replicated yet
+   * again if one of the given objects was created by this service
+   * @param {Array} objectIds - Object IDs the batch targets or references
+   * @param {string} description - What is written, used in log messages
+   * @param {Array} requests - Batch requests (see GraphClient.batch)
+   * @returns {Array} One result per request, in the given order
+   */
+  async batchAfterCreation(objectIds, description, requests) {
+    if (!objectIds.some((objectId) => this.isCreatedResource(objectId))) {
+      return this.graph.batch(requests);
+    }
+    return this.replication.retryBatch(
+      description,
+      (items) => this.graph.batch(items),
+      requests,
+      { expectCreated: true }
+    );
+  }
+
+  /**
+   * Tells whether an object was created by this service
+   * @param {string} objectId - Object ID
+   * @returns {boolean} True if the object is among the created resources
+   */
+  isCreatedResource(objectId) {
+    return this.createdResources.some((resource) => resource.id === objectId);
+  }
+
+  /**
+   * Reports a fine-grained progress event (e.g. a consent grant or permission patch) to the listener, if any
+   * @param {string} type - Progress event type (consentGrant, crossPermission)
+   * @param {Object} details - Event details
+   */
+  reportProgress(type, details) {
+    if (this.onProgress) {
+      this.onProgress(type, details);
+    }
   }
 
   /**
-   * Initializes the Graph API service with service principal credentials and obtains access token
+   * Initializes the Graph API service with a credential and obtains a first access token
+   * All Graph calls go through the shared transport (services/graphClient.js), which renews the
+   * token, retries throttled requests and normalizes Graph errors
    * @param {string} tenantId - Azure AD tenant ID
-   * @param {string} clientId - Service principal client ID
-   * @param {string} clientSecret - Service principal client secret
+   * @param {Object} credential - Azure TokenCredential (e.g. the server identity or a ClientSecretCredential)
    */
-  async initialize(tenantId, clientId, clientSecret) {
+  async initialize(tenantId, credential) {
     try {
-      this.credential = new ClientSecretCredential(
-        tenantId,
-        clientId,
-        clientSecret
-      );
-      const tokenResponse = await this.credential.getToken(
-        "https://graph.microsoft.com/.default"
-      );
-      this.accessToken = tokenResponse.token;
+      this.tenantId = tenantId;
+      this.credential = credential;
+      this.graph = new GraphClient({ credential, log });
+      // Application Proxy publishing is only available on the beta endpoint
+      this.graphBeta = new GraphClient({
+        credential,
+        log,
+        baseUrl: GRAPH_BETA_URL,
+      });
+      await this.graph.getAccessToken();
       console.log("Graph API service initialized successfully");
     } catch (error) {
       throw new Error(`Graph API initialization failed: ${error.message}`);
     }
   }
 
+  /**
+   * Finds the application provisioned earlier for a blueprint entry by its marker tag
+   * Apps are matched by the tag only, so renamed apps are still reused and unrelated apps with the
+   * same display name are never taken over
+   * @param {string} marker - Marker tag (see buildAppMarker)
+   * @returns {Object|null} Existing application object or null if not found
+   */
+  async findManagedApplication(marker) {
+    try {
+      const response = await this.graph.get(
+        `/applications?${filterQuery`tags/any(t:t eq ${marker})`}`
+      );
+
+      if (response.data.value.length > 1) {
+        console.warn(
+          `${response.data.value.length} applications are tagged ${marker}, using the first one`
+        );
+      }
+      return response.data.value[0] || null;
+    } catch (error) {
+      throw new Error(
+        `Failed to look up application ${marker}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Finds the application to reuse for a blueprint entry (see findManagedApplication)
+   * An untagged application with the entry's display name is refused rather than duplicated:
+   * it may belong to someone else, or predate the marker and need tagging to be reused
+   * @param {Object} config - App or enterprise app config (see buildProvisioningConfigs)
+   * @returns {Object|null} The tagged application, or null if a new one can be created
+   */
+  async findReusableApplication(config) {
+    const existingApp = await this.findManagedApplication(config.marker);
+    if (existingApp) {
+      return existingApp;
+    }
+
+    const namesake = await this.checkExistingApplication(config.name);
+    if (namesake) {
+      throw new Error(
+        `Application ${config.name} (${namesake.appId}) already exists but was not provisioned for ${config.uniqueId} - add the tag ${config.marker} to reuse it, or choose another application prefix`
+      );
+    }
+    return null;
+  }
+
   /**
    * Checks if an application with the given display name already exists in Azure AD
    * @param {string} displayName - Display name of the application to search for
@@ -265,14 +854,8 @@ class GraphApiService {
    */
   async checkExistingApplication(displayName) {
     try {
-      const response = await axios.get(
-        `https://graph.microsoft.com/v1.0/applications?$filter=displayName eq '${displayName}'`,
-        {
-          headers: {
-            Authorization: `Bearer ${this.accessToken}`,
-            "Content-Type": "application/json",
-          },
-        }
+      const response = await this.graph.get(
+        `/applications?${filterQuery`displayName eq ${displayName}`}`
       );
 
       return response.data.value.length > 0 ? response.data.value[0] : null;
@@ -289,14 +872,8 @@ class GraphApiService {
    */
   async checkExistingServicePrincipal(appId) {
     try {
-      const response = await axios.get(
-        `https://graph.microsoft.com/v1.0/servicePrincipals?$filter=appId eq '${appId}'`,
-        {
-          headers: {
-            Authorization: `Bearer ${this.accessToken}`,
-            "Content-Type": "application/json",
-          },
-        }
+      const response = await this.graph.get(
+        `/servicePrincipals?${filterQuery`appId eq ${appId}`}`
       );
 
       return response.data.value.length > 0 ? response.data.value[0] : null;
@@ -307,55 +884,91 @@ class GraphApiService {
   }
 
   /**
-   * Returns specific Microsoft Graph API permissions based on app unique ID
-   * App1 (MAHI_CONNECTOR_APP) gets advanced permissions for role management, user management, and organization access
-   * @param {string} appUniqueId - Unique identifier for the application
-   * @returns {Array} Array of required resource access permissions
+   * Gets the service principal of a resource API with the app roles and delegated scopes it exposes
+   * @param {string} resourceAppId - Application ID of the resource API (e.g. Microsoft Graph)
+   * @returns {Object|null} Service principal or null if the API has none in the tenant
    */
-  getAppPermissionsByUniqueId(appUniqueId) {
-    if (appUniqueId === "MAHI_CONNECTOR_APP") {
-      return [
-        {
-          resourceAppId: "00000003-0000-0000-c000-000000000000", // Microsoft Graph
-          resourceAccess: [
-            { id: "9e3f62cf-ca93-4989-b6ce-bf83c28f9fe8", type: "Role" }, // RoleManagement.ReadWrite.Directory
-            { id: "c79f8feb-a9db-4090-85f9-90d820caa0eb", type: "Role" }, // Organization.Read.All
-            { id: "09850681-111b-4a89-9bed-3f2cae46d706", type: "Role" }, // User.Invite.All
-            { id: "6e472fd1-ad78-48da-a0f0-97ab2c6b769e", type: "Role" }, // IdentityRiskEvent.Read.All
-            { id: "df021288-bdef-4463-88db-98f22de89214", type: "Role" }, // User.Read.All
-            { id: "5b567255-7703-4780-807c-7be8301ae99b", type: "Role" }, // Group.Read.All
-            { id: "62a82d76-70ea-41e2-9197-370581804d09", type: "Role" }, // Group.ReadWrite.All
-            { id: "9a5d68dd-52b0-4cc2-bd40-abcf44ac3a30", type: "Role" }, // Application.Read.All
-            { id: "e1fe6dd8-ba31-4d61-89e7-88639da4683d", type: "Scope" }, // User.Read (delegated)
-          ],
-        },
-      ];
+  async getResourceServicePrincipal(resourceAppId) {
+    try {
+      const response = await this.graph.get(
+        `/servicePrincipals?${filterQuery`appId eq ${resourceAppId}`}&$select=id,appId,displayName,appRoles,oauth2PermissionScopes`
+      );
+
+      return response.data.value.length > 0 ? response.data.value[0] : null;
+    } catch (error) {
+      throw new Error(
+        `Failed to load permissions of resource API ${resourceAppId}: ${
+          error.message
+        }`
+      );
     }
+  }
 
-    // Default permissions for other app registrations
-    return [
-      {
-        resourceAppId: "00000003-0000-0000-c000-000000000000",
-        resourceAccess: [
-          {
-            id: "e1fe6dd8-ba31-4d61-89e7-88639da4683d", // User.Read
-            type: "Scope",
-          },
-        ],
-      },
-    ];
+  /**
+   * Gets the service principals of several resource APIs in one Graph batch
+   * @param {Array} resourceAppIds - Application IDs of the resource APIs
+   * @returns {Map} Service principal (with appRoles and oauth2PermissionScopes) by app ID; APIs
+   *   without a service principal in the tenant are missing from the map
+   */
+  async getResourceServicePrincipals(resourceAppIds) {
+    const appIds = [...new Set(resourceAppIds)];
+    const responses = await this.graph.batch(
+      appIds.map((appId) => ({
+        method: "GET",
+        url: `/servicePrincipals?${filterQuery`appId eq ${appId}`}&$select=id,appId,displayName,appRoles,oauth2PermissionScopes`,
+      }))
+    );
+
+    const resources = new Map();
+    appIds.forEach((appId, index) => {
+      if (responses[index].error) {
+        throw new Error(
+          `Failed to load permissions of resource API ${appId}: ${responses[index].error.message}`
+        );
+      }
+      const servicePrincipal = responses[index].body.value[0];
+      if (servicePrincipal) {
+        resources.set(appId, servicePrincipal);
+      }
+    });
+    return resources;
+  }
+
+  /**
+   * Resolves the named permissions of app registration configurations to permission IDs
+   * Sets requiredResourceAccess on each configuration; resource API definitions are cached per tenant
+   * @param {Array} appConfigs - App registration configurations with blueprint permissions
+   * @returns {Array} Errors ({ uniqueId, message }) for permission names the resource APIs do not expose
+   */
+  async resolveAppPermissions(appConfigs) {
+    const errors = [];
+
+    for (const config of appConfigs) {
+      const { requiredResourceAccess, errors: configErrors } =
+        await permissionCatalog.resolve(
+          this.tenantId,
+          config.permissions,
+          (resourceAppId) => this.getResourceServicePrincipal(resourceAppId)
+        );
+      config.requiredResourceAccess = requiredResourceAccess;
+      configErrors.forEach((message) =>
+        errors.push({ uniqueId: config.uniqueId, message })
+      );
+    }
+
+    return errors;
   }
 
   /**
    * Creates an Azure AD App Registration with specified configuration
    * Handles both new creation and reuse of existing applications
-   * @param {Object} config - Configuration object containing app details, scopes, type, and redirect URIs
+   * @param {Object} config - Configuration object containing app details, role, scopes, type, permissions and redirect URIs
    * @returns {Object} Created or existing app registration details including client secret if generated
    */
   async createAppRegistration(config) {
     try {
       // Check if application already exists
-      const existingApp = await this.checkExistingApplication(config.name);
+      const existingApp = await this.findReusableApplication(config);
       if (existingApp) {
         console.log(
           `App registration '${config.name}' already exists, using existing one`
@@ -365,64 +978,51 @@ class GraphApiService {
         const existingServicePrincipal =
           await this.checkExistingServicePrincipal(existingApp.appId);
 
-        // Create a new client secret for the existing app (if requested)
-        let clientSecret;
-        if (config.generateSecret !== false) {
-          try {
-            clientSecret = await this.createClientSecret(existingApp.id);
-          } catch (error) {
-            console.warn(
-              `Could not create new secret for existing app: ${error.message}`
-            );
-            clientSecret = {
-              secretText:
-                "Unable to generate new secret - use existing or create manually",
-            };
-          }
-        } else {
-          clientSecret = {
-            secretText:
-              "Secret generation skipped - use existing or create manually",
-          };
-        }
+        const { secretReference, retiredSecrets, certificate } =
+          await this.createAppCredential(existingApp, config, true);
 
         return {
           appId: existingApp.appId,
           objectId: existingApp.id,
           displayName: existingApp.displayName,
-          clientSecret: clientSecret.secretText,
+          credentialType: config.credentialType,
+          secretReference,
+          retiredSecrets,
+          certificate,
           servicePrincipalId: existingServicePrincipal?.id || "Not found",
           redirectUris: config.redirectUris,
           type: config.type,
+          role: config.role,
           uniqueId: config.uniqueId,
           isExisting: true,
-          adminConsentGranted: false, // Assume not granted for existing apps
+          adminConsentGranted: false, // Set from the drift check of the run
+          delegatedConsent: [],
         };
       }
 
-      // Create new application with specific permissions based on app name
+      // Create new application with the permissions its blueprint entry declares
       const applicationData = {
         displayName: config.name,
         signInAudience: "AzureADMyOrg",
+        tags: [config.marker],
         api: {
           requestedAccessTokenVersion: 2,
-          oauth2PermissionScopes: config.scopes.map((scope) => ({
-            id: this.generateGuid(),
-            adminConsentDescription: `Allow the application to ${scope}`,
-            adminConsentDisplayName: scope,
-            userConsentDescription: `Allow the application to ${scope} on your behalf`,
-            userConsentDisplayName: scope,
-            value: scope,
-            type: "User",
-            isEnabled: true,
-          })),
+          oauth2PermissionScopes: config.scopes.map((scope) =>
+            buildPermissionScope(scope, this.generateGuid())
+          ),
         },
+        appRoles: config.appRoles.map((role) => ({
+          id: this.generateGuid(),
+          allowedMemberTypes: role.allowedMemberTypes,
+          description:
+            role.description || `Allow the application to ${role.value}`,
+          displayName: role.displayName || role.value,
+          value: role.value,
+          isEnabled: true,
+        })),
       };
 
-      // Set specific permissions based on app unique ID
-      applicationData.requiredResourceAccess = this.getAppPermissionsByUniqueId(
-        config.uniqueId
-      );
+      applicationData.requiredResourceAccess = config.requiredResourceAccess;
 
       // Configure redirect URIs based on app type
       if (config.type === "web") {
@@ -439,68 +1039,68 @@ class GraphApiService {
         };
       }
 
-      // Create the application
-      const createAppResponse = await axios.post(
-        "https://graph.microsoft.com/v1.0/applications",
+      // Create the application; it carries the marker, so an unconfirmed create is found again
+      const createAppResponse = await this.graph.create(
+        "/applications",
         applicationData,
-        {
-          headers: {
-            Authorization: `Bearer ${this.accessToken}`,
-            "Content-Type": "application/json",
-          },
-        }
+        () => this.findManagedApplication(config.marker)
       );
 
       const createdApp = createAppResponse.data;
+      this.trackCreatedResource({
+        type: "application",
+        id: createdApp.id,
+        appId: createdApp.appId,
+        name: createdApp.displayName,
+        uniqueId: config.uniqueId,
+      });
+      await this.waitForApplication(createdApp.id);
 
-      // For App2 (MAHI_API_ACCESS): Set Application ID URI
-      if (config.uniqueId === "MAHI_API_ACCESS") {
+      // API apps expose their scopes under an Application ID URI
+      if (config.role === "api") {
         await this.setApplicationIdUri(createdApp.id, createdApp.appId);
       }
 
-      // Create client secret only if requested
-      let clientSecret = null;
-      if (config.generateSecret !== false) {
-        try {
-          clientSecret = await this.createClientSecret(createdApp.id);
-        } catch (error) {
-          console.warn(`Could not create client secret: ${error.message}`);
-          clientSecret = {
-            secretText: "Secret generation failed - create manually if needed",
-          };
-        }
-      } else {
-        clientSecret = {
-          secretText: "Secret generation skipped - create manually if needed",
-        };
-      }
+      // Create the app's credential only if requested
+      const { secretReference, certificate } = await this.createAppCredential(
+        createdApp,
+        config,
+        false
+      );
 
       // Create service principal
       const servicePrincipalData = {
         appId: createdApp.appId,
       };
 
-      const createSpResponse = await axios.post(
-        "https://graph.microsoft.com/v1.0/servicePrincipals",
-        servicePrincipalData,
-        {
-          headers: {
-            Authorization: `Bearer ${this.accessToken}`,
-            "Content-Type": "application/json",
-          },
-        }
+      const createSpResponse = await this.writeAfterCreation(
+        createdApp.id,
+        `service principal of ${createdApp.displayName}`,
+        () =>
+          this.graph.create("/servicePrincipals", servicePrincipalData, () =>
+            this.checkExistingServicePrincipal(createdApp.appId)
+          )
       );
 
       const servicePrincipal = createSpResponse.data;
+      this.trackCreatedResource({
+        type: "servicePrincipal",
+        id: servicePrincipal.id,
+        appId: createdApp.appId,
+        name: createdApp.displayName,
+        uniqueId: config.uniqueId,
+      });
 
       // Grant admin consent if requested and permissions exist
       let adminConsentGranted = false;
+      let delegatedConsent = [];
       if (config.grantAdminConsent && applicationData.requiredResourceAccess) {
         try {
-          adminConsentGranted = await this.grantAdminConsent(
-            servicePrincipal.id,
-            applicationData.requiredResourceAccess
-          );
+          ({ granted: adminConsentGranted, delegatedConsent } =
+            await this.grantAdminConsent(
+              servicePrincipal.id,
+              applicationData.requiredResourceAccess
+            ));
         } catch (error) {
           console.warn(`Could not grant admin consent: ${error.message}`);
         }
@@ -510,31 +1110,49 @@ class GraphApiService {
         appId: createdApp.appId,
         objectId: createdApp.id,
         displayName: createdApp.displayName,
-        clientSecret: clientSecret.secretText,
+        credentialType: config.credentialType,
+        secretReference,
+        certificate,
         servicePrincipalId: servicePrincipal.id,
         redirectUris: config.redirectUris,
         type: config.type,
+        role: config.role,
         uniqueId: config.uniqueId,
         isExisting: false,
         adminConsentGranted,
+        delegatedConsent,
         applicationIdUri:
-          config.uniqueId === "MAHI_API_ACCESS"
-            ? `api://${createdApp.appId}/api`
-            : null,
+          config.role === "api" ? `api://${createdApp.appId}/api` : null,
       };
     } catch (error) {
-      console.error(
-        "Failed to create app registration:",
-        error.response?.data || error.message
-      );
-      throw new Error(
-        `Failed to create app registration: ${
-          error.response?.data?.error?.message || error.message
-        }`
-      );
+      console.error("Failed to create app registration:", error.message);
+      throw new Error(`Failed to create app registration: ${error.message}`);
     }
   }
 
+  /**
+   * Waits until a newly created application can be read
+   * @param {string} applicationId - Object ID of the application
+   */
+  async waitForApplication(applicationId) {
+    await this.replication.waitUntilReadable(
+      `Application ${applicationId}`,
+      () => this.graph.get(`/applications/${applicationId}?$select=id`)
+    );
+  }
+
+  /**
+   * Waits until a newly created service principal can be read
+   * @param {string} servicePrincipalId - Object ID of the service principal
+   */
+  async waitForServicePrincipal(servicePrincipalId) {
+    await this.replication.waitUntilReadable(
+      `Service principal ${servicePrincipalId}`,
+      () =>
+        this.graph.get(`/servicePrincipals/${servicePrincipalId}?$select=id`)
+    );
+  }
+
   /**
    * Sets the Application ID URI for an application (required for API applications)
    * @param {string} applicationId - Object ID of the application
@@ -545,17 +1163,13 @@ class GraphApiService {
     try {
       const applicationIdUri = `api://${appId}/api`;
 
-      await axios.patch(
-        `https://graph.microsoft.com/v1.0/applications/${applicationId}`,
-        {
-          identifierUris: [applicationIdUri],
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${this.accessToken}`,
-            "Content-Type": "application/json",
-          },
-        }
+      await this.writeAfterCreation(
+        applicationId,
+        `Application ID URI of ${applicationId}`,
+        () =>
+          this.graph.patch(`/applications/${applicationId}`, {
+            identifierUris: [applicationIdUri],
+          })
       );
 
       console.log(`Set Application ID URI: ${applicationIdUri}`);
@@ -567,73 +1181,114 @@ class GraphApiService {
   }
 
   /**
-   * Grants admin consent for application permissions (role-based permissions)
-   * Includes retry logic and better error handling for permission assignment
+   * Grants admin consent for application permissions (app role assignments) and delegated
+   * permissions (tenant-wide oauth2PermissionGrants)
+   * Resource lookups and app role assignments go out as Graph batches instead of one call at a time;
+   * a new service principal is polled until it has replicated before anything is granted to it
    * @param {string} servicePrincipalId - Object ID of the service principal
    * @param {Array} requiredResourceAccess - Array of required resource access permissions
-   * @returns {boolean} True if at least one permission was granted successfully
+   * @returns {Object} { granted, delegatedConsent } - granted is true if at least one permission was
+   *   granted successfully, delegatedConsent holds the outcome per resource API (see grantDelegatedConsent)
    */
   async grantAdminConsent(servicePrincipalId, requiredResourceAccess) {
     try {
       let consentGranted = false;
 
-      // Wait a bit for service principal to be fully created
-      await new Promise((resolve) => setTimeout(resolve, 2000));
-
-      for (const resource of requiredResourceAccess) {
-        const resourceServicePrincipalId =
-          await this.getServicePrincipalIdByAppId(resource.resourceAppId);
-
-        for (const permission of resource.resourceAccess) {
-          if (permission.type === "Role") {
-            // Grant application permissions (admin consent required)
-            try {
-              const appRoleAssignment = {
-                principalId: servicePrincipalId,
-                resourceId: resourceServicePrincipalId,
-                appRoleId: permission.id,
-              };
-
-              await axios.post(
-                `https://graph.microsoft.com/v1.0/servicePrincipals/${servicePrincipalId}/appRoleAssignments`,
-                appRoleAssignment,
-                {
-                  headers: {
-                    Authorization: `Bearer ${this.accessToken}`,
-                    "Content-Type": "application/json",
-                  },
-                }
-              );
-
-              consentGranted = true;
-              console.log(
-                `✅ Granted admin consent for permission: ${permission.id}`
-              );
-
-              // Small delay between permission grants
-              await new Promise((resolve) => setTimeout(resolve, 500));
-            } catch (error) {
-              const errorMessage =
-                error.response?.data?.error?.message || error.message;
-              console.warn(
-                `❌ Could not grant permission ${permission.id}: ${errorMessage}`
-              );
-
-              // Check if it's a "Permission being assigned already exists" error
-              if (
-                errorMessage.includes("already exists") ||
-                errorMessage.includes(
-                  "Permission being assigned already exists"
-                )
-              ) {
-                console.log(
-                  `ℹ️ Permission ${permission.id} already exists - considering as granted`
-                );
-                consentGranted = true;
-              }
-            }
-          }
+      await this.waitForServicePrincipal(servicePrincipalId);
+
+      const resources = await this.getResourceServicePrincipals(
+        requiredResourceAccess.map((resource) => resource.resourceAppId)
+      );
+
+      // Grant application permissions (admin consent required)
+      const roleGrants = requiredResourceAccess.flatMap((resource) =>
+        resource.resourceAccess
+          .filter((permission) => permission.type === "Role")
+          .map((permission) => ({
+            resourceAppId: resource.resourceAppId,
+            resourceId: resources.get(resource.resourceAppId)?.id,
+            permission,
+          }))
+      );
+      const assignable = roleGrants.filter((grant) => grant.resourceId);
+      const responses = await this.batchAfterCreation(
+        [servicePrincipalId],
+        `app role assignments of ${servicePrincipalId}`,
+        assignable.map((grant) => ({
+          method: "POST",
+          url: `/servicePrincipals/${servicePrincipalId}/appRoleAssignments`,
+          body: {
+            principalId: servicePrincipalId,
+            resourceId: grant.resourceId,
+            appRoleId: grant.permission.id,
+          },
+        }))
+      );
+
+      roleGrants.forEach((grant) => {
+        const index = assignable.indexOf(grant);
+        const errorMessage =
+          index === -1
+            ? `Service principal not found for appId: ${grant.resourceAppId}`
+            : responses[index].error?.message;
+
+        if (!errorMessage) {
+          consentGranted = true;
+          console.log(
+            `✅ Granted admin consent for permission: ${grant.permission.id}`
+          );
+          this.reportProgress("consentGrant", {
+            servicePrincipalId,
+            resourceAppId: grant.resourceAppId,
+            permissionId: grant.permission.id,
+            status: "granted",
+          });
+          return;
+        }
+
+        console.warn(
+          `❌ Could not grant permission ${grant.permission.id}: ${errorMessage}`
+        );
+
+        // Check if it's a "Permission being assigned already exists" error
+        if (errorMessage.includes("already exists")) {
+          console.log(
+            `ℹ️ Permission ${grant.permission.id} already exists - considering as granted`
+          );
+          consentGranted = true;
         }
+
+        this.reportProgress("consentGrant", {
+          servicePrincipalId,
+          resourceAppId: grant.resourceAppId,
+          permissionId: grant.permission.id,
+          status: errorMessage.includes("already exists")
+            ? "alreadyGranted"
+            : "failed",
+          message: errorMessage,
+        });
+      });
+
+      // Grant delegated permissions to all users of the tenant
+      const delegatedConsent = await this.grantDelegatedConsent(
+        servicePrincipalId,
+        requiredResourceAccess
+          .map((resource) => ({
+            resourceAppId: resource.resourceAppId,
+            scopeIds: resource.resourceAccess
+              .filter((permission) => permission.type === "Scope")
+              .map((permission) => permission.id),
+          }))
+          .filter((resource) => resource.scopeIds.length > 0),
+        resources
+      );
+      if (
+        delegatedConsent.some(
+          (outcome) =>
+            outcome.status === "granted" || outcome.status === "alreadyGranted"
+        )
+      ) {
+        consentGranted = true;
       }
 
       if (consentGranted) {
@@ -646,36 +1301,563 @@ class GraphApiService {
         );
       }
 
-      return consentGranted;
+      return { granted: consentGranted, delegatedConsent };
     } catch (error) {
       console.error(`❌ Admin consent failed: ${error.message}`);
-      return false;
+      return { granted: false, delegatedConsent: [] };
     }
   }
 
   /**
-   * Gets the service principal object ID by application ID
-   * @param {string} appId - Application ID to search for
-   * @returns {string} Service principal object ID
+   * Grants tenant-wide admin consent (consentType AllPrincipals) for delegated scopes of resource APIs
+   * Creates the oauth2PermissionGrant of each client/resource pair or merges the scopes into the
+   * existing one, so consent given earlier is kept. Existing grants are read in one batch and the
+   * new or merged grants written in another
+   * @param {string} servicePrincipalId - Object ID of the client service principal
+   * @param {Array} delegatedAccess - { resourceAppId, scopeIds } per resource API
+   * @param {Map} resources - Resource service principals by app ID (see getResourceServicePrincipals)
+   * @returns {Array} Outcome per resource API ({ resourceAppId, resource, consented, alreadyPresent,
+   *   status, message }) with the scope values consented now and those already consented before
    */
-  async getServicePrincipalIdByAppId(appId) {
+  async grantDelegatedConsent(servicePrincipalId, delegatedAccess, resources) {
+    const outcomes = delegatedAccess.map(({ resourceAppId, scopeIds }) => {
+      const resource = resources.get(resourceAppId);
+      const outcome = {
+        resourceAppId,
+        resource: resource?.displayName || resourceAppId,
+        consented: [],
+        alreadyPresent: [],
+        status: "granted",
+        message: null,
+        // Working state, removed before the outcome is returned
+        resourceId: resource?.id,
+        scopes: [],
+      };
+      if (!resource) {
+        outcome.status = "failed";
+        outcome.message = `Service principal not found for appId: ${resourceAppId}`;
+        return outcome;
+      }
+
+      // Grants store scope values, not IDs
+      outcome.scopes = scopeIds
+        .map(
+          (id) =>
+            (resource.oauth2PermissionScopes || []).find(
+              (scope) => scope.id === id
+            )?.value
+        )
+        .filter(Boolean);
+      const unknownCount = scopeIds.length - outcome.scopes.length;
+      if (unknownCount > 0) {
+        outcome.message = `${unknownCount} scope(s) not exposed by ${outcome.resource}`;
+      }
+      if (outcome.scopes.length === 0) {
+        outcome.status = "skipped";
+      }
+      return outcome;
+    });
+
+    const pending = outcomes.filter((outcome) => outcome.status === "granted");
     try {
-      const response = await axios.get(
-        `https://graph.microsoft.com/v1.0/servicePrincipals?$filter=appId eq '${appId}'`,
+      const grants = await this.graph.batch(
+        pending.map((outcome) => ({
+          method: "GET",
+          url: `/oauth2PermissionGrants?${filterQuery`clientId eq ${servicePrincipalId} and resourceId eq ${outcome.resourceId} and consentType eq 'AllPrincipals'`}`,
+        }))
+      );
+
+      const writes = [];
+      pending.forEach((outcome, index) => {
+        if (grants[index].error) {
+          outcome.status = "failed";
+          outcome.message = grants[index].error.message;
+          return;
+        }
+
+        const existingGrant = grants[index].body.value[0];
+        const grantedScopes = (existingGrant?.scope || "")
+          .split(" ")
+          .filter(Boolean);
+        outcome.alreadyPresent = outcome.scopes.filter((scope) =>
+          grantedScopes.includes(scope)
+        );
+        outcome.consented = outcome.scopes.filter(
+          (scope) => !grantedScopes.includes(scope)
+        );
+
+        if (outcome.consented.length === 0) {
+          outcome.status = "alreadyGranted";
+        } else if (existingGrant) {
+          writes.push({
+            outcome,
+            method: "PATCH",
+            url: `/oauth2PermissionGrants/${existingGrant.id}`,
+            body: { scope: [...grantedScopes, ...outcome.consented].join(" ") },
+          });
+        } else {
+          writes.push({
+            outcome,
+            method: "POST",
+            url: "/oauth2PermissionGrants",
+            body: {
+              clientId: servicePrincipalId,
+              consentType: "AllPrincipals",
+              resourceId: outcome.resourceId,
+              scope: outcome.consented.join(" "),
+            },
+          });
+        }
+      });
+
+      const results = await this.batchAfterCreation(
+        [servicePrincipalId],
+        `delegated permission grants of ${servicePrincipalId}`,
+        writes.map(({ method, url, body }) => ({ method, url, body }))
+      );
+      writes.forEach(({ outcome }, index) => {
+        if (results[index].error) {
+          outcome.status = "failed";
+          outcome.message = results[index].error.message;
+        }
+      });
+    } catch (error) {
+      pending
+        .filter((outcome) => outcome.status === "granted")
+        .forEach((outcome) => {
+          outcome.status = "failed";
+          outcome.message = error.message;
+        });
+    }
+
+    return outcomes.map(({ resourceId, scopes, ...outcome }) => {
+      if (outcome.status === "failed") {
+        console.warn(
+          `❌ Could not grant delegated consent on ${outcome.resource}: ${outcome.message}`
+        );
+      } else if (outcome.status !== "skipped") {
+        console.log(
+          `✅ Delegated consent on ${outcome.resource}: ${
+            outcome.consented.join(" ") || "already granted"
+          }`
+        );
+      }
+      this.reportProgress("consentGrant", {
+        servicePrincipalId,
+        resourceAppId: outcome.resourceAppId,
+        permissionType: "Scope",
+        scope: [...outcome.consented, ...outcome.alreadyPresent].join(" "),
+        status: outcome.status,
+        message: outcome.message,
+      });
+      return outcome;
+    });
+  }
+
+  /**
+   * Grants admin consent for the permissions app registrations request on each other
+   * Cross-application and "My APIs" permissions are added after the apps were created, so the
+   * consent given at creation time does not cover them
+   * @param {Array} appRegistrations - Provisioned app registrations
+   * @returns {Array} Consent outcome ({ uniqueId, granted, delegatedConsent }) per app requesting
+   *   permissions on another provisioned app
+   */
+  async grantCrossPermissionConsent(appRegistrations) {
+    const managedAppIds = appRegistrations.map((app) => app.appId);
+    const consentingApps = appRegistrations.filter(
+      (app) => app.servicePrincipalId && app.servicePrincipalId !== "Not found"
+    );
+    const applications = await this.getApplications(
+      consentingApps.map((app) => app.objectId),
+      "id,requiredResourceAccess"
+    );
+    const results = [];
+
+    for (const app of consentingApps) {
+      const crossAccess = (
+        applications.get(app.objectId)?.requiredResourceAccess || []
+      ).filter((resource) => managedAppIds.includes(resource.resourceAppId));
+      if (crossAccess.length === 0) continue;
+
+      results.push({
+        uniqueId: app.uniqueId,
+        ...(await this.grantAdminConsent(app.servicePrincipalId, crossAccess)),
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Creates the credential an app registration's configuration asks for
+   * Client secrets of reused apps are rotated so reruns do not pile up secrets; certificates are
+   * added next to the existing ones
+   * @param {Object} application - Application ({ id, appId, displayName })
+   * @param {Object} config - App registration configuration (generateSecret, credentialType, lifetimes)
+   * @param {boolean} reused - Whether the application existed before this run
+   * @returns {Object} { secretReference, retiredSecrets, certificate }
+   */
+  async createAppCredential(application, config, reused) {
+    if (config.generateSecret === false) {
+      return {
+        secretReference: {
+          status: "skipped",
+          message: reused
+            ? "Secret generation skipped - use existing or create manually"
+            : "Secret generation skipped - create manually if needed",
+        },
+        retiredSecrets: [],
+        certificate: null,
+      };
+    }
+
+    if (config.credentialType === "certificate") {
+      return {
+        ...(await this.addCertificateCredential(application, {
+          certificate: config.certificate,
+          lifetimeDays: config.certificateLifetimeDays,
+        })),
+        retiredSecrets: [],
+      };
+    }
+
+    if (reused) {
+      const { secretReference, retiredSecrets } = await this.rotateClientSecret(
+        application.id,
         {
-          headers: {
-            Authorization: `Bearer ${this.accessToken}`,
-            "Content-Type": "application/json",
-          },
+          lifetimeDays: config.secretLifetimeDays,
+          gracePeriodMinutes: config.secretGracePeriodMinutes,
+        }
+      );
+      return { secretReference, retiredSecrets, certificate: null };
+    }
+
+    return {
+      secretReference: await this.generateStoredClientSecret(
+        application,
+        config.secretLifetimeDays
+      ),
+      retiredSecrets: [],
+      certificate: null,
+    };
+  }
+
+  /**
+   * Adds a certificate credential (keyCredential) to an application
+   * Without a supplied certificate a self-signed one is generated; its private key goes to the
+   * secret sink before the certificate is uploaded, so a key that could not be stored is never trusted
+   * @param {Object} application - Application ({ id, appId, displayName })
+   * @param {Object} options - { certificate, lifetimeDays } with an optional PEM certificate to upload
+   * @returns {Object} { secretReference, certificate } - the private key reference and the uploaded
+   *   certificate ({ keyId, thumbprint, subject, notBefore, expiresAt, source }), or null if it failed
+   */
+  async addCertificateCredential(
+    application,
+    { certificate = null, lifetimeDays = 365 } = {}
+  ) {
+    const fail = (message) => {
+      console.warn(
+        `Could not add certificate to ${application.displayName}: ${message}`
+      );
+      return {
+        secretReference: { status: "failed", message },
+        certificate: null,
+      };
+    };
+
+    let credential;
+    try {
+      credential = certificate
+        ? parseCertificate(certificate)
+        : generateSelfSignedCertificate({
+            commonName: application.displayName,
+            lifetimeDays,
+          });
+    } catch (error) {
+      return fail(error.message);
+    }
+    const keyId = uuidv4();
+
+    let secretReference = {
+      status: "skipped",
+      message:
+        "Certificate supplied by the caller - its private key stays with them",
+    };
+    if (!certificate) {
+      if (!this.secretSink) {
+        return fail("No secret sink configured");
+      }
+      try {
+        const reference = await this.secretSink.store({
+          kind: "certificate",
+          name: application.displayName,
+          value: `${credential.privateKeyPem}${credential.certificatePem}`,
+          tenantId: this.tenantId,
+          appId: application.appId,
+          keyId,
+          expiresAt: credential.notAfter,
+        });
+        secretReference = {
+          status: "stored",
+          ...reference,
+          keyId,
+          expiresAt: credential.notAfter,
+        };
+      } catch (error) {
+        return fail(`Private key could not be stored - ${error.message}`);
+      }
+    }
+
+    try {
+      // keyCredentials is replaced as a whole; key values are only returned when selected on a single app
+      await this.writeAfterCreation(
+        application.id,
+        `certificate of ${application.displayName}`,
+        async () => {
+          const appResponse = await this.graph.get(
+            `/applications/${application.id}?$select=keyCredentials`
+          );
+
+          await this.graph.patch(`/applications/${application.id}`, {
+            keyCredentials: [
+              ...(appResponse.data.keyCredentials || []),
+              {
+                keyId,
+                type: "AsymmetricX509Cert",
+                usage: "Verify",
+                key: credential.der.toString("base64"),
+                displayName: credential.subject,
+              },
+            ],
+          });
         }
       );
+    } catch (error) {
+      return fail(`Certificate could not be uploaded - ${error.message}`);
+    }
+
+    console.log(
+      `Added certificate ${credential.thumbprint} to ${application.displayName}`
+    );
+    return {
+      secretReference,
+      certificate: {
+        keyId,
+        thumbprint: credential.thumbprint,
+        subject: credential.subject,
+        notBefore: credential.notBefore,
+        expiresAt: credential.notAfter,
+        source: certificate ? "provided" : "generated",
+      },
+    };
+  }
+
+  /**
+   * Creates a client secret for an application and hands its value to the secret sink
+   * The value never leaves this method - callers only get a reference to where it was stored.
+   * A secret the sink could not store is removed from the application again, as nobody can read it
+   * @param {Object} application - Application ({ id, appId, displayName })
+   * @param {number} lifetimeDays - Days until the secret expires
+   * @returns {Object} Reference ({ status, sink, location, keyId, expiresAt, message }) with status stored or failed
+   */
+  async generateStoredClientSecret(
+    application,
+    lifetimeDays = SECRET_LIFETIME_DAYS
+  ) {
+    if (!this.secretSink) {
+      return { status: "failed", message: "No secret sink configured" };
+    }
+
+    let secret;
+    try {
+      secret = await this.createClientSecret(
+        application.id,
+        PROVISIONED_SECRET_DISPLAY_NAME,
+        lifetimeDays
+      );
+    } catch (error) {
+      console.warn(`Could not create client secret: ${error.message}`);
+      return {
+        status: "failed",
+        message: "Secret generation failed - create manually if needed",
+      };
+    }
+
+    try {
+      const reference = await this.secretSink.store({
+        name: application.displayName,
+        value: secret.secretText,
+        tenantId: this.tenantId,
+        appId: application.appId,
+        keyId: secret.keyId,
+        expiresAt: secret.endDateTime,
+      });
+      console.log(
+        `Stored client secret of ${application.displayName} in ${reference.sink}`
+      );
+      return {
+        status: "stored",
+        ...reference,
+        keyId: secret.keyId,
+        expiresAt: secret.endDateTime,
+      };
+    } catch (error) {
+      console.warn(`Could not store client secret: ${error.message}`);
+      try {
+        await this.removeClientSecret(application.id, secret.keyId);
+      } catch (removeError) {
+        console.warn(
+          `Could not remove unstored client secret ${secret.keyId}: ${removeError.message}`
+        );
+      }
+      return {
+        status: "failed",
+        sink: this.secretSink.type,
+        message: `Secret could not be stored - ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Replaces the client secrets of an application with a new one
+   * The new secret goes to the secret sink; the old secrets the provisioner generated keep working
+   * for the grace period and are then removed. Secrets added by hand are left alone, and old secrets
+   * are kept if the new one could not be created or stored
+   * @param {string} applicationObjectId - Object ID of the application
+   * @param {Object} options - { lifetimeDays, gracePeriodMinutes }
+   * @returns {Object|null} { objectId, appId, displayName, secretReference, retiredSecrets }, or null if
+   *   the application does not exist
+   */
+  async rotateClientSecret(
+    applicationObjectId,
+    {
+      lifetimeDays = SECRET_LIFETIME_DAYS,
+      gracePeriodMinutes = SECRET_GRACE_PERIOD_MINUTES,
+    } = {}
+  ) {
+    let application;
+    try {
+      const response = await this.graph.get(
+        `/applications/${applicationObjectId}?$select=id,appId,displayName,passwordCredentials`
+      );
+      application = response.data;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw new Error(`Failed to load application: ${error.message}`);
+    }
+
+    const secretReference = await this.generateStoredClientSecret(
+      application,
+      lifetimeDays
+    );
+    const retiredSecrets =
+      secretReference.status === "stored"
+        ? await this.retireClientSecrets(
+            application,
+            (application.passwordCredentials || []).filter(
+              (credential) =>
+                credential.keyId !== secretReference.keyId &&
+                PROVISIONED_SECRET_DISPLAY_NAMES.has(credential.displayName)
+            ),
+            gracePeriodMinutes
+          )
+        : [];
+
+    return {
+      objectId: application.id,
+      appId: application.appId,
+      displayName: application.displayName,
+      secretReference,
+      retiredSecrets,
+    };
+  }
+
+  /**
+   * Removes replaced client secrets, right away or once the grace period is over
+   * Scheduled removals are stored, so they are still carried out after a server restart
+   * @param {Object} application - Application ({ id, displayName })
+   * @param {Array} credentials - passwordCredentials to remove
+   * @param {number} gracePeriodMinutes - Minutes the secrets keep working
+   * @returns {Array} Outcome per secret ({ keyId, displayName, status, removeAt, message }) with status
+   *   removed, failed or scheduled
+   */
+  async retireClientSecrets(application, credentials, gracePeriodMinutes) {
+    if (credentials.length === 0) {
+      return [];
+    }
+
+    if (gracePeriodMinutes === 0) {
+      return this.removeClientSecrets(application, credentials);
+    }
+
+    const removeAt = new Date(Date.now() + gracePeriodMinutes * 60 * 1000);
+    const retirement = await secretRetirementStore.add({
+      tenantId: this.tenantId,
+      applicationId: application.id,
+      displayName: application.displayName,
+      credentials: credentials.map(({ keyId, displayName }) => ({
+        keyId,
+        displayName,
+      })),
+      removeAt: removeAt.toISOString(),
+    });
+    scheduleSecretRetirement(retirement, this);
+
+    return credentials.map((credential) => ({
+      keyId: credential.keyId,
+      displayName: credential.displayName,
+      status: "scheduled",
+      removeAt: removeAt.toISOString(),
+    }));
+  }
 
-      if (response.data.value.length > 0) {
-        return response.data.value[0].id;
+  /**
+   * Removes client secrets from an application, continuing past secrets that fail
+   * @param {Object} application - Application ({ id, displayName })
+   * @param {Array} credentials - passwordCredentials to remove
+   * @returns {Array} Outcome per secret ({ keyId, displayName, status, message })
+   */
+  async removeClientSecrets(application, credentials) {
+    const outcomes = [];
+    for (const credential of credentials) {
+      try {
+        await this.removeClientSecret(application.id, credential.keyId);
+        outcomes.push({
+          keyId: credential.keyId,
+          displayName: credential.displayName,
+          status: "removed",
+        });
+      } catch (error) {
+        outcomes.push({
+          keyId: credential.keyId,
+          displayName: credential.displayName,
+          status: "failed",
+          message: error.message,
+        });
       }
-      throw new Error(`Service principal not found for appId: ${appId}`);
+    }
+    console.log(
+      `Removed ${
+        outcomes.filter((outcome) => outcome.status === "removed").length
+      } replaced client secret(s) of ${application.displayName}`
+    );
+    return outcomes;
+  }
+
+  /**
+   * Removes a client secret from an application
+   * @param {string} applicationId - Object ID of the application
+   * @param {string} keyId - Key ID of the secret
+   */
+  async removeClientSecret(applicationId, keyId) {
+    try {
+      await this.graph.post(`/applications/${applicationId}/removePassword`, {
+        keyId,
+      });
     } catch (error) {
-      throw new Error(`Could not find service principal: ${error.message}`);
+      throw new Error(`Failed to remove client secret: ${error.message}`);
     }
   }
 
@@ -683,39 +1865,59 @@ class GraphApiService {
    * Creates a client secret for an application with specified description and expiration
    * @param {string} applicationId - Object ID of the application
    * @param {string} description - Description for the client secret
+   * @param {number} lifetimeDays - Days until the secret expires
    * @returns {Object} Created client secret object containing the secret value
    */
   async createClientSecret(
     applicationId,
-    description = "Auto-generated secret"
+    description = PROVISIONED_SECRET_DISPLAY_NAME,
+    lifetimeDays = SECRET_LIFETIME_DAYS
   ) {
     try {
       const passwordCredential = {
         displayName: description,
         endDateTime: new Date(
-          Date.now() + 365 * 24 * 60 * 60 * 1000
+          Date.now() + lifetimeDays * 24 * 60 * 60 * 1000
         ).toISOString(),
       };
 
-      const response = await axios.post(
-        `https://graph.microsoft.com/v1.0/applications/${applicationId}/addPassword`,
-        passwordCredential,
-        {
-          headers: {
-            Authorization: `Bearer ${this.accessToken}`,
-            "Content-Type": "application/json",
-          },
-        }
+      const response = await this.writeAfterCreation(
+        applicationId,
+        `client secret of ${applicationId}`,
+        () =>
+          this.graph.post(
+            `/applications/${applicationId}/addPassword`,
+            passwordCredential
+          )
       );
 
       return response.data;
     } catch (error) {
+      throw new Error(`Failed to create client secret: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds the application and service principal an unconfirmed template instantiation created
+   * Untagged namesakes are refused before the instantiation (see findReusableApplication), so an
+   * application with the name can only come from it
+   * @param {string} displayName - Display name the template was instantiated with
+   * @returns {Object|null} { application, servicePrincipal }, or null if nothing was created
+   */
+  async findInstantiatedApplication(displayName) {
+    const application = await this.checkExistingApplication(displayName);
+    if (!application) {
+      return null;
+    }
+    const servicePrincipal = await this.checkExistingServicePrincipal(
+      application.appId
+    );
+    if (!servicePrincipal) {
       throw new Error(
-        `Failed to create client secret: ${
-          error.response?.data?.error?.message || error.message
-        }`
+        `Application ${displayName} was instantiated without a service principal`
       );
     }
+    return { application, servicePrincipal };
   }
 
   /**
@@ -727,7 +1929,7 @@ class GraphApiService {
   async createEnterpriseApplication(config) {
     try {
       // Check if application already exists
-      const existingApp = await this.checkExistingApplication(config.name);
+      const existingApp = await this.findReusableApplication(config);
       if (existingApp) {
         console.log(
           `Enterprise application '${config.name}' already exists, using existing one`
@@ -746,61 +1948,97 @@ class GraphApiService {
           uniqueId: config.uniqueId,
           ssoMode: config.type === "saml" ? "saml" : "none",
           samlSettings: config.samlSettings,
+          samlConfiguration: null,
           proxySettings: config.proxySettings,
+          proxyPublishing: null,
           isExisting: true,
         };
       }
 
-      // Create new application for enterprise app
+      // Enterprise apps are created from the on-premises application template, which Application
+      // Proxy publishing requires; instantiating it creates the application and its service principal
+      const instantiateResponse = await this.graph.create(
+        `/applicationTemplates/${ON_PREMISES_APPLICATION_TEMPLATE_ID}/instantiate`,
+        { displayName: config.name },
+        () => this.findInstantiatedApplication(config.name)
+      );
+
+      const { application: createdApp, servicePrincipal } =
+        instantiateResponse.data;
+      this.trackCreatedResource({
+        type: "application",
+        id: createdApp.id,
+        appId: createdApp.appId,
+        name: createdApp.displayName,
+        uniqueId: config.uniqueId,
+      });
+      this.trackCreatedResource({
+        type: "servicePrincipal",
+        id: servicePrincipal.id,
+        appId: createdApp.appId,
+        name: createdApp.displayName,
+        uniqueId: config.uniqueId,
+      });
+      await this.waitForApplication(createdApp.id);
+
+      // SAML apps use their SAML identifier and reply URL, proxy-only apps their external URL
+      const { identifierUris, redirectUris } = desiredEnterpriseUris(config);
       const applicationData = {
-        displayName: config.name,
-        signInAudience: "AzureADMyOrg",
+        tags: [config.marker],
+        identifierUris,
+        web: {
+          redirectUris,
+          homePageUrl: config.proxySettings.externalUrl,
+          ...(config.samlSettings?.logoutUrl && {
+            logoutUrl: config.samlSettings.logoutUrl,
+          }),
+        },
       };
 
-      // Only add SAML configuration if this is a SAML-enabled app (App Proxy SAML App)
-      if (config.type === "saml" && config.samlSettings) {
-        applicationData.identifierUris = [config.samlSettings.identifier];
-        applicationData.web = {
-          redirectUris: [config.samlSettings.replyUrl],
-        };
+      try {
+        await this.writeAfterCreation(
+          createdApp.id,
+          `settings of ${createdApp.displayName}`,
+          () =>
+            this.graph.patch(`/applications/${createdApp.id}`, applicationData)
+        );
+      } catch (error) {
+        // Without the marker tag the app would not be found again, and the next run would create
+        // a namesake - remove the instantiated app instead
+        await this.removeInstantiatedApplication(createdApp, servicePrincipal);
+        throw error;
       }
 
-      const createAppResponse = await axios.post(
-        "https://graph.microsoft.com/v1.0/applications",
-        applicationData,
-        {
-          headers: {
-            Authorization: `Bearer ${this.accessToken}`,
-            "Content-Type": "application/json",
-          },
+      // Only set SAML SSO mode, sign-on URL and relay state if this is a SAML-enabled app (App Proxy SAML App)
+      if (config.type === "saml") {
+        const servicePrincipalData = { preferredSingleSignOnMode: "saml" };
+        if (config.samlSettings) {
+          servicePrincipalData.loginUrl = config.samlSettings.signOnUrl;
+          if (config.samlSettings.relayState) {
+            servicePrincipalData.samlSingleSignOnSettings = {
+              relayState: config.samlSettings.relayState,
+            };
+          }
         }
-      );
-
-      const createdApp = createAppResponse.data;
-
-      // Create service principal
-      const servicePrincipalData = {
-        appId: createdApp.appId,
-        tags: ["WindowsAzureActiveDirectoryIntegratedApp"],
-      };
 
-      // Only set SAML SSO mode if this is a SAML-enabled app (App Proxy SAML App)
-      if (config.type === "saml") {
-        servicePrincipalData.preferredSingleSignOnMode = "saml";
+        await this.writeAfterCreation(
+          servicePrincipal.id,
+          `single sign-on mode of ${createdApp.displayName}`,
+          () =>
+            this.graph.patch(
+              `/servicePrincipals/${servicePrincipal.id}`,
+              servicePrincipalData
+            )
+        );
       }
 
-      const createSpResponse = await axios.post(
-        "https://graph.microsoft.com/v1.0/servicePrincipals",
-        servicePrincipalData,
-        {
-          headers: {
-            Authorization: `Bearer ${this.accessToken}`,
-            "Content-Type": "application/json",
-          },
-        }
-      );
-
-      const servicePrincipal = createSpResponse.data;
+      const samlConfiguration =
+        config.type === "saml" && config.samlSettings
+          ? await this.configureSamlSingleSignOn(servicePrincipal, config)
+          : null;
+      const proxyPublishing = applicationProxyEnabled
+        ? await this.publishApplicationProxy(createdApp, config)
+        : null;
 
       return {
         appId: createdApp.appId,
@@ -811,80 +2049,504 @@ class GraphApiService {
         uniqueId: config.uniqueId,
         ssoMode: config.type === "saml" ? "saml" : "none",
         samlSettings: config.samlSettings,
+        samlConfiguration,
         proxySettings: config.proxySettings,
+        proxyPublishing,
         isExisting: false,
       };
     } catch (error) {
       throw new Error(
-        `Failed to create enterprise application: ${
-          error.response?.data?.error?.message || error.message
-        }`
+        `Failed to create enterprise application: ${error.message}`
       );
     }
   }
 
   /**
-   * Configures cross-application permissions between the three app registrations based on unique IDs
-   * App1 (MAHI_CONNECTOR_APP) to access App2 (MAHI_API_ACCESS), and App3 (MAHI_TEAMS_APP) to access both
-   * @param {Array} appRegistrations - Array of created app registrations
+   * Deletes an application instantiated from a template together with its service principal,
+   * logging deletions that fail so the original error is kept
+   * @param {Object} application - Created application ({ id, displayName })
+   * @param {Object} servicePrincipal - Created service principal ({ id })
    */
-  async configureCrossApplicationPermissions(appRegistrations) {
+  async removeInstantiatedApplication(application, servicePrincipal) {
     try {
-      if (appRegistrations.length < 3) {
+      await this.deleteServicePrincipal(servicePrincipal.id);
+      await this.deleteApplication(application.id);
+    } catch (error) {
+      log(
+        "error",
+        `Could not remove untagged application ${application.displayName}`,
+        {
+          applicationId: application.id,
+          servicePrincipalId: servicePrincipal.id,
+          error: error.message,
+        }
+      );
+    }
+  }
+
+  /**
+   * Lists the Application Proxy connector groups of the tenant
+   * Loaded once per service, every enterprise app of a run resolves its group against the same list
+   * @returns {Array} Connector groups as { id, name }
+   */
+  async listConnectorGroups() {
+    if (!this.connectorGroups) {
+      this.connectorGroups = this.graphBeta
+        .get(
+          "/onPremisesPublishingProfiles/applicationProxy/connectorGroups?$select=id,name"
+        )
+        .then((response) => response.data.value)
+        .catch((error) => {
+          this.connectorGroups = null;
+          throw new Error(
+            `Failed to list Application Proxy connector groups: ${error.message}`
+          );
+        });
+    }
+    return this.connectorGroups;
+  }
+
+  /**
+   * Finds an Application Proxy connector group by name (case-insensitively, like the portal)
+   * @param {string} name - Connector group name
+   * @returns {Object} { group, available } with the group ({ id, name }) or null if there is no
+   *   such group, and the names of the groups that exist
+   */
+  async findConnectorGroup(name) {
+    const groups = await this.listConnectorGroups();
+    return {
+      group:
+        groups.find(
+          (candidate) => candidate.name.toLowerCase() === name.toLowerCase()
+        ) || null,
+      available: groups.map((group) => group.name),
+    };
+  }
+
+  /**
+   * Publishes a new enterprise application through Application Proxy
+   * Sets the internal and external URL, pre-authentication, host header and link translation and
+   * cookie options, then assigns the app to its connector group. Without a connector group the
+   * app stays in the tenant's default group; a missing one is reported and the app is not assigned
+   * @param {Object} application - The created application ({ id, displayName })
+   * @param {Object} config - Enterprise application config with proxySettings
+   * @returns {Object} { internalUrl, externalUrl, preAuthentication, connectorGroup, steps } with
+   *   connectorGroup as { id, name } or null and steps like configureSamlSingleSignOn
+   */
+  async publishApplicationProxy(application, config) {
+    const { proxySettings } = config;
+    const publishing = {
+      internalUrl: proxySettings.internalUrl,
+      externalUrl: proxySettings.externalUrl,
+      preAuthentication: proxySettings.preAuthentication,
+      connectorGroup: null,
+      steps: [],
+    };
+    const configure = this.createStepRunner(
+      publishing.steps,
+      "Application Proxy",
+      config.name
+    );
+
+    await configure("onPremisesPublishing", () =>
+      this.writeAfterCreation(
+        application.id,
+        `Application Proxy publishing of ${config.name}`,
+        () =>
+          this.graphBeta.patch(`/applications/${application.id}`, {
+            onPremisesPublishing: {
+              internalUrl: proxySettings.internalUrl,
+              externalUrl: proxySettings.externalUrl,
+              externalAuthenticationType: proxySettings.preAuthentication,
+              isTranslateHostHeaderEnabled: proxySettings.translateHostHeader,
+              isTranslateLinksInBodyEnabled: proxySettings.translateLinksInBody,
+              isHttpOnlyCookieEnabled: proxySettings.cookies.httpOnly,
+              isSecureCookieEnabled: proxySettings.cookies.secure,
+              isPersistentCookieEnabled: proxySettings.cookies.persistent,
+            },
+          })
+      )
+    );
+
+    if (!proxySettings.connectorGroup) {
+      publishing.steps.push({
+        setting: "connectorGroup",
+        status: "skipped",
+        message:
+          "No connector group set - the default connector group serves the app",
+      });
+    } else if (publishing.steps[0].status !== "configured") {
+      publishing.steps.push({
+        setting: "connectorGroup",
+        status: "skipped",
+        message: "The app is not published",
+      });
+    } else {
+      await configure("connectorGroup", async () => {
+        const { group, available } = await this.findConnectorGroup(
+          proxySettings.connectorGroup
+        );
+        if (!group) {
+          throw new Error(
+            describeMissingConnectorGroup(
+              proxySettings.connectorGroup,
+              available
+            )
+          );
+        }
+        await this.graphBeta.put(
+          `/applications/${application.id}/connectorGroup/$ref`,
+          {
+            "@odata.id": `${this.graphBeta.baseUrl}/onPremisesPublishingProfiles/applicationProxy/connectorGroups/${group.id}`,
+          }
+        );
+        publishing.connectorGroup = { id: group.id, name: group.name };
+      });
+    }
+
+    return publishing;
+  }
+
+  /**
+   * Creates a function applying one setting of a multi-step configuration
+   * A failed setting is logged and recorded instead of stopping the settings after it
+   * @param {Array} steps - Outcomes are added here as { setting, status, message }
+   * @param {string} feature - Configured feature, used in log messages, e.g. SAML
+   * @param {string} appName - Display name of the configured app
+   * @returns {Function} async (setting, action) applying a setting, status configured or failed
+   */
+  createStepRunner(steps, feature, appName) {
+    return async (setting, action) => {
+      try {
+        await action();
+        steps.push({ setting, status: "configured", message: null });
+      } catch (error) {
         console.warn(
-          "Not enough app registrations for cross-permissions configuration"
+          `Could not configure ${feature} ${setting} of ${appName}: ${error.message}`
         );
-        return;
+        steps.push({ setting, status: "failed", message: error.message });
       }
+    };
+  }
+
+  /**
+   * Completes the SAML single sign-on setup of a new enterprise application
+   * Identifier, reply URL, sign-on and logout URL and relay state are set when the app and its
+   * service principal are created; this adds a token signing certificate, makes it the preferred
+   * signing key and assigns a claims mapping policy for the NameID and attribute claims. A failed
+   * setting is reported and does not stop the others
+   * @param {Object} servicePrincipal - The app's service principal ({ id })
+   * @param {Object} config - Enterprise application config with samlSettings
+   * @returns {Object} What was configured: { identifier, replyUrl, loginUrl, logoutUrl, relayState,
+   *   signingCertificate, claimsMappingPolicy, steps } with one { setting, status, message } per
+   *   setting and status configured, failed or skipped
+   */
+  async configureSamlSingleSignOn(servicePrincipal, config) {
+    const { samlSettings } = config;
+    const configuration = {
+      identifier: samlSettings.identifier,
+      replyUrl: samlSettings.replyUrl,
+      loginUrl: samlSettings.signOnUrl,
+      logoutUrl: samlSettings.logoutUrl,
+      relayState: samlSettings.relayState,
+      signingCertificate: null,
+      claimsMappingPolicy: null,
+      steps: [
+        {
+          setting: "basicSamlConfiguration",
+          status: "configured",
+          message: null,
+        },
+      ],
+    };
+
+    const configure = this.createStepRunner(
+      configuration.steps,
+      "SAML",
+      config.name
+    );
+
+    await configure("tokenSigningCertificate", async () => {
+      const response = await this.writeAfterCreation(
+        servicePrincipal.id,
+        `token signing certificate of ${config.name}`,
+        () =>
+          this.graph.post(
+            `/servicePrincipals/${servicePrincipal.id}/addTokenSigningCertificate`,
+            {
+              displayName: `CN=${config.name}`,
+              endDateTime: new Date(
+                Date.now() +
+                  samlSettings.certificateLifetimeDays * 24 * 60 * 60 * 1000
+              ).toISOString(),
+            }
+          )
+      );
+      configuration.signingCertificate = {
+        keyId: response.data.keyId,
+        thumbprint: response.data.thumbprint,
+        expiresAt: response.data.endDateTime,
+      };
+    });
 
-      // Find apps by their unique IDs instead of names
-      const app1 = appRegistrations.find(
-        (app) => app.uniqueId === "MAHI_CONNECTOR_APP"
+    if (configuration.signingCertificate) {
+      await configure("preferredSigningKey", () =>
+        this.graph.patch(`/servicePrincipals/${servicePrincipal.id}`, {
+          preferredTokenSigningKeyThumbprint:
+            configuration.signingCertificate.thumbprint,
+        })
       );
-      const app2 = appRegistrations.find(
-        (app) => app.uniqueId === "MAHI_API_ACCESS"
+    } else {
+      configuration.steps.push({
+        setting: "preferredSigningKey",
+        status: "skipped",
+        message: "No token signing certificate",
+      });
+    }
+
+    await configure("claimsMappingPolicy", async () => {
+      const response = await this.graph.post(
+        "/policies/claimsMappingPolicies",
+        buildClaimsMappingPolicy(
+          `${config.name} SAML claims`,
+          samlSettings.claims
+        )
       );
-      const app3 = appRegistrations.find(
-        (app) => app.uniqueId === "MAHI_TEAMS_APP"
+      const policy = response.data;
+      this.trackCreatedResource({
+        type: "claimsMappingPolicy",
+        id: policy.id,
+        name: policy.displayName,
+        uniqueId: config.uniqueId,
+      });
+
+      await this.graph.post(
+        `/servicePrincipals/${servicePrincipal.id}/claimsMappingPolicies/$ref`,
+        {
+          "@odata.id": `${this.graph.baseUrl}/policies/claimsMappingPolicies/${policy.id}`,
+        }
       );
+      configuration.claimsMappingPolicy = {
+        id: policy.id,
+        displayName: policy.displayName,
+        nameId: samlSettings.claims.nameId,
+        attributes: samlSettings.claims.attributes,
+      };
+    });
 
-      if (!app1 || !app2 || !app3) {
-        console.warn(
-          "Could not find all required apps for cross-permissions configuration"
+    return configuration;
+  }
+
+  /**
+   * Configures cross-application permissions between the app registrations of a blueprint
+   * Each cross permission edge makes its source app request a delegated scope or an application
+   * role exposed by its target app; edges are applied in the given (dependency) order and an edge
+   * whose source or target app was not provisioned is skipped
+   * Client apps additionally get a web platform and "My APIs" access to every API app
+   * The apps are read in one Graph batch and the changes are written in another: one web platform
+   * PATCH per client app and one requiredResourceAccess PATCH per changed app, ordered after the
+   * app's web platform PATCH with dependsOn
+   * @param {Array} appRegistrations - Array of created app registrations
+   * @param {Array} crossPermissions - Cross permission edges ({ source, target, scope|appRole, type } by logical app ID)
+   * @returns {Array} Outcome of each edge ({ source, target, scope|appRole, type, status, message })
+   */
+  async configureCrossApplicationPermissions(
+    appRegistrations,
+    crossPermissions
+  ) {
+    try {
+      const findApp = (uniqueId) =>
+        appRegistrations.find((app) => app.uniqueId === uniqueId);
+      const applications = await this.getApplications(
+        appRegistrations.map((app) => app.objectId),
+        "id,appId,displayName,requiredResourceAccess,appRoles,api,spa"
+      );
+      const outcomes = [];
+      // Permission changes, reported once the PATCH of their source app went through
+      const changes = [];
+      const changedAppIds = new Set();
+
+      /**
+       * Adds a permission to a source app in memory and records the change
+       * @param {Object} sourceApp - Source app registration
+       * @param {Object} targetApp - Target app registration
+       * @param {Object} permission - { value, type } with type Scope or Role
+       * @returns {Object} The recorded change ({ objectId, outcome, event })
+       */
+      const addPermission = (sourceApp, targetApp, permission) => {
+        const outcome = this.addRequiredPermission(
+          applications.get(sourceApp.objectId),
+          applications.get(targetApp.objectId),
+          permission
         );
-        return;
+        if (outcome.status === "added") {
+          changedAppIds.add(sourceApp.objectId);
+        }
+        const change = {
+          objectId: sourceApp.objectId,
+          outcome,
+          event: {
+            sourceAppObjectId: sourceApp.objectId,
+            targetAppId: targetApp.appId,
+            permission: permission.value,
+            permissionType: permission.type,
+          },
+        };
+        changes.push(change);
+        return change;
+      };
+
+      for (const permission of crossPermissions) {
+        const sourceApp = findApp(permission.source);
+        const targetApp = findApp(permission.target);
+        if (!sourceApp || !targetApp) {
+          const missing = sourceApp ? permission.target : permission.source;
+          const outcome = {
+            ...permission,
+            status: "skipped",
+            message: `${missing} was not provisioned`,
+          };
+          outcomes.push(outcome);
+          this.reportProgress("crossPermission", outcome);
+          continue;
+        }
+
+        const { outcome } = addPermission(
+          sourceApp,
+          targetApp,
+          permission.appRole
+            ? { value: permission.appRole, type: "Role" }
+            : { value: permission.scope, type: "Scope" }
+        );
+        // The edge outcome is the change outcome, so a failed PATCH shows up in both
+        outcomes.push(Object.assign(outcome, permission));
       }
 
-      // Configure App1 to access App2 scopes
-      await this.addApplicationPermission(
-        app1.objectId,
-        app2.appId,
-        "api.access"
+      const apiApps = appRegistrations.filter((app) => app.role === "api");
+      const clientApps = appRegistrations.filter(
+        (app) => app.role === "client"
       );
+      // "My APIs" access: every delegated scope the API app exposes
+      const myApiChanges = [];
+      for (const clientApp of clientApps) {
+        for (const apiApp of apiApps) {
+          const scopes = (
+            applications.get(apiApp.objectId)?.api?.oauth2PermissionScopes || []
+          ).filter((scope) => scope.isEnabled !== false);
+          myApiChanges.push({
+            objectId: clientApp.objectId,
+            scopeChanges: scopes.map((scope) =>
+              addPermission(clientApp, apiApp, {
+                value: scope.value,
+                type: "Scope",
+              })
+            ),
+            event: {
+              sourceAppObjectId: clientApp.objectId,
+              targetAppId: apiApp.appId,
+              change: "myApiPermission",
+            },
+            outcome: applications.has(apiApp.objectId)
+              ? scopes.length === 0
+                ? {
+                    status: "skipped",
+                    message: "Target application exposes no scopes",
+                  }
+                : null
+              : { status: "skipped", message: "Target application not found" },
+          });
+        }
+      }
 
-      // Configure App3 to access App1 and App2 scopes
-      await this.addApplicationPermission(
-        app3.objectId,
-        app1.appId,
-        "user.read"
-      );
-      await this.addApplicationPermission(
-        app3.objectId,
-        app2.appId,
-        "api.access"
+      const writes = [];
+      for (const clientApp of clientApps) {
+        const application = applications.get(clientApp.objectId);
+        if (application) {
+          writes.push({
+            id: `web-${application.id}`,
+            method: "PATCH",
+            url: `/applications/${application.id}`,
+            body: this.buildWebPlatform(application, clientApp.redirectUris),
+          });
+        }
+      }
+      for (const objectId of changedAppIds) {
+        const webWrite = writes.find((write) => write.id === `web-${objectId}`);
+        writes.push({
+          id: `permissions-${objectId}`,
+          method: "PATCH",
+          url: `/applications/${objectId}`,
+          body: {
+            requiredResourceAccess:
+              applications.get(objectId).requiredResourceAccess,
+          },
+          dependsOn: webWrite ? [webWrite.id] : [],
+        });
+      }
+      const results = new Map(
+        (
+          await this.batchAfterCreation(
+            appRegistrations.map((app) => app.objectId),
+            "cross-application permissions",
+            writes
+          )
+        ).map((result) => [result.id, result])
       );
 
-      // For App3: Add web platform and configure to access App2
-      await this.configureApp3WebPlatform(app3.objectId, app3.redirectUris);
-      await this.addMyApiPermission(
-        app3.objectId,
-        app2.appId,
-        app2.applicationIdUri
-      );
+      for (const clientApp of clientApps) {
+        const result = results.get(`web-${clientApp.objectId}`);
+        const message = result
+          ? result.error?.message || null
+          : "Application not found";
+        if (message) {
+          console.warn(`Could not add web platform: ${message}`);
+        } else {
+          console.log(`Added web platform to ${clientApp.displayName}`);
+        }
+        this.reportProgress("crossPermission", {
+          sourceAppObjectId: clientApp.objectId,
+          change: "webPlatform",
+          status: message ? "failed" : "added",
+          ...(message && { message }),
+        });
+      }
 
-      console.log(
-        "Cross-application permissions configured successfully using unique IDs"
-      );
+      for (const { objectId, outcome, event } of changes) {
+        const error = results.get(`permissions-${objectId}`)?.error;
+        if (outcome.status === "added" && error) {
+          outcome.status = "failed";
+          outcome.message = error.message;
+          console.warn(
+            `Failed to add application permission: ${error.message}`
+          );
+        }
+        this.reportProgress("crossPermission", {
+          ...event,
+          status: outcome.status,
+          message: outcome.message,
+        });
+      }
+
+      for (const { scopeChanges, event, outcome } of myApiChanges) {
+        const failed = scopeChanges.find(
+          (change) => change.outcome.status === "failed"
+        );
+        const status =
+          outcome?.status ||
+          (failed
+            ? "failed"
+            : scopeChanges.some((change) => change.outcome.status === "added")
+              ? "added"
+              : "alreadyPresent");
+        this.reportProgress("crossPermission", {
+          ...event,
+          status,
+          message: outcome?.message || failed?.outcome.message || null,
+        });
+      }
+
+      console.log("Cross-application permissions configured");
+      return outcomes;
     } catch (error) {
       console.error("Failed to configure cross permissions:", error.message);
       throw new Error(
@@ -894,601 +2556,3149 @@ class GraphApiService {
   }
 
   /**
-   * Configures App3 (MAHI_TEAMS_APP) with web platform capabilities in addition to SPA
+   * Builds the web platform settings of a client app registration, next to its SPA settings
    * Adds web platform redirect URIs and implicit grant settings
-   * @param {string} app3ObjectId - Object ID of App3 (Teams App)
+   * @param {Object} application - Client application as read from Graph (with spa)
    * @param {Array} redirectUris - Array of redirect URIs to configure
+   * @returns {Object} PATCH body with web (and the existing spa) settings
    */
-  async configureApp3WebPlatform(app3ObjectId, redirectUris) {
-    try {
-      // Get current app configuration
-      const appResponse = await axios.get(
-        `https://graph.microsoft.com/v1.0/applications/${app3ObjectId}`,
-        {
-          headers: {
-            Authorization: `Bearer ${this.accessToken}`,
-            "Content-Type": "application/json",
-          },
-        }
-      );
+  buildWebPlatform(application, redirectUris) {
+    const webConfig = {
+      web: {
+        redirectUris: redirectUris || [],
+        implicitGrantSettings: {
+          enableIdTokenIssuance: true,
+          enableAccessTokenIssuance: false,
+        },
+      },
+    };
 
-      const app = appResponse.data;
+    // Merge with existing SPA configuration
+    if (application.spa && application.spa.redirectUris) {
+      webConfig.spa = application.spa;
+    }
+    return webConfig;
+  }
 
-      // Add web platform if not already exists
-      const webConfig = {
-        web: {
-          redirectUris: redirectUris || [],
-          implicitGrantSettings: {
-            enableIdTokenIssuance: true,
-            enableAccessTokenIssuance: false,
-          },
-        },
-      };
+  /**
+   * Reads applications by object ID in one Graph batch
+   * @param {Array} objectIds - Object IDs of the applications
+   * @param {string} select - Comma-separated properties to read
+   * @returns {Map} Application by object ID; applications that do not exist are missing from the map
+   */
+  async getApplications(objectIds, select) {
+    const ids = [...new Set(objectIds.filter(Boolean))];
+    const responses = await this.graph.batch(
+      ids.map((id) => ({
+        method: "GET",
+        url: `/applications/${id}?$select=${select}`,
+      }))
+    );
 
-      // Merge with existing SPA configuration
-      if (app.spa && app.spa.redirectUris) {
-        webConfig.spa = app.spa;
+    const applications = new Map();
+    ids.forEach((id, index) => {
+      const { error, body } = responses[index];
+      if (error && error.status !== 404) {
+        throw new Error(`Failed to load application ${id}: ${error.message}`);
       }
+      if (!error) {
+        applications.set(id, body);
+      }
+    });
+    return applications;
+  }
 
-      await axios.patch(
-        `https://graph.microsoft.com/v1.0/applications/${app3ObjectId}`,
-        webConfig,
-        {
-          headers: {
-            Authorization: `Bearer ${this.accessToken}`,
-            "Content-Type": "application/json",
-          },
+  /**
+   * Checks the requiredResourceAccess entries of managed applications against their resource APIs
+   * Every entry must reference an app role (Role) or delegated scope (Scope) the resource service
+   * principal really exposes; entries with IDs that do not exist show up as broken permissions in
+   * the portal and can never be consented
+   * @param {Array} applications - Provisioned apps ({ objectId, uniqueId, displayName })
+   * @returns {Array} Issues ({ uniqueId, appObjectId, resourceAppId, id, type, message }), one per broken entry
+   */
+  async verifyRequiredResourceAccess(applications) {
+    const issues = [];
+    const current = await this.getApplications(
+      applications.map((application) => application.objectId),
+      "id,displayName,requiredResourceAccess"
+    );
+    // Resource definitions are loaded fresh for each pass, as managed APIs may have just changed
+    const resources = await this.getResourceServicePrincipals(
+      [...current.values()].flatMap((application) =>
+        (application.requiredResourceAccess || []).map(
+          (required) => required.resourceAppId
+        )
+      )
+    );
+
+    for (const application of applications) {
+      const appData = current.get(application.objectId);
+      if (!appData) continue;
+
+      for (const required of appData.requiredResourceAccess || []) {
+        const resource = resources.get(required.resourceAppId);
+        const resourceName = resource?.displayName || required.resourceAppId;
+
+        for (const access of required.resourceAccess || []) {
+          const exposed =
+            access.type === "Role"
+              ? resource?.appRoles || []
+              : resource?.oauth2PermissionScopes || [];
+          if (exposed.some((entry) => entry.id === access.id)) continue;
+
+          issues.push({
+            uniqueId: application.uniqueId,
+            appObjectId: application.objectId,
+            resourceAppId: required.resourceAppId,
+            id: access.id,
+            type: access.type,
+            message: resource
+              ? `${appData.displayName} requests ${
+                  access.type === "Role" ? "app role" : "scope"
+                } ${access.id}, which ${resourceName} does not expose`
+              : `${appData.displayName} requests permissions on ${resourceName}, which has no service principal in the tenant`,
+          });
         }
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Adds a permission on a target app to the requiredResourceAccess of a source app, in memory
+   * The caller writes the source app's requiredResourceAccess back to Graph
+   * @param {Object} sourceApplication - Source application as read from Graph, undefined if missing
+   * @param {Object} targetApplication - Target application as read from Graph (with appRoles and api),
+   *   undefined if missing
+   * @param {Object} permission - { value, type } with type Scope (delegated) or Role (application)
+   * @returns {Object} Outcome ({ status, message }) with status added, alreadyPresent or skipped
+   */
+  addRequiredPermission(sourceApplication, targetApplication, permission) {
+    const kind = permission.type === "Role" ? "App role" : "Scope";
+
+    if (!sourceApplication || !targetApplication) {
+      return {
+        status: "skipped",
+        message: `${sourceApplication ? "Target" : "Source"} application not found`,
+      };
+    }
+
+    const exposed =
+      permission.type === "Role"
+        ? targetApplication.appRoles || []
+        : targetApplication.api?.oauth2PermissionScopes || [];
+
+    // Find the scope or app role with the matching value
+    const target = exposed.find((entry) => entry.value === permission.value);
+    if (!target) {
+      console.warn(
+        `${kind} '${permission.value}' not found in target application ${targetApplication.appId}`
       );
+      return {
+        status: "skipped",
+        message: `${kind} not found in target application`,
+      };
+    }
 
-      console.log("Added web platform to App3 (Teams App)");
-    } catch (error) {
-      console.warn(`Could not add web platform to App3: ${error.message}`);
+    sourceApplication.requiredResourceAccess =
+      sourceApplication.requiredResourceAccess || [];
+    const existingResource = sourceApplication.requiredResourceAccess.find(
+      (resource) => resource.resourceAppId === targetApplication.appId
+    );
+
+    if (existingResource) {
+      // Check if the permission already exists
+      if (
+        existingResource.resourceAccess.some(
+          (access) => access.id === target.id
+        )
+      ) {
+        return { status: "alreadyPresent", message: null };
+      }
+      // Add new permission to existing resource
+      existingResource.resourceAccess.push({
+        id: target.id,
+        type: permission.type,
+      });
+    } else {
+      // Add new resource with the permission
+      sourceApplication.requiredResourceAccess.push({
+        resourceAppId: targetApplication.appId,
+        resourceAccess: [{ id: target.id, type: permission.type }],
+      });
     }
+
+    console.log(
+      `Adding permission: ${permission.value} from ${targetApplication.appId} to ${sourceApplication.id}`
+    );
+    return { status: "added", message: null };
   }
 
   /**
-   * Adds custom API permissions from one app registration to another
-   * Configures "My APIs" permissions for accessing custom scopes
-   * @param {string} sourceAppObjectId - Object ID of the source application requesting permission
-   * @param {string} targetAppId - Application ID of the target API application
-   * @param {string} applicationIdUri - Application ID URI of the target API
+   * Compares reused applications with their blueprint entries (see services/drift.js)
+   * The apps are read in one Graph batch, their service principals in a second one and the app role
+   * assignments and permission grants of the app registrations' service principals in a third
+   * @param {Object} configs - { appConfigs, enterpriseConfigs } with resolved requiredResourceAccess
+   * @param {Array} objects - The blueprint's apps ({ uniqueId, objectId, appId, isExisting }); drift is
+   *   reported for the existing ones, the app IDs of all of them are treated as managed
+   * @returns {Array} Drift report per existing app ({ kind, uniqueId, displayName, objectId, appId,
+   *   status, differences }, app registrations also with consent)
    */
-  async addMyApiPermission(sourceAppObjectId, targetAppId, applicationIdUri) {
-    try {
-      // Get current source application
-      const sourceAppResponse = await axios.get(
-        `https://graph.microsoft.com/v1.0/applications/${sourceAppObjectId}`,
-        {
-          headers: {
-            Authorization: `Bearer ${this.accessToken}`,
-            "Content-Type": "application/json",
-          },
+  async detectDrift({ appConfigs, enterpriseConfigs }, objects) {
+    const reused = objects.filter(
+      (object) => object.isExisting && object.objectId
+    );
+    const managedAppIds = objects.map((object) => object.appId);
+    const applications = await this.getApplications(
+      reused.map((object) => object.objectId),
+      "id,appId,displayName,web,spa,api,identifierUris,requiredResourceAccess"
+    );
+
+    const readAll = async (requests) => {
+      const responses = await this.graph.batch(requests);
+      responses.forEach(({ error }, index) => {
+        if (error) {
+          throw new Error(
+            `Failed to read ${requests[index].url}: ${error.message}`
+          );
         }
+      });
+      return responses.map((response) => response.body.value);
+    };
+
+    const servicePrincipals = await readAll(
+      reused.map((object) => ({
+        method: "GET",
+        url: `/servicePrincipals?${filterQuery`appId eq ${object.appId}`}&$select=id,appId,preferredSingleSignOnMode`,
+      }))
+    );
+    const states = reused.map((object, index) => ({
+      object,
+      application: applications.get(object.objectId),
+      servicePrincipal: servicePrincipals[index][0] || null,
+      appConfig: appConfigs.find(
+        (config) => config.uniqueId === object.uniqueId
+      ),
+    }));
+
+    const consentStates = states.filter(
+      (state) => state.application && state.appConfig && state.servicePrincipal
+    );
+    const consentReads = await readAll(
+      consentStates.flatMap(({ servicePrincipal }) => [
+        {
+          method: "GET",
+          url: `/servicePrincipals/${servicePrincipal.id}/appRoleAssignments`,
+        },
+        {
+          method: "GET",
+          url: `/oauth2PermissionGrants?${filterQuery`clientId eq ${servicePrincipal.id}`}`,
+        },
+      ])
+    );
+    consentStates.forEach((state, index) => {
+      state.assignments = consentReads[index * 2];
+      state.grants = consentReads[index * 2 + 1];
+    });
+
+    const resources = await this.getResourceServicePrincipals(
+      states
+        .filter((state) => state.application && state.appConfig)
+        .flatMap((state) => [
+          ...flattenResourceAccess(state.appConfig.requiredResourceAccess),
+          ...flattenResourceAccess(
+            state.application.requiredResourceAccess,
+            managedAppIds
+          ),
+        ])
+        .map((permission) => permission.resourceAppId)
+    );
+
+    const reports = [];
+    for (const state of states) {
+      const { object, application, servicePrincipal, appConfig } = state;
+      if (!application) {
+        console.warn(`Drift check skipped, ${object.objectId} not found`);
+        continue;
+      }
+      if (appConfig) {
+        reports.push(
+          detectAppRegistrationDrift(appConfig, {
+            application,
+            servicePrincipal,
+            assignments: state.assignments || [],
+            grants: state.grants || [],
+            resources,
+            managedAppIds,
+          })
+        );
+        continue;
+      }
+      const enterpriseConfig = enterpriseConfigs.find(
+        (config) => config.uniqueId === object.uniqueId
       );
+      if (enterpriseConfig) {
+        reports.push(
+          detectEnterpriseAppDrift(enterpriseConfig, {
+            application,
+            servicePrincipal,
+          })
+        );
+      }
+    }
+    return reports;
+  }
 
-      const sourceApp = sourceAppResponse.data;
-      const currentRequiredResourceAccess =
-        sourceApp.requiredResourceAccess || [];
+  /**
+   * Updates reused applications (and the service principals of enterprise applications) to match
+   * their blueprint entries (see services/reconcile.js)
+   * The current objects are read and the PATCHes written in Graph batches
+   * @param {Object} configs - { appConfigs, enterpriseConfigs } with resolved requiredResourceAccess
+   * @param {Array} objects - The blueprint's apps ({ uniqueId, objectId, appId, isExisting }); only the
+   *   existing ones are reconciled
+   * @returns {Array} Change log per existing object ({ uniqueId, kind, objectType, objectId,
+   *   displayName, status, changes, message }) with status updated, unchanged or failed and
+   *   changes as { field, before, after }
+   */
+  async reconcileApplications({ appConfigs, enterpriseConfigs }, objects) {
+    const reused = objects.filter(
+      (object) => object.isExisting && object.objectId
+    );
+    const applications = await this.getApplications(
+      reused.map((object) => object.objectId),
+      "id,appId,displayName,web,spa,api,identifierUris,requiredResourceAccess"
+    );
 
-      // Add permission to access Mahi API Access's exposed API
-      const newResourceAccess = {
-        resourceAppId: targetAppId,
-        resourceAccess: [
-          {
-            id: this.generateGuid(), // Default scope ID for custom API
-            type: "Scope",
-          },
-        ],
-      };
+    const enterpriseObjects = reused.filter((object) =>
+      enterpriseConfigs.some((config) => config.uniqueId === object.uniqueId)
+    );
+    const servicePrincipalResponses = await this.graph.batch(
+      enterpriseObjects.map((object) => ({
+        method: "GET",
+        url: `/servicePrincipals?${filterQuery`appId eq ${object.appId}`}&$select=id,appId,displayName,preferredSingleSignOnMode`,
+      }))
+    );
 
-      // Check if permission already exists
-      const existingResource = currentRequiredResourceAccess.find(
-        (resource) => resource.resourceAppId === targetAppId
+    const entries = [];
+    for (const object of reused) {
+      const application = applications.get(object.objectId);
+      const appConfig = appConfigs.find(
+        (config) => config.uniqueId === object.uniqueId
+      );
+      const enterpriseConfig = enterpriseConfigs.find(
+        (config) => config.uniqueId === object.uniqueId
       );
-      if (!existingResource) {
-        currentRequiredResourceAccess.push(newResourceAccess);
+      if (!application || !(appConfig || enterpriseConfig)) continue;
 
-        await axios.patch(
-          `https://graph.microsoft.com/v1.0/applications/${sourceAppObjectId}`,
-          { requiredResourceAccess: currentRequiredResourceAccess },
-          {
-            headers: {
-              Authorization: `Bearer ${this.accessToken}`,
-              "Content-Type": "application/json",
-            },
-          }
-        );
+      entries.push({
+        uniqueId: object.uniqueId,
+        kind: appConfig ? "appRegistration" : "enterpriseApplication",
+        objectType: "application",
+        objectId: application.id,
+        displayName: application.displayName,
+        url: `/applications/${application.id}`,
+        ...(appConfig
+          ? reconcileAppRegistration(appConfig, application)
+          : reconcileEnterpriseApplication(enterpriseConfig, application)),
+      });
+
+      const index = enterpriseObjects.indexOf(object);
+      const servicePrincipal =
+        index === -1 ? null : servicePrincipalResponses[index].body?.value?.[0];
+      if (servicePrincipal) {
+        entries.push({
+          uniqueId: object.uniqueId,
+          kind: "enterpriseApplication",
+          objectType: "servicePrincipal",
+          objectId: servicePrincipal.id,
+          displayName: servicePrincipal.displayName,
+          url: `/servicePrincipals/${servicePrincipal.id}`,
+          ...reconcileEnterpriseServicePrincipal(
+            enterpriseConfig,
+            servicePrincipal
+          ),
+        });
+      }
+    }
+
+    const writes = entries.filter((entry) => entry.changes.length > 0);
+    const results = await this.graph.batch(
+      writes.map((entry) => ({
+        method: "PATCH",
+        url: entry.url,
+        body: entry.patch,
+      }))
+    );
 
+    return entries.map((entry) => {
+      const { url, patch, ...logged } = entry;
+      const result = results[writes.indexOf(entry)];
+      const outcome = {
+        ...logged,
+        status: !result ? "unchanged" : result.error ? "failed" : "updated",
+        message: result?.error?.message || null,
+      };
+      if (outcome.status === "failed") {
+        console.warn(
+          `Could not reconcile ${entry.objectType} ${entry.displayName}: ${outcome.message}`
+        );
+      } else if (outcome.status === "updated") {
         console.log(
-          `Added My API permission from App3 to App2: ${targetAppId}`
+          `Reconciled ${entry.objectType} ${entry.displayName}: ${entry.changes
+            .map((change) => change.field)
+            .join(", ")}`
         );
       }
-    } catch (error) {
-      console.warn(`Could not add My API permission: ${error.message}`);
+      this.reportProgress("reconcile", outcome);
+      return outcome;
+    });
+  }
+
+  /**
+   * Loads the tags of an application
+   * @param {string} applicationObjectId - Object ID of the application
+   * @returns {Array|null} The application's tags, or null if the application does not exist
+   */
+  async getApplicationTags(applicationObjectId) {
+    try {
+      const response = await this.graph.get(
+        `/applications/${applicationObjectId}?$select=id,tags`
+      );
+      return response.data.tags || [];
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw new Error(`Failed to load application: ${error.message}`);
+    }
+  }
+
+  /**
+   * Loads the client secrets and certificates of an application
+   * @param {string} applicationObjectId - Object ID of the application
+   * @returns {Object|null} { objectId, appId, displayName, passwordCredentials, keyCredentials }, or null
+   *   if the application does not exist
+   */
+  async getApplicationCredentials(applicationObjectId) {
+    try {
+      const response = await this.graph.get(
+        `/applications/${applicationObjectId}?$select=id,appId,displayName,passwordCredentials,keyCredentials`
+      );
+      return {
+        objectId: response.data.id,
+        appId: response.data.appId,
+        displayName: response.data.displayName,
+        passwordCredentials: response.data.passwordCredentials || [],
+        keyCredentials: response.data.keyCredentials || [],
+      };
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw new Error(
+        `Failed to load credentials of application ${applicationObjectId}: ${
+          error.message
+        }`
+      );
+    }
+  }
+
+  /**
+   * Lists the client secrets and certificates of every application with a provisioner marker tag
+   * Matching tags by prefix is an advanced query, which needs ConsistencyLevel: eventual and $count
+   * @returns {Array} Applications ({ objectId, appId, displayName, passwordCredentials, keyCredentials })
+   */
+  async listManagedApplicationCredentials() {
+    try {
+      const applications = await this.graph.getAll(
+        `/applications?${filterQuery`tags/any(t:startswith(t, ${`${APP_MARKER_PREFIX}:`}))`}&$count=true&$select=id,appId,displayName,passwordCredentials,keyCredentials`,
+        { headers: { ConsistencyLevel: "eventual" } }
+      );
+      return applications.map((application) => ({
+        objectId: application.id,
+        appId: application.appId,
+        displayName: application.displayName,
+        passwordCredentials: application.passwordCredentials || [],
+        keyCredentials: application.keyCredentials || [],
+      }));
+    } catch (error) {
+      throw new Error(
+        `Failed to list provisioned applications: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Gets the ID of the tenant the credential signs in to
+   * @returns {string|null} Tenant ID, or null if the organization cannot be read
+   */
+  async getOrganizationId() {
+    const response = await this.graph.get("/organization?$select=id");
+    return response.data.value[0]?.id || null;
+  }
+
+  /**
+   * Loads a SAML enterprise application with the token signing certificate its service principal uses
+   * The preferred signing key is picked; without one the certificate that expires last
+   * @param {string} servicePrincipalId - Object ID of the service principal
+   * @returns {Object|null} { servicePrincipal, application, signingCertificate } with
+   *   signingCertificate as { keyId, thumbprint, expiresAt, certificate } (base64 DER) or null, or
+   *   null if the service principal does not exist
+   */
+  async getSamlApplication(servicePrincipalId) {
+    let servicePrincipal;
+    try {
+      // The certificate data (key) is only returned when keyCredentials is selected on one object
+      const response = await this.graph.get(
+        `/servicePrincipals/${servicePrincipalId}?$select=id,appId,displayName,preferredSingleSignOnMode,preferredTokenSigningKeyThumbprint,loginUrl,samlSingleSignOnSettings,keyCredentials`
+      );
+      servicePrincipal = response.data;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw new Error(
+        `Failed to load service principal ${servicePrincipalId}: ${error.message}`
+      );
+    }
+
+    const response = await this.graph.get(
+      `/applications?${filterQuery`appId eq ${servicePrincipal.appId}`}&$select=id,appId,identifierUris,web`
+    );
+    const application = response.data.value[0] || null;
+
+    // customKeyIdentifier holds the thumbprint, either as hex or as base64 of its bytes
+    const thumbprintOf = (key) =>
+      /^[0-9A-Fa-f]{40}$/.test(key.customKeyIdentifier || "")
+        ? key.customKeyIdentifier.toUpperCase()
+        : Buffer.from(key.customKeyIdentifier || "", "base64")
+            .toString("hex")
+            .toUpperCase();
+    const certificates = (servicePrincipal.keyCredentials || [])
+      .filter(
+        (key) =>
+          key.type === "AsymmetricX509Cert" && key.usage === "Verify" && key.key
+      )
+      .sort((a, b) => b.endDateTime.localeCompare(a.endDateTime));
+    const preferred = (
+      servicePrincipal.preferredTokenSigningKeyThumbprint || ""
+    ).toUpperCase();
+    const certificate =
+      certificates.find((key) => thumbprintOf(key) === preferred) ||
+      certificates[0];
+
+    return {
+      servicePrincipal,
+      application,
+      signingCertificate: certificate
+        ? {
+            keyId: certificate.keyId,
+            thumbprint: thumbprintOf(certificate),
+            expiresAt: certificate.endDateTime,
+            certificate: certificate.key,
+          }
+        : null,
+    };
+  }
+
+  /**
+   * Deletes an application registration by object ID
+   * @param {string} applicationId - Object ID of the application
+   * @returns {boolean} True if deleted, false if the application no longer existed
+   */
+  async deleteApplication(applicationId) {
+    try {
+      await this.graph.delete(`/applications/${applicationId}`);
+      return true;
+    } catch (error) {
+      if (error.status === 404) {
+        return false;
+      }
+      throw new Error(`Failed to delete application: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes a service principal by object ID
+   * @param {string} servicePrincipalId - Object ID of the service principal
+   * @returns {boolean} True if deleted, false if the service principal no longer existed
+   */
+  async deleteServicePrincipal(servicePrincipalId) {
+    try {
+      await this.graph.delete(`/servicePrincipals/${servicePrincipalId}`);
+      return true;
+    } catch (error) {
+      if (error.status === 404) {
+        return false;
+      }
+      throw new Error(`Failed to delete service principal: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes a claims mapping policy by object ID
+   * @param {string} policyId - Object ID of the claims mapping policy
+   * @returns {boolean} True if deleted, false if the policy no longer existed
+   */
+  async deleteClaimsMappingPolicy(policyId) {
+    try {
+      await this.graph.delete(`/policies/claimsMappingPolicies/${policyId}`);
+      return true;
+    } catch (error) {
+      if (error.status === 404) {
+        return false;
+      }
+      throw new Error(
+        `Failed to delete claims mapping policy: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Generates a new GUID (UUID) for use in Azure AD configurations
+   * @returns {string} A new GUID in standard format
+   */
+  generateGuid() {
+    return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(
+      /[xy]/g,
+      function (c) {
+        const r = (Math.random() * 16) | 0;
+        const v = c === "x" ? r : (r & 0x3) | 0x8;
+        return v.toString(16);
+      }
+    );
+  }
+}
+
+// Routes
+app.get("/", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "index.html"));
+});
+
+/**
+ * Health check endpoint that returns server status and available features
+ */
+app.get("/api/health", (req, res) => {
+  res.json({
+    status: "healthy",
+    timestamp: new Date().toISOString(),
+    version: "2.1.0",
+    identity: {
+      provisioner: provisionerIdentity ? provisionerIdentity.type : "none",
+      requestCredentials: allowRequestCredentials,
+      apiKeyRequired: provisionerApiKeys.length > 0,
+    },
+    features: [
+      "Duplicate Detection and Reuse",
+      "Unique App Identification System",
+      "Custom Application Names Support",
+      "Declarative Blueprints (JSON/YAML)",
+      "Per-App API Permissions from Blueprints",
+      "Application ID URI Configuration (API apps)",
+      "Web Platform & My API Access (client apps)",
+      "Enhanced Admin Consent with Retry Logic",
+      "Client Secrets Stored in Secret Sinks (Key Vault, Encrypted File, .env)",
+      "Client Secret Rotation with Grace Period",
+      "Certificate Credentials (generated or supplied)",
+      "Credential Expiry Monitoring and Notifications",
+      "Drift Detection for Reused Apps",
+      "SAML Federation Metadata Export",
+      "Application Proxy Publishing with Connector Groups",
+      "Server-Side Provisioner Identity (environment, managed identity, workload identity, certificate)",
+      "Custom Redirect URIs",
+      "SAML + Proxy Enterprise Applications",
+      "Proxy-Only Enterprise Applications",
+      "Cross-Application Permissions",
+      "Enhanced Status Reporting",
+      "Production-Ready Security",
+    ],
+  });
+});
+
+/**
+ * Builds the app registration and enterprise application configurations for a provisioning request
+ * Fills in the blueprint placeholders and applies the per-app overrides from the request
+ * @param {Object} data - Validated provisioning request data with its loaded blueprint
+ * @returns {Object} Object containing appConfigs, enterpriseConfigs and crossPermissions arrays
+ */
+function buildProvisioningConfigs(data) {
+  const {
+    environment,
+    applicationPrefix,
+    blueprint,
+    overrides,
+    generateSecrets,
+    grantAdminConsent,
+    secretLifetimeDays,
+    secretGracePeriodMinutes,
+    credentialType,
+    certificateLifetimeDays,
+  } = data;
+
+  const blueprintIds = [
+    ...blueprint.appRegistrations,
+    ...blueprint.enterpriseApplications,
+  ].map((app) => app.id);
+  const unknownIds = Object.keys(overrides).filter(
+    (id) => !blueprintIds.includes(id)
+  );
+  if (unknownIds.length > 0) {
+    throw new Error(
+      `Overrides reference applications that are not in blueprint ${blueprint.name}: ${unknownIds.join(", ")}`
+    );
+  }
+
+  const variables = { applicationPrefix, environment };
+
+  const appConfigs = blueprint.appRegistrations.map((app) => {
+    const override = overrides[app.id] || {};
+    return {
+      name: `${applicationPrefix}-${environment}-${override.name || app.name}`,
+      uniqueId: app.id,
+      marker: buildAppMarker(
+        applicationPrefix,
+        blueprint.name,
+        environment,
+        app.id
+      ),
+      role: app.role,
+      scopes: app.scopes,
+      appRoles: app.appRoles,
+      type: app.type,
+      redirectUris:
+        override.redirectUris ||
+        app.redirectUris.map((uri) => fillPlaceholders(uri, variables)),
+      permissions: app.permissions,
+      generateSecret: generateSecrets,
+      credentialType,
+      certificate: override.certificate || null,
+      certificateLifetimeDays,
+      secretLifetimeDays,
+      secretGracePeriodMinutes,
+      grantAdminConsent: grantAdminConsent,
+    };
+  });
+
+  const enterpriseConfigs = blueprint.enterpriseApplications.map((app) => {
+    const override = overrides[app.id] || {};
+    const proxySettings = {
+      internalUrl:
+        override.internalUrl ||
+        fillPlaceholders(app.proxy.internalUrl, variables),
+      externalUrl:
+        override.externalUrl ||
+        fillPlaceholders(app.proxy.externalUrl, variables),
+      preAuthentication: app.proxy.preAuthentication,
+      connectorGroup:
+        override.connectorGroup ||
+        (app.proxy.connectorGroup
+          ? fillPlaceholders(app.proxy.connectorGroup, variables)
+          : null),
+      translateHostHeader: app.proxy.translateHostHeader,
+      translateLinksInBody: app.proxy.translateLinksInBody,
+      cookies: app.proxy.cookies,
+    };
+    const samlVariables = {
+      ...variables,
+      internalUrl: proxySettings.internalUrl,
+      externalUrl: proxySettings.externalUrl,
+    };
+
+    return {
+      name: `${applicationPrefix}-${environment}-${override.name || app.name}`,
+      uniqueId: app.id,
+      marker: buildAppMarker(
+        applicationPrefix,
+        blueprint.name,
+        environment,
+        app.id
+      ),
+      type: app.type,
+      samlSettings: app.saml
+        ? {
+            identifier: fillPlaceholders(app.saml.identifier, samlVariables),
+            replyUrl: fillPlaceholders(app.saml.replyUrl, samlVariables),
+            signOnUrl: fillPlaceholders(app.saml.signOnUrl, samlVariables),
+            logoutUrl: app.saml.logoutUrl
+              ? fillPlaceholders(app.saml.logoutUrl, samlVariables)
+              : null,
+            relayState: app.saml.relayState
+              ? fillPlaceholders(app.saml.relayState, samlVariables)
+              : null,
+            certificateLifetimeDays: app.saml.certificateLifetimeDays,
+            claims: app.saml.claims,
+          }
+        : null,
+      proxySettings,
+    };
+  });
+
+  return {
+    appConfigs,
+    enterpriseConfigs,
+    crossPermissions: sortCrossPermissions(
+      blueprint.appRegistrations,
+      blueprint.crossPermissions
+    ),
+  };
+}
+
+/**
+ * Loads the blueprint of a provisioning request and builds its configurations
+ * The loaded blueprint replaces the blueprint name in the request data, so the stored inputs
+ * of a run keep the exact blueprint it was provisioned from (e.g. for resuming it later)
+ * @param {Object} data - Validated provisioning request data
+ * @returns {Object} Configurations built by buildProvisioningConfigs
+ */
+async function prepareBlueprint(data) {
+  data.blueprint = await loadBlueprint(data.blueprint, blueprintsDir);
+  return buildProvisioningConfigs(data);
+}
+
+/**
+ * Resolves the named API permissions of a request's app registrations to permission IDs
+ * Runs before a job is created, so unknown permission names fail the request before anything is provisioned
+ * @param {Object} data - Validated provisioning request data
+ * @param {Object} configs - Configurations built by buildProvisioningConfigs
+ * @param {Object} credential - Azure TokenCredential of the request
+ * @returns {Array} Validation error details ({ field, message }), empty if every permission resolved
+ */
+async function resolvePermissions(data, configs, credential) {
+  const graphService = new GraphApiService();
+  await graphService.initialize(data.tenantId, credential);
+
+  const errors = await graphService.resolveAppPermissions(configs.appConfigs);
+  return errors.map((error) => ({
+    field: `blueprint.appRegistrations.${error.uniqueId}.permissions`,
+    message: error.message,
+  }));
+}
+
+/**
+ * Builds the ordered list of steps a provisioning run goes through, used for job status tracking
+ * @param {Object} data - Validated provisioning request data
+ * @param {Object} configs - App registration and enterprise application configurations
+ * @returns {Array} Array of { id, name } step descriptors
+ */
+function buildProvisioningSteps(data, { appConfigs, enterpriseConfigs }) {
+  return [
+    {
+      id: "resourceGroup",
+      name: `Resource group ${data.resourceGroupName}`,
+    },
+    ...appConfigs.map((config) => ({
+      id: `appRegistration:${config.uniqueId}`,
+      name: `App registration ${config.name}`,
+    })),
+    ...enterpriseConfigs.map((config) => ({
+      id: `enterpriseApplication:${config.uniqueId}`,
+      name: `Enterprise application ${config.name}`,
+    })),
+    ...(data.reconcile
+      ? [{ id: "reconcile", name: "Reconcile reused applications" }]
+      : []),
+    {
+      id: "crossPermissions",
+      name: "Cross-application permissions",
+    },
+  ];
+}
+
+/**
+ * Builds the summary counters reported for a finished provisioning run
+ * @param {Object} provisioningResults - Results collected during the run
+ * @param {Object} data - Validated provisioning request data
+ * @returns {Object} Summary of created, reused and failed resources
+ */
+function buildProvisioningSummary(provisioningResults, data) {
+  const { enableCrossPermissions, generateSecrets, grantAdminConsent } = data;
+
+  return {
+    resourceGroupCreated: !!provisioningResults.resourceGroup,
+    appRegistrationsCreated: provisioningResults.appRegistrations.filter(
+      (app) => !app.isExisting
+    ).length,
+    appRegistrationsReused: provisioningResults.appRegistrations.filter(
+      (app) => app.isExisting
+    ).length,
+    enterpriseApplicationsCreated:
+      provisioningResults.enterpriseApplications.filter(
+        (app) => !app.isExisting
+      ).length,
+    enterpriseApplicationsReused:
+      provisioningResults.enterpriseApplications.filter((app) => app.isExisting)
+        .length,
+    crossApplicationPermissionsConfigured:
+      enableCrossPermissions &&
+      provisioningResults.crossPermissions.every(
+        (outcome) =>
+          outcome.status === "added" || outcome.status === "alreadyPresent"
+      ),
+    crossApplicationPermissionsAdded:
+      provisioningResults.crossPermissions.filter(
+        (outcome) => outcome.status === "added"
+      ).length,
+    clientSecretsGenerated: generateSecrets,
+    credentialType: generateSecrets ? data.credentialType : null,
+    adminConsentAttempted: grantAdminConsent,
+    adminConsentSuccessful: provisioningResults.appRegistrations.some(
+      (app) => app.adminConsentGranted
+    ),
+    delegatedScopesConsented: [
+      ...provisioningResults.appRegistrations,
+      ...(provisioningResults.crossPermissionConsent || []),
+    ]
+      .flatMap((result) => result.delegatedConsent || [])
+      .reduce((count, outcome) => count + outcome.consented.length, 0),
+    brokenPermissionsCount: (provisioningResults.permissionIssues || []).length,
+    driftedAppsCount: (provisioningResults.drift || []).filter(
+      (report) => report.status === "drifted"
+    ).length,
+    objectsReconciled: (provisioningResults.reconciliation || []).filter(
+      (entry) => entry.status === "updated"
+    ).length,
+    errorsCount: provisioningResults.errors.length,
+    warningsCount: provisioningResults.warnings.length,
+  };
+}
+
+/**
+ * Describes a connector group a blueprint entry names but the tenant does not have
+ * @param {string} name - Connector group name
+ * @param {Array} available - Names of the tenant's connector groups
+ * @returns {string} Message naming the groups that do exist
+ */
+function describeMissingConnectorGroup(name, available) {
+  return `Connector group '${name}' does not exist - ${
+    available.length > 0
+      ? `available groups: ${available.join(", ")}`
+      : "the tenant has no connector groups"
+  }`;
+}
+
+/**
+ * Checks the Application Proxy publishing a plan would do for a new enterprise application
+ * A connector group the tenant does not have (or that could not be looked up) is a plan warning
+ * @param {GraphApiService} graphService - Initialized Graph service
+ * @param {Object} config - Enterprise app config (see buildProvisioningConfigs)
+ * @param {Object} plan - Plan the warnings are added to
+ * @returns {Object} { action, internalUrl, externalUrl, preAuthentication, connectorGroup } with
+ *   action publish or skip and connectorGroup as { id, name, status } with status found, missing or
+ *   unverified, or null for the default group
+ */
+async function planProxyPublishing(graphService, config, plan) {
+  const { proxySettings } = config;
+  const publishing = {
+    action: applicationProxyEnabled ? "publish" : "skip",
+    internalUrl: proxySettings.internalUrl,
+    externalUrl: proxySettings.externalUrl,
+    preAuthentication: proxySettings.preAuthentication,
+    connectorGroup: null,
+  };
+  if (!applicationProxyEnabled || !proxySettings.connectorGroup) {
+    return publishing;
+  }
+
+  const name = proxySettings.connectorGroup;
+  try {
+    const { group, available } = await graphService.findConnectorGroup(name);
+    publishing.connectorGroup = {
+      id: group?.id || null,
+      name: group?.name || name,
+      status: group ? "found" : "missing",
+    };
+    if (!group) {
+      plan.warnings.push(
+        `${config.name} will not be assigned to its connector group: ${describeMissingConnectorGroup(
+          name,
+          available
+        )}`
+      );
+    }
+  } catch (error) {
+    publishing.connectorGroup = { id: null, name, status: "unverified" };
+    plan.warnings.push(`${config.name}: ${error.message}`);
+  }
+  return publishing;
+}
+
+/**
+ * Looks up the application a plan reuses for a blueprint entry
+ * Lookup failures and untagged apps with the entry's display name, which a run refuses to
+ * duplicate, are recorded as plan errors
+ * @param {GraphApiService} graphService - Initialized Graph service
+ * @param {Object} config - App or enterprise app config (see buildProvisioningConfigs)
+ * @param {Object} plan - Plan the errors are added to
+ * @returns {Object|null} The existing application, or null if a new one will be created
+ */
+async function findPlannedApplication(graphService, config, plan) {
+  try {
+    return await graphService.findReusableApplication(config);
+  } catch (error) {
+    plan.errors.push(error.message);
+    return null;
+  }
+}
+
+/**
+ * Builds a provisioning plan without writing to the tenant (dry-run mode)
+ * Only reads existing resource groups, applications and service principals to decide
+ * what would be created, what would be reused, and which permissions and consents would be applied
+ * @param {string} requestId - Request ID of the dry run
+ * @param {Object} data - Validated provisioning request data
+ * @param {Object} configs - App registration and enterprise application configurations
+ * @param {Object} credential - Azure TokenCredential of the request
+ * @returns {Object} Plan describing the changes a real run would make
+ */
+async function planProvisioning(
+  requestId,
+  data,
+  { appConfigs, enterpriseConfigs, crossPermissions },
+  credential
+) {
+  const {
+    tenantId,
+    subscriptionId,
+    resourceGroupName,
+    location,
+    enableCrossPermissions,
+    generateSecrets,
+    grantAdminConsent,
+    reconcile,
+  } = data;
+
+  // Initialize services
+  const azureRM = new AzureResourceManager();
+  const graphService = new GraphApiService();
+
+  await azureRM.initialize(subscriptionId, credential);
+  await graphService.initialize(tenantId, credential);
+
+  const plan = {
+    requestId,
+    resourceGroup: null,
+    appRegistrations: [],
+    enterpriseApplications: [],
+    crossPermissions: [],
+    consents: [],
+    errors: [],
+    warnings: [],
+  };
+
+  // Step 1: Resource Group
+  try {
+    const existingResourceGroup =
+      await azureRM.checkExistingResourceGroup(resourceGroupName);
+    plan.resourceGroup = {
+      name: resourceGroupName,
+      location: existingResourceGroup?.location || location,
+      action: existingResourceGroup ? "reuse" : "create",
+    };
+    if (existingResourceGroup && existingResourceGroup.location !== location) {
+      plan.warnings.push(
+        `Resource group ${resourceGroupName} already exists in ${existingResourceGroup.location}, not ${location}`
+      );
+    }
+  } catch (error) {
+    plan.errors.push(`Resource Group lookup failed: ${error.message}`);
+  }
+
+  // Step 2: App Registrations
+  const existingApps = {};
+  for (const config of appConfigs) {
+    const existingApp = await findPlannedApplication(
+      graphService,
+      config,
+      plan
+    );
+    const existingServicePrincipal = existingApp
+      ? await graphService.checkExistingServicePrincipal(existingApp.appId)
+      : null;
+    existingApps[config.uniqueId] = existingApp;
+    // In reconcile mode existing apps are updated with these changes
+    const changes =
+      reconcile && existingApp
+        ? reconcileAppRegistration(config, existingApp).changes
+        : [];
+
+    // Existing apps are reused as they are, new apps get the permissions their blueprint entry declares
+    const requiredResourceAccess = existingApp
+      ? []
+      : config.requiredResourceAccess.flatMap((resource) =>
+          resource.resourceAccess.map((permission) => ({
+            resourceAppId: resource.resourceAppId,
+            id: permission.id,
+            type: permission.type,
+          }))
+        );
+
+    plan.appRegistrations.push({
+      displayName: config.name,
+      uniqueId: config.uniqueId,
+      type: config.type,
+      redirectUris: config.redirectUris,
+      action: existingApp
+        ? changes.length > 0
+          ? "reconcile"
+          : "reuse"
+        : "create",
+      appId: existingApp?.appId || null,
+      objectId: existingApp?.id || null,
+      servicePrincipal: existingServicePrincipal ? "reuse" : "create",
+      changes,
+      clientSecret: generateSecrets ? "create" : "skip",
+      credentialType: generateSecrets ? data.credentialType : null,
+      secretSink:
+        generateSecrets && !config.certificate ? secretSinkType : null,
+      requiredResourceAccess,
+      isExisting: !!existingApp,
+    });
+
+    if (existingApp && !existingServicePrincipal) {
+      plan.warnings.push(
+        `App registration ${config.name} exists but has no service principal - it will not be created on reuse`
+      );
+    }
+
+    // Admin consent is only attempted for the application and delegated permissions of newly created apps
+    if (grantAdminConsent && !existingApp) {
+      requiredResourceAccess.forEach((permission) =>
+        plan.consents.push({
+          uniqueId: config.uniqueId,
+          resourceAppId: permission.resourceAppId,
+          permissionId: permission.id,
+          type: permission.type,
+        })
+      );
+    }
+  }
+
+  // Step 3: Enterprise Applications
+  for (const config of enterpriseConfigs) {
+    const existingApp = await findPlannedApplication(
+      graphService,
+      config,
+      plan
+    );
+    const existingServicePrincipal = existingApp
+      ? await graphService.checkExistingServicePrincipal(existingApp.appId)
+      : null;
+    const changes =
+      reconcile && existingApp
+        ? [
+            ...reconcileEnterpriseApplication(config, existingApp).changes,
+            ...(existingServicePrincipal
+              ? reconcileEnterpriseServicePrincipal(
+                  config,
+                  existingServicePrincipal
+                ).changes
+              : []),
+          ]
+        : [];
+
+    plan.enterpriseApplications.push({
+      displayName: config.name,
+      uniqueId: config.uniqueId,
+      type: config.type,
+      action: existingApp
+        ? changes.length > 0
+          ? "reconcile"
+          : "reuse"
+        : "create",
+      appId: existingApp?.appId || null,
+      objectId: existingApp?.id || null,
+      servicePrincipal: existingServicePrincipal ? "reuse" : "create",
+      ssoMode: config.type === "saml" ? "saml" : "none",
+      samlSettings: config.samlSettings,
+      proxySettings: config.proxySettings,
+      // Reused apps keep their publishing as it is
+      proxyPublishing: existingApp
+        ? null
+        : await planProxyPublishing(graphService, config, plan),
+      changes,
+      isExisting: !!existingApp,
+    });
+  }
+
+  // Step 4: Cross-application permissions
+  if (enableCrossPermissions) {
+    for (const permission of crossPermissions) {
+      const sourceApp = existingApps[permission.source];
+      const targetApp = existingApps[permission.target];
+      const value = permission.scope || permission.appRole;
+      const accessType = permission.appRole ? "Role" : "Scope";
+
+      // Existing target apps must already expose the scope or app role, new ones get it from the blueprint
+      const exposed = permission.appRole
+        ? targetApp?.appRoles
+        : targetApp?.api?.oauth2PermissionScopes;
+      const targetEntry = exposed?.find((entry) => entry.value === value);
+      const alreadyPresent =
+        !!targetEntry &&
+        (sourceApp?.requiredResourceAccess || []).some(
+          (resource) =>
+            resource.resourceAppId === targetApp.appId &&
+            resource.resourceAccess.some(
+              (access) => access.id === targetEntry.id
+            )
+        );
+
+      let action = alreadyPresent ? "alreadyPresent" : "add";
+      let reason = null;
+      if (targetApp && !targetEntry) {
+        action = "skip";
+        reason = `${
+          permission.appRole ? "App role" : "Scope"
+        } '${value}' is not exposed by the existing target application`;
+      }
+
+      plan.crossPermissions.push({ ...permission, action, reason });
+
+      if (action === "add") {
+        const sourcePlan = plan.appRegistrations.find(
+          (app) => app.uniqueId === permission.source
+        );
+        sourcePlan.requiredResourceAccess.push({
+          resourceAppId: targetApp?.appId || `<${permission.target}>`,
+          id: targetEntry?.id || `<${value}>`,
+          type: accessType,
+        });
+      }
+    }
+  } else {
+    plan.warnings.push(
+      "Cross-application permissions skipped - configure manually if needed"
+    );
+  }
+
+  return plan;
+}
+
+/**
+ * Builds the summary counters reported for a provisioning plan, matching the provisioning summary format
+ * @param {Object} plan - Plan produced by planProvisioning
+ * @param {Object} data - Validated provisioning request data
+ * @returns {Object} Summary of resources that would be created and reused
+ */
+function buildPlanSummary(plan, data) {
+  return {
+    resourceGroupCreated: plan.resourceGroup?.action === "create",
+    appRegistrationsCreated: plan.appRegistrations.filter(
+      (app) => app.action === "create"
+    ).length,
+    appRegistrationsReused: plan.appRegistrations.filter(
+      (app) => app.isExisting
+    ).length,
+    enterpriseApplicationsCreated: plan.enterpriseApplications.filter(
+      (app) => app.action === "create"
+    ).length,
+    enterpriseApplicationsReused: plan.enterpriseApplications.filter(
+      (app) => app.isExisting
+    ).length,
+    applicationsReconciled: [
+      ...plan.appRegistrations,
+      ...plan.enterpriseApplications,
+    ].filter((app) => app.action === "reconcile").length,
+    requiredResourceAccessAdded: plan.appRegistrations.reduce(
+      (count, app) => count + app.requiredResourceAccess.length,
+      0
+    ),
+    crossApplicationPermissionsAdded: plan.crossPermissions.filter(
+      (permission) => permission.action === "add"
+    ).length,
+    clientSecretsGenerated: data.generateSecrets,
+    credentialType: data.generateSecrets ? data.credentialType : null,
+    adminConsentAttempted: plan.consents.length > 0,
+    consentsPlanned: plan.consents.length,
+    errorsCount: plan.errors.length,
+    warningsCount: plan.warnings.length,
+  };
+}
+
+/**
+ * Runs a provisioning job in the background and records progress in the job store
+ * Creates resource groups, app registrations, and enterprise applications with cross-permissions
+ * Steps that already succeeded in an earlier attempt of a resumed job are not run again -
+ * their recorded outputs are fed into the later steps instead
+ * @param {string} requestId - Request ID of the job
+ * @param {Object} data - Validated provisioning request data
+ * @param {Object} configs - App registration and enterprise application configurations
+ * @param {Object} credential - Azure TokenCredential of the request
+ */
+async function runProvisioning(
+  requestId,
+  data,
+  { appConfigs, enterpriseConfigs, crossPermissions },
+  credential
+) {
+  const {
+    tenantId,
+    subscriptionId,
+    resourceGroupName,
+    location,
+    enableCrossPermissions,
+    grantAdminConsent,
+    rollbackOnFailure,
+    reconcile,
+  } = data;
+
+  jobStore.startJob(requestId);
+
+  // Initialize services
+  const azureRM = new AzureResourceManager();
+  const graphService = new GraphApiService({
+    onProgress: (type, details) => {
+      if (type === "resourceCreated") {
+        jobStore.addCreatedResource(requestId, details);
+      }
+      jobStore.recordEvent(requestId, type, details);
+    },
+  });
+
+  await azureRM.initialize(subscriptionId, credential);
+  await graphService.initialize(tenantId, credential);
+  graphService.secretSink = buildSecretSink(graphService.credential);
+
+  const provisioningResults = {
+    requestId,
+    attempt: jobStore.getJob(requestId).attempts,
+    resourceGroup: null,
+    appRegistrations: [],
+    enterpriseApplications: [],
+    crossPermissions: [],
+    crossPermissionConsent: [],
+    permissionIssues: [],
+    drift: [],
+    reconciliation: [],
+    resumedSteps: [],
+    errors: [],
+    warnings: [],
+  };
+
+  /**
+   * Returns the step if it already succeeded in an earlier attempt, recording it as resumed
+   * @param {string} stepId - ID of the step
+   * @returns {Object|null} The succeeded step or null if it still has to run
+   */
+  const findSucceededStep = (stepId) => {
+    const step = jobStore.findStep(requestId, stepId);
+    if (!step || step.status !== STEP_STATUS.SUCCEEDED) return null;
+    provisioningResults.resumedSteps.push(stepId);
+    log("info", `Reusing result of ${step.name} from an earlier attempt`, {
+      requestId,
+      stepId,
+    });
+    return step;
+  };
+
+  // Step 1: Create Resource Group
+  const resourceGroupStep = findSucceededStep("resourceGroup");
+  if (resourceGroupStep) {
+    provisioningResults.resourceGroup = resourceGroupStep.output;
+  } else {
+    jobStore.startStep(requestId, "resourceGroup");
+    try {
+      provisioningResults.resourceGroup = await azureRM.createResourceGroup(
+        resourceGroupName,
+        location
+      );
+      if (!provisioningResults.resourceGroup.isExisting) {
+        jobStore.addCreatedResource(requestId, {
+          type: "resourceGroup",
+          id: provisioningResults.resourceGroup.id,
+          name: resourceGroupName,
+        });
+      }
+      jobStore.completeStep(requestId, "resourceGroup", {
+        output: provisioningResults.resourceGroup,
+      });
+      log("info", "Resource group created", {
+        requestId,
+        resourceGroup: resourceGroupName,
+      });
+    } catch (error) {
+      const errorMsg = `Resource Group creation failed: ${error.message}`;
+      provisioningResults.errors.push(errorMsg);
+      jobStore.failStep(requestId, "resourceGroup", errorMsg);
+      log("error", errorMsg, { requestId });
+    }
+  }
+
+  // Step 2: Create App Registrations with enhanced configurations using unique IDs
+  for (const config of appConfigs) {
+    const stepId = `appRegistration:${config.uniqueId}`;
+    const succeededStep = findSucceededStep(stepId);
+    if (succeededStep) {
+      provisioningResults.appRegistrations.push(succeededStep.output);
+      continue;
+    }
+
+    jobStore.startStep(requestId, stepId);
+    try {
+      const appResult = await graphService.createAppRegistration(config);
+      provisioningResults.appRegistrations.push(appResult);
+      jobStore.completeStep(requestId, stepId, { output: appResult });
+
+      const action = appResult.isExisting ? "reused existing" : "created new";
+      log("info", `App registration ${action}`, {
+        requestId,
+        appName: config.name,
+        uniqueId: config.uniqueId,
+        isExisting: appResult.isExisting,
+        adminConsentGranted: appResult.adminConsentGranted,
+      });
+    } catch (error) {
+      const errorMsg = `App Registration ${config.name} (${config.uniqueId}) failed: ${error.message}`;
+      provisioningResults.errors.push(errorMsg);
+      jobStore.failStep(requestId, stepId, errorMsg);
+      log("error", errorMsg, { requestId });
+    }
+  }
+
+  // Step 3: Create Enterprise Applications with different configurations using unique IDs
+  for (const config of enterpriseConfigs) {
+    const stepId = `enterpriseApplication:${config.uniqueId}`;
+    const succeededStep = findSucceededStep(stepId);
+    if (succeededStep) {
+      provisioningResults.enterpriseApplications.push(succeededStep.output);
+      continue;
+    }
+
+    jobStore.startStep(requestId, stepId);
+    try {
+      const enterpriseResult =
+        await graphService.createEnterpriseApplication(config);
+      provisioningResults.enterpriseApplications.push(enterpriseResult);
+      jobStore.completeStep(requestId, stepId, { output: enterpriseResult });
+
+      const action = enterpriseResult.isExisting
+        ? "reused existing"
+        : "created new";
+      log("info", `Enterprise application ${action}`, {
+        requestId,
+        appName: config.name,
+        uniqueId: config.uniqueId,
+        isExisting: enterpriseResult.isExisting,
+      });
+    } catch (error) {
+      const errorMsg = `Enterprise App ${config.name} (${config.uniqueId}) failed: ${error.message}`;
+      provisioningResults.errors.push(errorMsg);
+      jobStore.failStep(requestId, stepId, errorMsg);
+      log("error", errorMsg, { requestId });
+    }
+  }
+
+  // Compare reused apps with their blueprint entries before this run changes them further
+  try {
+    provisioningResults.drift = await graphService.detectDrift(
+      { appConfigs, enterpriseConfigs },
+      [
+        ...provisioningResults.appRegistrations,
+        ...provisioningResults.enterpriseApplications,
+      ]
+    );
+    for (const report of provisioningResults.drift) {
+      const app = provisioningResults.appRegistrations.find(
+        (candidate) => candidate.uniqueId === report.uniqueId
+      );
+      if (app && report.consent) {
+        app.adminConsentGranted = report.consent.granted;
+      }
+      // In reconcile mode the differences are fixed by the next step
+      if (report.status === "drifted" && !reconcile) {
+        provisioningResults.warnings.push(
+          `${report.displayName} differs from blueprint entry ${
+            report.uniqueId
+          }: ${report.differences
+            .map((difference) => difference.property)
+            .join(", ")}`
+        );
+      }
+    }
+    log("info", "Checked reused apps for drift", {
+      requestId,
+      drifted: provisioningResults.drift.filter(
+        (report) => report.status === "drifted"
+      ).length,
+    });
+  } catch (error) {
+    provisioningResults.warnings.push(`Drift check failed: ${error.message}`);
+    log("warn", "Drift check failed", {
+      requestId,
+      error: error.message,
+    });
+  }
+
+  // Update reused apps to match their blueprint entries (if enabled)
+  const reconcileStep = reconcile && findSucceededStep("reconcile");
+  if (reconcileStep) {
+    provisioningResults.reconciliation = reconcileStep.output;
+  } else if (reconcile) {
+    jobStore.startStep(requestId, "reconcile");
+    try {
+      provisioningResults.reconciliation =
+        await graphService.reconcileApplications(
+          { appConfigs, enterpriseConfigs },
+          [
+            ...provisioningResults.appRegistrations,
+            ...provisioningResults.enterpriseApplications,
+          ]
+        );
+
+      // Permissions added to reused apps, and ones never consented, get admin consent like new apps
+      if (grantAdminConsent) {
+        for (const report of provisioningResults.drift) {
+          const app = provisioningResults.appRegistrations.find(
+            (candidate) => candidate.uniqueId === report.uniqueId
+          );
+          const config = appConfigs.find(
+            (candidate) => candidate.uniqueId === report.uniqueId
+          );
+          if (
+            !app?.isExisting ||
+            !report.consent?.missing.length ||
+            app.servicePrincipalId === "Not found"
+          ) {
+            continue;
+          }
+          ({
+            granted: app.adminConsentGranted,
+            delegatedConsent: app.delegatedConsent,
+          } = await graphService.grantAdminConsent(
+            app.servicePrincipalId,
+            config.requiredResourceAccess
+          ));
+        }
+      }
+
+      const failed = provisioningResults.reconciliation.filter(
+        (entry) => entry.status === "failed"
+      );
+      if (failed.length > 0) {
+        const errorMsg = `Reconciliation incomplete: ${failed
+          .map((entry) => `${entry.displayName} (${entry.message})`)
+          .join(", ")}`;
+        provisioningResults.errors.push(errorMsg);
+        jobStore.failStep(requestId, "reconcile", errorMsg);
+        log("error", errorMsg, { requestId });
+      } else {
+        jobStore.completeStep(requestId, "reconcile", {
+          output: provisioningResults.reconciliation,
+        });
+        log("info", "Reused applications reconciled", {
+          requestId,
+          updated: provisioningResults.reconciliation.filter(
+            (entry) => entry.status === "updated"
+          ).length,
+        });
+      }
+    } catch (error) {
+      const errorMsg = `Reconciliation failed: ${error.message}`;
+      provisioningResults.errors.push(errorMsg);
+      jobStore.failStep(requestId, "reconcile", errorMsg);
+      log("error", errorMsg, { requestId });
+    }
+  }
+
+  // Step 4: Configure cross-application permissions between the blueprint's apps (if enabled)
+  const crossPermissionsStep = findSucceededStep("crossPermissions");
+  if (crossPermissionsStep) {
+    provisioningResults.crossPermissions = crossPermissionsStep.output || [];
+    if (crossPermissionsStep.skipped) {
+      provisioningResults.warnings.push(
+        "Cross-application permissions skipped - configure manually if needed"
+      );
+    }
+  } else if (enableCrossPermissions) {
+    jobStore.startStep(requestId, "crossPermissions");
+    try {
+      provisioningResults.crossPermissions =
+        await graphService.configureCrossApplicationPermissions(
+          provisioningResults.appRegistrations,
+          crossPermissions
+        );
+
+      // Edges that were skipped or failed leave the step failed, so a resume retries them
+      const notApplied = provisioningResults.crossPermissions.filter(
+        (outcome) => outcome.status === "skipped" || outcome.status === "failed"
+      );
+      notApplied.forEach((outcome) =>
+        provisioningResults.warnings.push(
+          `Cross permission ${describeCrossPermission(outcome)} ${outcome.status}: ${outcome.message}`
+        )
+      );
+
+      if (notApplied.length > 0) {
+        const errorMsg = `Cross-application permissions incomplete: ${notApplied.length} of ${provisioningResults.crossPermissions.length} edges were not applied`;
+        provisioningResults.errors.push(errorMsg);
+        jobStore.failStep(requestId, "crossPermissions", errorMsg);
+        log("error", errorMsg, { requestId });
+      } else {
+        jobStore.completeStep(requestId, "crossPermissions", {
+          output: provisioningResults.crossPermissions,
+        });
+        log(
+          "info",
+          "Cross-application permissions configured for app registrations",
+          {
+            requestId,
+            edges: provisioningResults.crossPermissions.length,
+          }
+        );
+      }
+    } catch (error) {
+      const errorMsg = `Cross-application permissions failed: ${error.message}`;
+      provisioningResults.errors.push(errorMsg);
+      jobStore.failStep(requestId, "crossPermissions", errorMsg);
+      log("error", errorMsg, { requestId });
+    }
+  } else {
+    jobStore.completeStep(requestId, "crossPermissions", { skipped: true });
+    log("info", "Cross-application permissions skipped per user request", {
+      requestId,
+    });
+    provisioningResults.warnings.push(
+      "Cross-application permissions skipped - configure manually if needed"
+    );
+  }
+
+  // Cross permissions are added after the apps were created, so they need their own consent pass
+  if (enableCrossPermissions && grantAdminConsent) {
+    try {
+      provisioningResults.crossPermissionConsent =
+        await graphService.grantCrossPermissionConsent(
+          provisioningResults.appRegistrations
+        );
+      log("info", "Admin consent granted for cross-application permissions", {
+        requestId,
+        apps: provisioningResults.crossPermissionConsent.length,
+      });
+    } catch (error) {
+      provisioningResults.warnings.push(
+        `Admin consent for cross-application permissions failed: ${
+          error.message
+        }`
+      );
+      log("warn", "Admin consent for cross-application permissions failed", {
+        requestId,
+        error: error.message,
+      });
+    }
+  }
+
+  // Flag requiredResourceAccess entries of the managed apps that point to nonexistent permission IDs
+  try {
+    provisioningResults.permissionIssues =
+      await graphService.verifyRequiredResourceAccess([
+        ...provisioningResults.appRegistrations,
+        ...provisioningResults.enterpriseApplications,
+      ]);
+    provisioningResults.permissionIssues.forEach((issue) =>
+      provisioningResults.warnings.push(`Broken permission: ${issue.message}`)
+    );
+    log("info", "Verified required resource access of managed apps", {
+      requestId,
+      issues: provisioningResults.permissionIssues.length,
+    });
+  } catch (error) {
+    provisioningResults.warnings.push(
+      `Permission verification failed: ${error.message}`
+    );
+    log("warn", "Permission verification failed", {
+      requestId,
+      error: error.message,
+    });
+  }
+
+  // Add warnings for manual steps
+  provisioningResults.appRegistrations
+    .filter((app) => app.secretReference?.status === "failed")
+    .forEach((app) =>
+      provisioningResults.warnings.push(
+        `Credential of ${app.displayName} not available: ${app.secretReference.message}`
+      )
+    );
+  if (
+    !applicationProxyEnabled &&
+    provisioningResults.enterpriseApplications.some((app) => !app.isExisting)
+  ) {
+    provisioningResults.warnings.push(
+      "Application Proxy publishing is disabled (ENABLE_APPLICATION_PROXY=false) - new enterprise apps need to be published manually"
+    );
+  }
+  for (const app of provisioningResults.enterpriseApplications) {
+    for (const step of app.samlConfiguration?.steps || []) {
+      if (step.status === "failed") {
+        provisioningResults.warnings.push(
+          `SAML ${step.setting} of ${app.displayName} needs to be configured manually: ${step.message}`
+        );
+      }
+    }
+    for (const step of app.proxyPublishing?.steps || []) {
+      if (step.status === "failed") {
+        provisioningResults.warnings.push(
+          `Application Proxy ${step.setting} of ${app.displayName} needs to be configured manually: ${step.message}`
+        );
+      }
+    }
+  }
+  if (grantAdminConsent) {
+    provisioningResults.warnings.push(
+      "Admin consent attempted - verify permissions in Azure Portal if needed"
+    );
+  }
+
+  // Roll back everything this run created if any step failed (if enabled)
+  const job = jobStore.getJob(requestId);
+  if (
+    rollbackOnFailure &&
+    job.steps.some((step) => step.status === STEP_STATUS.FAILED)
+  ) {
+    log("warn", "Provisioning failed - rolling back created resources", {
+      requestId,
+    });
+    jobStore.startTeardown(requestId, "rollback");
+    provisioningResults.rollback = await teardownProvisioning(
+      requestId,
+      azureRM,
+      graphService
+    );
+    provisioningResults.warnings.push(
+      `Rollback ${provisioningResults.rollback.status}: ${
+        provisioningResults.rollback.deletions.filter(
+          (deletion) => deletion.status !== "failed"
+        ).length
+      } of ${provisioningResults.rollback.deletions.length} created resources removed`
+    );
+  }
+
+  jobStore.finishJob(
+    requestId,
+    provisioningResults,
+    buildProvisioningSummary(provisioningResults, data)
+  );
+  log("info", "Azure resource provisioning finished", {
+    requestId,
+    status: jobStore.getJob(requestId).status,
+    duration: jobStore.getJob(requestId).duration,
+  });
+}
+
+/**
+ * Main provisioning endpoint with enhanced functionality using unique app identification
+ * Starts a background provisioning job and returns its request ID right away
+ * Progress and final results are available from GET /api/provision/:requestId
+ * With dryRun enabled, only reads from the tenant and returns the provisioning plan directly
+ */
+app.post(
+  "/api/provision",
+  validateRequest(provisioningSchema),
+  authenticateRequest,
+  async (req, res) => {
+    const requestId = uuidv4();
+    const data = req.validatedData;
+
+    let configs;
+    try {
+      configs = await prepareBlueprint(data);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid blueprint",
+        message: error.message,
+        requestId,
+      });
+    }
+
+    try {
+      const permissionErrors = await resolvePermissions(
+        data,
+        configs,
+        req.identity.credential
+      );
+      if (permissionErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: permissionErrors,
+          requestId,
+        });
+      }
+    } catch (error) {
+      log("error", "Permission resolution failed", {
+        requestId,
+        error: error.message,
+      });
+      return res.status(500).json({
+        success: false,
+        error: "Permission resolution failed",
+        message: error.message,
+        requestId,
+      });
+    }
+
+    if (data.dryRun) {
+      return respondWithPlan(
+        requestId,
+        data,
+        configs,
+        req.identity.credential,
+        res
+      );
+    }
+
+    const inputs = { ...data };
+    delete inputs.clientSecret;
+    jobStore.createJob(requestId, buildProvisioningSteps(data, configs), {
+      inputs,
+      requester: {
+        name: req.get("X-Requested-By") || null,
+        ip: req.ip,
+        identity: req.identity.type,
+        clientId: req.identity.clientId,
+      },
+    });
+
+    log(
+      "info",
+      "Starting Azure resource provisioning with unique app identification and enhanced API permissions",
+      {
+        requestId,
+        resourceGroup: data.resourceGroupName,
+      }
+    );
+
+    runProvisioning(requestId, data, configs, req.identity.credential).catch(
+      (error) => {
+        jobStore.abortJob(requestId, error.message);
+        log("error", "Application provisioning failed", {
+          requestId,
+          error: error.message,
+        });
+      }
+    );
+
+    res.status(202).json({
+      success: true,
+      message: "Provisioning started",
+      requestId,
+      status: jobStore.getJob(requestId).status,
+      statusUrl: `/api/provision/${requestId}`,
+    });
+  }
+);
+
+/**
+ * Deletes the resources a provisioning job created, in reverse creation order
+ * Only objects recorded as created by the job are touched - reused objects are never deleted
+ * Service principals are deleted before their applications, and the resource group last
+ * The caller starts the teardown in the job store first
+ * @param {string} requestId - Request ID of the job
+ * @param {AzureResourceManager} azureRM - Initialized Azure Resource Manager
+ * @param {GraphApiService} graphService - Initialized Graph API service
+ * @returns {Object} Teardown status and per-resource deletion results
+ */
+async function teardownProvisioning(requestId, azureRM, graphService) {
+  const job = jobStore.getJob(requestId);
+  const resources = job.createdResources
+    .filter((resource) => !resource.deletedAt)
+    .reverse();
+
+  for (const resource of resources) {
+    try {
+      let deleted;
+      if (resource.type === "servicePrincipal") {
+        deleted = await graphService.deleteServicePrincipal(resource.id);
+      } else if (resource.type === "application") {
+        deleted = await graphService.deleteApplication(resource.id);
+      } else if (resource.type === "claimsMappingPolicy") {
+        deleted = await graphService.deleteClaimsMappingPolicy(resource.id);
+      } else if (resource.type === "resourceGroup") {
+        deleted = await azureRM.deleteResourceGroupById(resource.id);
+      }
+
+      jobStore.recordDeletion(
+        requestId,
+        resource,
+        deleted ? "deleted" : "alreadyDeleted"
+      );
+      log("info", `Teardown removed ${resource.type}`, {
+        requestId,
+        resourceType: resource.type,
+        resourceId: resource.id,
+        name: resource.name,
+        deleted,
+      });
+    } catch (error) {
+      jobStore.recordDeletion(requestId, resource, "failed", error.message);
+      log("error", `Teardown of ${resource.type} failed: ${error.message}`, {
+        requestId,
+        resourceId: resource.id,
+        name: resource.name,
+      });
+    }
+  }
+
+  return jobStore.finishTeardown(requestId);
+}
+
+/**
+ * Runs a dry-run plan and sends it as the HTTP response
+ * @param {string} requestId - Request ID of the dry run
+ * @param {Object} data - Validated provisioning request data
+ * @param {Object} configs - App registration and enterprise application configurations
+ * @param {Object} credential - Azure TokenCredential of the request
+ * @param {Object} res - Express response object
+ */
+async function respondWithPlan(requestId, data, configs, credential, res) {
+  const startTime = Date.now();
+
+  try {
+    log("info", "Starting provisioning dry run", {
+      requestId,
+      resourceGroup: data.resourceGroupName,
+    });
+
+    const plan = await planProvisioning(requestId, data, configs, credential);
+
+    res.json({
+      success: true,
+      dryRun: true,
+      message: "Dry run completed - no changes were made to the tenant",
+      requestId,
+      duration: Date.now() - startTime,
+      plan,
+      summary: buildPlanSummary(plan, data),
+    });
+  } catch (error) {
+    log("error", "Provisioning dry run failed", {
+      requestId,
+      error: error.message,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: "Dry run failed",
+      message: error.message,
+      requestId,
+      duration: Date.now() - startTime,
+    });
+  }
+}
+
+/**
+ * Provisioning status endpoint that returns per-step progress of a provisioning job
+ * Includes the final provisioning results and summary once the job has finished
+ */
+app.get("/api/provision/:requestId", requireApiKey, async (req, res) => {
+  try {
+    // Jobs from before a restart are only available from the history store
+    const job = jobStore.getJob(req.params.requestId);
+    const record = job
+      ? buildHistoryRecord(job)
+      : await historyStore.get(req.params.requestId);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: "Not found",
+        message: `Provisioning request ${req.params.requestId} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      requestId: record.requestId,
+      status: record.status,
+      createdAt: record.createdAt,
+      startedAt: record.startedAt,
+      completedAt: record.completedAt,
+      duration: record.duration,
+      steps: record.steps,
+      results: record.results,
+      summary: record.summary,
+      error: record.error,
+      createdResources: record.createdResources,
+      teardown: record.teardown,
+    });
+  } catch (error) {
+    log("error", "Failed to load provisioning status", {
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to load provisioning status",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Blueprint listing endpoint that returns the blueprints available in the blueprints directory
+ * Blueprint files that fail to load are reported under errors
+ */
+app.get("/api/blueprints", async (req, res) => {
+  try {
+    const { blueprints, errors } = await listBlueprints(blueprintsDir);
+    res.json({
+      success: true,
+      defaultBlueprint: DEFAULT_BLUEPRINT,
+      blueprints,
+      errors,
+    });
+  } catch (error) {
+    log("error", "Failed to list blueprints", { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: "Failed to list blueprints",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Provisioning history endpoint that lists stored runs, newest first
+ * Supports filtering by tenantId, environment, resourceGroup and status
+ */
+app.get(
+  "/api/provisions",
+  requireApiKey,
+  validateRequest(historyQuerySchema, "query"),
+  async (req, res) => {
+    const { tenantId, environment, resourceGroup, status, limit } =
+      req.validatedData;
+
+    try {
+      const records = await historyStore.list({
+        tenantId,
+        environment,
+        resourceGroupName: resourceGroup,
+        status,
+      });
+
+      res.json({
+        success: true,
+        count: records.length,
+        provisions: records.slice(0, limit).map((record) => ({
+          requestId: record.requestId,
+          status: record.status,
+          requester: record.requester,
+          createdAt: record.createdAt,
+          completedAt: record.completedAt,
+          duration: record.duration,
+          tenantId: record.inputs?.tenantId,
+          environment: record.inputs?.environment,
+          resourceGroupName: record.inputs?.resourceGroupName,
+          blueprint: record.inputs?.blueprint?.name,
+          summary: record.summary,
+          errorsCount: record.errors.length,
+          warningsCount: record.warnings.length,
+        })),
+      });
+    } catch (error) {
+      log("error", "Failed to list provisioning history", {
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: "Failed to list provisioning history",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Provisioning history detail endpoint that returns a stored run record
+ * Includes inputs (without secrets), per-step results, errors, warnings, duration and requester
+ */
+app.get("/api/provisions/:requestId", requireApiKey, async (req, res) => {
+  try {
+    const record = await historyStore.get(req.params.requestId);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: "Not found",
+        message: `Provisioning record ${req.params.requestId} not found`,
+      });
+    }
+
+    res.json({ success: true, provision: record });
+  } catch (error) {
+    log("error", "Failed to load provisioning history", {
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to load provisioning history",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Rejects requests for a run in another tenant or subscription than the one it ran in
+ * Resuming or tearing down with other IDs would act on objects the run never created
+ * @param {Object} req - Express request with validatedData
+ * @param {Object} res - Express response object
+ * @param {Object} job - The provisioning job
+ * @returns {boolean} Whether a 400 response was sent
+ */
+function rejectMismatchedRun(req, res, job) {
+  const mismatched = ["tenantId", "subscriptionId"].filter(
+    (field) => req.validatedData[field] !== job.inputs[field]
+  );
+  if (mismatched.length === 0) {
+    return false;
+  }
+  res.status(400).json({
+    success: false,
+    error: "Validation failed",
+    details: mismatched.map((field) => ({
+      field,
+      message: `"${field}" must match the original provisioning request`,
+    })),
+  });
+  return true;
+}
+
+/**
+ * Teardown endpoint that removes everything a finished provisioning job created
+ * Runs in the background; deletion progress is reported under teardown in GET /api/provision/:requestId
+ * Jobs from before a restart are restored from the history store
+ */
+app.delete(
+  "/api/provision/:requestId",
+  validateRequest(runCredentialsSchema),
+  authenticateRequest,
+  async (req, res) => {
+    const { requestId } = req.params;
+    let job = jobStore.getJob(requestId);
+    if (!job) {
+      try {
+        const record = await historyStore.get(requestId);
+        job = record && record.completedAt ? jobStore.restoreJob(record) : null;
+      } catch (error) {
+        log("error", "Teardown failed", { requestId, error: error.message });
+        return res.status(500).json({
+          success: false,
+          error: "Teardown failed",
+          message: error.message,
+          requestId,
+        });
+      }
+    }
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "Not found",
+        message: `Provisioning request ${requestId} not found`,
+      });
+    }
+
+    if (!jobStore.isFinished(requestId)) {
+      return res.status(409).json({
+        success: false,
+        error: "Conflict",
+        message:
+          "Provisioning is still running - wait for it to finish before tearing it down",
+        requestId,
+      });
+    }
+    if (rejectMismatchedRun(req, res, job)) {
+      return;
+    }
+
+    const { tenantId, subscriptionId } = req.validatedData;
+
+    try {
+      const azureRM = new AzureResourceManager();
+      const graphService = new GraphApiService();
+      await azureRM.initialize(subscriptionId, req.identity.credential);
+      await graphService.initialize(tenantId, req.identity.credential);
+
+      if (!jobStore.startTeardown(requestId, "request")) {
+        return res.status(409).json({
+          success: false,
+          error: "Conflict",
+          message: "A teardown of this provisioning run is already in progress",
+          requestId,
+        });
+      }
+
+      log("info", "Starting teardown of provisioned resources", { requestId });
+
+      teardownProvisioning(requestId, azureRM, graphService).catch((error) =>
+        log("error", "Teardown failed", { requestId, error: error.message })
+      );
+
+      res.status(202).json({
+        success: true,
+        message: "Teardown started",
+        requestId,
+        resourcesToDelete: job.createdResources.filter(
+          (resource) => !resource.deletedAt
+        ).length,
+        statusUrl: `/api/provision/${requestId}`,
+      });
+    } catch (error) {
+      log("error", "Teardown failed", { requestId, error: error.message });
+      res.status(500).json({
+        success: false,
+        error: "Teardown failed",
+        message: error.message,
+        requestId,
+      });
+    }
+  }
+);
+
+/**
+ * Resume endpoint that re-runs the failed steps of a finished provisioning job
+ * Steps that already succeeded are skipped and their recorded outputs (appIds, objectIds,
+ * servicePrincipalIds) are used by the retried steps, so reused apps do not get new secrets
+ * Jobs from before a restart are restored from the history store
+ */
+app.post(
+  "/api/provision/:requestId/resume",
+  validateRequest(runCredentialsSchema),
+  authenticateRequest,
+  async (req, res) => {
+    const { requestId } = req.params;
+
+    try {
+      let job = jobStore.getJob(requestId);
+      if (!job) {
+        const record = await historyStore.get(requestId);
+        job = record && record.completedAt ? jobStore.restoreJob(record) : null;
+      }
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: "Not found",
+          message: `Provisioning request ${requestId} not found`,
+        });
+      }
+
+      let conflict = null;
+      if (!jobStore.isFinished(requestId)) {
+        conflict =
+          "Provisioning is still running - wait for it to finish before resuming it";
+      } else if (job.teardown) {
+        conflict =
+          "The resources of this provisioning run were torn down - start a new run instead";
+      } else if (job.status === STEP_STATUS.SUCCEEDED) {
+        conflict = "All steps of this provisioning run already succeeded";
+      }
+      if (conflict) {
+        return res.status(409).json({
+          success: false,
+          error: "Conflict",
+          message: conflict,
+          requestId,
+        });
+      }
+
+      if (rejectMismatchedRun(req, res, job)) {
+        return;
+      }
+
+      // Re-validate the stored inputs so runs from older versions get the current defaults
+      const { error: validationError, value: data } =
+        provisioningSchema.validate(
+          { ...job.inputs, ...req.validatedData },
+          { stripUnknown: true }
+        );
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: validationError.details.map((detail) => ({
+            field: detail.path.join("."),
+            message: detail.message,
+          })),
+          requestId,
+        });
+      }
+      let configs;
+      try {
+        configs = await prepareBlueprint(data);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid blueprint",
+          message: error.message,
+          requestId,
+        });
+      }
+
+      const permissionErrors = await resolvePermissions(
+        data,
+        configs,
+        req.identity.credential
+      );
+      if (permissionErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: permissionErrors,
+          requestId,
+        });
+      }
+
+      jobStore.resumeJob(requestId);
+
+      const retrySteps = job.steps
+        .filter((step) => step.status === STEP_STATUS.PENDING)
+        .map((step) => step.id);
+      log("info", "Resuming Azure resource provisioning", {
+        requestId,
+        attempt: job.attempts,
+        retrySteps,
+      });
+
+      runProvisioning(requestId, data, configs, req.identity.credential).catch(
+        (error) => {
+          jobStore.abortJob(requestId, error.message);
+          log("error", "Application provisioning failed", {
+            requestId,
+            error: error.message,
+          });
+        }
+      );
+
+      res.status(202).json({
+        success: true,
+        message: "Provisioning resumed",
+        requestId,
+        status: job.status,
+        attempt: job.attempts,
+        retrySteps,
+        statusUrl: `/api/provision/${requestId}`,
+      });
+    } catch (error) {
+      log("error", "Failed to resume provisioning", {
+        requestId,
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: "Failed to resume provisioning",
+        message: error.message,
+        requestId,
+      });
+    }
+  }
+);
+
+/**
+ * Removes the client secrets of a stored retirement once it is due, then forgets the retirement
+ * @param {Object} retirement - Pending removal (see services/secretRetirements.js)
+ * @param {GraphApiService} graphService - Service of the retirement's tenant
+ */
+function scheduleSecretRetirement(retirement, graphService) {
+  setTimeout(
+    async () => {
+      try {
+        const outcomes = await graphService.removeClientSecrets(
+          { id: retirement.applicationId, displayName: retirement.displayName },
+          retirement.credentials
+        );
+        log("info", "Removed replaced client secrets", {
+          appObjectId: retirement.applicationId,
+          outcomes,
+        });
+        await secretRetirementStore.remove(retirement.id);
+      } catch (error) {
+        log("error", "Failed to remove replaced client secrets", {
+          appObjectId: retirement.applicationId,
+          error: error.message,
+        });
+      }
+    },
+    Math.max(new Date(retirement.removeAt).getTime() - Date.now(), 0)
+  ).unref();
+}
+
+/**
+ * Schedules the secret removals stored before a restart, using the server identity
+ * Removals of tenants the server identity cannot act in stay stored and are logged
+ */
+async function resumeSecretRetirements() {
+  const retirements = await secretRetirementStore.list();
+  if (retirements.length === 0) {
+    return;
+  }
+  if (!provisionerIdentity) {
+    log("warn", "Pending client secret removals need a server identity", {
+      pending: retirements.length,
+    });
+    return;
+  }
+
+  for (const retirement of retirements) {
+    if (
+      provisionerIdentity.tenantId &&
+      provisionerIdentity.tenantId !== retirement.tenantId
+    ) {
+      log("warn", "Pending client secret removal is for another tenant", {
+        appObjectId: retirement.applicationId,
+        tenantId: retirement.tenantId,
+        removeAt: retirement.removeAt,
+      });
+      continue;
+    }
+    try {
+      const graphService = new GraphApiService();
+      await graphService.initialize(
+        retirement.tenantId,
+        provisionerIdentity.credential
+      );
+      scheduleSecretRetirement(retirement, graphService);
+    } catch (error) {
+      log("error", "Failed to schedule pending client secret removal", {
+        appObjectId: retirement.applicationId,
+        error: error.message,
+      });
+    }
+  }
+  log("info", "Resumed pending client secret removals", {
+    pending: retirements.length,
+  });
+}
+
+/**
+ * Creates a Graph API service for secret rotations outside of a provisioning run
+ * @param {string} tenantId - Azure AD tenant ID
+ * @param {Object} credential - Azure TokenCredential of the request
+ * @returns {GraphApiService} Initialized service with the configured secret sink
+ */
+async function createSecretRotationService(tenantId, credential) {
+  const graphService = new GraphApiService();
+  await graphService.initialize(tenantId, credential);
+  graphService.secretSink = buildSecretSink(graphService.credential);
+  return graphService;
+}
+
+// Tenant of the server identity when it is not configured, resolved on first use
+let serverTenantId = null;
+
+/**
+ * Creates a Graph API service with the server identity, used for checks that run without a request
+ * @returns {GraphApiService|null} Initialized service, or null if no server identity is configured
+ */
+async function createServerGraphService() {
+  if (!provisionerIdentity) {
+    return null;
+  }
+
+  const graphService = new GraphApiService();
+  await graphService.initialize(
+    provisionerIdentity.tenantId || serverTenantId,
+    provisionerIdentity.credential
+  );
+  // Managed and workload identities may be configured without AZURE_TENANT_ID
+  if (!graphService.tenantId) {
+    try {
+      serverTenantId = await graphService.getOrganizationId();
+      graphService.tenantId = serverTenantId;
+    } catch (error) {
+      console.warn(
+        "Could not resolve the tenant of the server identity:",
+        error.message
+      );
+    }
+  }
+  return graphService;
+}
+
+/**
+ * Tells whether an application was provisioned by this server: it carries a provisioner marker
+ * tag, or a provisioning run of the tenant created or reused it
+ * @param {string} tenantId - Tenant of the application
+ * @param {string} objectId - Object ID of the application
+ * @param {Array} tags - Tags of the application
+ * @returns {boolean} True if the application is managed by the provisioner
+ */
+async function isProvisionedApplication(tenantId, objectId, tags) {
+  if (tags.some(isAppMarker)) {
+    return true;
+  }
+  const records = await historyStore.list({ tenantId });
+  return records.some((record) =>
+    [
+      ...(record.results?.appRegistrations || []),
+      ...(record.results?.enterpriseApplications || []),
+    ].some((app) => app.objectId === objectId)
+  );
+}
+
+/**
+ * Finds the SAML settings a provisioning run stored for an enterprise application
+ * @param {string} tenantId - Tenant of the runs
+ * @param {string} servicePrincipalId - Object ID of the app's service principal
+ * @returns {Object|null} samlSettings of the newest run that provisioned the app, or null
+ */
+async function findStoredSamlSettings(tenantId, servicePrincipalId) {
+  // Without a tenant ID the history filter would match the runs of every tenant
+  if (!tenantId) {
+    return null;
+  }
+  const records = await historyStore.list({ tenantId });
+  for (const record of records) {
+    const app = (record.results?.enterpriseApplications || []).find(
+      (candidate) =>
+        candidate.servicePrincipalId === servicePrincipalId &&
+        candidate.samlSettings
+    );
+    if (app) {
+      return app.samlSettings;
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the expiring credentials of all apps in the server's tenant that carry a provisioner marker
+ * tag or were created or reused by a recorded provisioning run, plus the monitored local certificate
+ * files
+ * @param {number} days - Threshold in days
+ * @returns {Object} { configured, applications, credentials, errors } where applications is the
+ *   number of apps checked and configured is false if there is no server identity or certificate file
+ */
+async function scanExpiringCredentials(days) {
+  const errors = [];
+  const applications = [];
+  const graphService = await createServerGraphService();
+
+  // Apps are found by their marker tag, even if their run is not in this server's history
+  if (graphService) {
+    try {
+      applications.push(
+        ...(await graphService.listManagedApplicationCredentials())
+      );
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  const found = new Set(
+    applications.map((application) => application.objectId)
+  );
+
+  // Apps of recorded runs that carry no marker (e.g. created before it existed) are loaded one by
+  // one; without a tenant ID the history filter would match the runs of every tenant
+  if (graphService && !graphService.tenantId) {
+    errors.push(
+      "The tenant of the server identity is unknown - set AZURE_TENANT_ID to check the apps of provisioning runs"
+    );
+  } else if (graphService) {
+    const records = await historyStore.list({
+      tenantId: graphService.tenantId,
+    });
+    const objectIds = new Set(
+      records.flatMap((record) =>
+        [
+          ...(record.results?.appRegistrations || []),
+          ...(record.results?.enterpriseApplications || []),
+        ]
+          .map((app) => app.objectId)
+          .filter(Boolean)
+      )
+    );
+
+    for (const objectId of [...objectIds].filter((id) => !found.has(id))) {
+      try {
+        // Apps deleted since (e.g. by a teardown) are skipped
+        const application =
+          await graphService.getApplicationCredentials(objectId);
+        if (application) {
+          applications.push(application);
+        }
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+  }
+
+  const certificateFiles = await readCertificateFiles(
+    monitoredCertificateFiles
+  );
+  applications.push(...certificateFiles.applications);
+  errors.push(...certificateFiles.errors);
+
+  return {
+    configured: Boolean(graphService) || monitoredCertificateFiles.length > 0,
+    applications: applications.length,
+    credentials: findExpiringCredentials(applications, days),
+    errors,
+  };
+}
+
+/**
+ * Expiring credentials endpoint that lists the client secrets and certificates of managed apps
+ * expiring within the given number of days (default CREDENTIAL_EXPIRY_DAYS), soonest first
+ * Already expired credentials are included with expired: true
+ */
+app.get(
+  "/api/credentials/expiring",
+  requireApiKey,
+  validateRequest(expiringCredentialsQuerySchema, "query"),
+  async (req, res) => {
+    const { days } = req.validatedData;
+
+    try {
+      const result = await scanExpiringCredentials(days);
+      if (!result.configured) {
+        return res.status(503).json({
+          success: false,
+          error: "Not configured",
+          message:
+            "Configure a server identity (PROVISIONER_IDENTITY) or MONITORED_CERTIFICATE_FILES to monitor credentials",
+        });
+      }
+
+      res.json({
+        success: true,
+        days,
+        checkedAt: new Date().toISOString(),
+        applications: result.applications,
+        count: result.credentials.length,
+        credentials: result.credentials,
+        errors: result.errors,
+      });
+    } catch (error) {
+      log("error", "Failed to check credential expiry", {
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: "Failed to check credential expiry",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Drift endpoint that compares the apps provisioned for a blueprint and environment with the
+ * blueprint, using the server identity; apps are found by their marker tag, so the report also
+ * lists the blueprint entries that have no app (status missing). Request overrides are not known
+ * here, so overridden redirect URIs show up as drift
+ */
+app.get(
+  "/api/drift",
+  requireApiKey,
+  validateRequest(driftQuerySchema, "query"),
+  async (req, res) => {
+    const data = { ...req.validatedData, overrides: {} };
+
+    let configs;
+    try {
+      configs = await prepareBlueprint(data);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid blueprint",
+        message: error.message,
+      });
+    }
+
+    try {
+      const graphService = await createServerGraphService();
+      if (!graphService) {
+        return res.status(503).json({
+          success: false,
+          error: "Not configured",
+          message:
+            "Configure a server identity (PROVISIONER_IDENTITY) to check for drift",
+        });
+      }
+
+      const permissionErrors = await graphService.resolveAppPermissions(
+        configs.appConfigs
+      );
+      const objects = [];
+      const missing = [];
+      for (const config of [
+        ...configs.appConfigs,
+        ...configs.enterpriseConfigs,
+      ]) {
+        const application = await graphService.findManagedApplication(
+          config.marker
+        );
+        if (application) {
+          objects.push({
+            uniqueId: config.uniqueId,
+            objectId: application.id,
+            appId: application.appId,
+            isExisting: true,
+          });
+        } else {
+          missing.push({
+            kind: configs.appConfigs.includes(config)
+              ? "appRegistration"
+              : "enterpriseApplication",
+            uniqueId: config.uniqueId,
+            displayName: config.name,
+            status: "missing",
+            differences: [],
+          });
+        }
+      }
+
+      const reports = [
+        ...(await graphService.detectDrift(configs, objects)),
+        ...missing,
+      ];
+      const count = (status) =>
+        reports.filter((report) => report.status === status).length;
+
+      res.json({
+        success: true,
+        blueprint: data.blueprint.name,
+        environment: data.environment,
+        checkedAt: new Date().toISOString(),
+        summary: {
+          inSync: count("inSync"),
+          drifted: count("drifted"),
+          missing: count("missing"),
+        },
+        appRegistrations: reports.filter(
+          (report) => report.kind === "appRegistration"
+        ),
+        enterpriseApplications: reports.filter(
+          (report) => report.kind === "enterpriseApplication"
+        ),
+        errors: permissionErrors.map(
+          (error) => `${error.uniqueId}: ${error.message}`
+        ),
+      });
+    } catch (error) {
+      log("error", "Drift check failed", { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: "Drift check failed",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * SAML metadata endpoint that exports what an app team needs to set up the service provider side
+ * Returns the tenant's IdP federation metadata with the app's token signing certificate, and the
+ * SP configuration built from the samlSettings stored by the run that provisioned the app (taken from
+ * the app registration if no run recorded it). Uses the server identity
+ */
+app.get(
+  "/api/enterprise-apps/:servicePrincipalId/saml-metadata",
+  requireApiKey,
+  validateRequest(samlMetadataQuerySchema, "query"),
+  async (req, res) => {
+    const { servicePrincipalId } = req.params;
+    if (Joi.string().guid().validate(servicePrincipalId).error) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: [
+          {
+            field: "servicePrincipalId",
+            message: '"servicePrincipalId" must be a GUID',
+          },
+        ],
+      });
     }
-  }
 
-  /**
-   * Adds application permissions from one app registration to another for specific scopes
-   * @param {string} sourceAppObjectId - Object ID of the source application requesting permission
-   * @param {string} targetAppId - Application ID of the target application exposing the scope
-   * @param {string} scopeValue - The scope value to request permission for
-   */
-  async addApplicationPermission(sourceAppObjectId, targetAppId, scopeValue) {
     try {
-      // Get the target application to find the scope ID
-      const targetAppResponse = await axios.get(
-        `https://graph.microsoft.com/v1.0/applications?$filter=appId eq '${targetAppId}'`,
-        {
-          headers: {
-            Authorization: `Bearer ${this.accessToken}`,
-            "Content-Type": "application/json",
-          },
-        }
-      );
+      const graphService = await createServerGraphService();
+      if (!graphService) {
+        return res.status(503).json({
+          success: false,
+          error: "Not configured",
+          message:
+            "Configure a server identity (PROVISIONER_IDENTITY) to export SAML metadata",
+        });
+      }
 
-      if (targetAppResponse.data.value.length === 0) {
-        console.warn(
-          `Target application ${targetAppId} not found for permissions`
-        );
-        return;
+      if (!graphService.tenantId) {
+        return res.status(400).json({
+          success: false,
+          error: "Tenant unknown",
+          message:
+            "The tenant of the server identity could not be determined - set AZURE_TENANT_ID",
+        });
       }
 
-      const targetApp = targetAppResponse.data.value[0];
-      const oauth2Scopes = targetApp.api?.oauth2PermissionScopes || [];
+      const saml = await graphService.getSamlApplication(servicePrincipalId);
+      if (!saml) {
+        return res.status(404).json({
+          success: false,
+          error: "Not found",
+          message: `Service principal ${servicePrincipalId} not found`,
+        });
+      }
+      const { servicePrincipal, application, signingCertificate } = saml;
+      if (servicePrincipal.preferredSingleSignOnMode !== "saml") {
+        return res.status(409).json({
+          success: false,
+          error: "Conflict",
+          message: `${servicePrincipal.displayName} does not use SAML single sign-on`,
+        });
+      }
+      if (!signingCertificate) {
+        return res.status(409).json({
+          success: false,
+          error: "Conflict",
+          message: `${servicePrincipal.displayName} has no token signing certificate`,
+        });
+      }
 
-      // Find the scope with the matching value
-      const targetScope = oauth2Scopes.find(
-        (scope) => scope.value === scopeValue
+      const identityProvider = identityProviderEndpoints(graphService.tenantId);
+      const metadata = buildIdentityProviderMetadata(
+        identityProvider,
+        signingCertificate.certificate
       );
-      if (!targetScope) {
-        console.warn(
-          `Scope '${scopeValue}' not found in target application ${targetAppId}`
-        );
-        return;
+      if (req.validatedData.format === "xml") {
+        return res
+          .type("application/samlmetadata+xml")
+          .attachment(`${servicePrincipal.displayName}.xml`)
+          .send(metadata);
       }
 
-      // Get current source application
-      const sourceAppResponse = await axios.get(
-        `https://graph.microsoft.com/v1.0/applications/${sourceAppObjectId}`,
-        {
-          headers: {
-            Authorization: `Bearer ${this.accessToken}`,
-            "Content-Type": "application/json",
-          },
-        }
+      const storedSettings = await findStoredSamlSettings(
+        graphService.tenantId,
+        servicePrincipalId
       );
+      const samlSettings = storedSettings || {
+        identifier: application?.identifierUris?.[0] || null,
+        replyUrl: application?.web?.redirectUris?.[0] || null,
+        signOnUrl: servicePrincipal.loginUrl || null,
+        logoutUrl: application?.web?.logoutUrl || null,
+        relayState: servicePrincipal.samlSingleSignOnSettings?.relayState,
+      };
+
+      res.json({
+        success: true,
+        servicePrincipalId,
+        appId: servicePrincipal.appId,
+        displayName: servicePrincipal.displayName,
+        identityProvider: {
+          ...identityProvider,
+          signingCertificate: {
+            keyId: signingCertificate.keyId,
+            thumbprint: signingCertificate.thumbprint,
+            expiresAt: signingCertificate.expiresAt,
+            certificatePem: toPem(signingCertificate.certificate),
+          },
+          metadata,
+        },
+        serviceProvider: {
+          ...buildServiceProviderConfiguration(samlSettings, identityProvider),
+          source: storedSettings ? "provisioningHistory" : "appRegistration",
+        },
+      });
+    } catch (error) {
+      log("error", "SAML metadata export failed", {
+        servicePrincipalId,
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: "SAML metadata export failed",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Secret rotation endpoint that replaces the client secret of an app registration
+ * The new secret goes to the configured secret sink and only its reference is returned;
+ * the replaced secrets keep working for the grace period and are removed afterwards
+ * Only apps the provisioner created or reused can be rotated, other apps of the tenant are refused
+ */
+app.post(
+  "/api/apps/:objectId/rotate-secret",
+  validateRequest(secretRotationSchema),
+  authenticateRequest,
+  async (req, res) => {
+    const { objectId } = req.params;
+    if (Joi.string().guid().validate(objectId).error) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: [{ field: "objectId", message: '"objectId" must be a GUID' }],
+      });
+    }
 
-      const sourceApp = sourceAppResponse.data;
-      const currentRequiredResourceAccess =
-        sourceApp.requiredResourceAccess || [];
+    const { lifetimeDays, gracePeriodMinutes } = req.validatedData;
 
-      // Check if permission already exists
-      const existingResource = currentRequiredResourceAccess.find(
-        (resource) => resource.resourceAppId === targetAppId
+    try {
+      const graphService = await createSecretRotationService(
+        req.validatedData.tenantId,
+        req.identity.credential
       );
-
-      if (existingResource) {
-        // Check if scope already exists
-        const existingScope = existingResource.resourceAccess.find(
-          (access) => access.id === targetScope.id
-        );
-        if (existingScope) {
-          console.log(
-            `Permission already exists: ${scopeValue} from ${targetAppId}`
-          );
-          return;
-        }
-        // Add new scope to existing resource
-        existingResource.resourceAccess.push({
-          id: targetScope.id,
-          type: "Scope",
+      const tags = await graphService.getApplicationTags(objectId);
+      if (!tags) {
+        return res.status(404).json({
+          success: false,
+          error: "Not found",
+          message: `Application ${objectId} not found`,
         });
-      } else {
-        // Add new resource with scope
-        currentRequiredResourceAccess.push({
-          resourceAppId: targetAppId,
-          resourceAccess: [
-            {
-              id: targetScope.id,
-              type: "Scope",
-            },
-          ],
+      }
+      if (
+        !(await isProvisionedApplication(graphService.tenantId, objectId, tags))
+      ) {
+        return res.status(403).json({
+          success: false,
+          error: "Forbidden",
+          message: `Application ${objectId} was not provisioned by this server - only provisioned apps can have their secrets rotated`,
         });
       }
 
-      // Update the source application with new permissions
-      await axios.patch(
-        `https://graph.microsoft.com/v1.0/applications/${sourceAppObjectId}`,
-        { requiredResourceAccess: currentRequiredResourceAccess },
-        {
-          headers: {
-            Authorization: `Bearer ${this.accessToken}`,
-            "Content-Type": "application/json",
-          },
-        }
-      );
+      const rotation = await graphService.rotateClientSecret(objectId, {
+        lifetimeDays,
+        gracePeriodMinutes,
+      });
+      if (!rotation) {
+        return res.status(404).json({
+          success: false,
+          error: "Not found",
+          message: `Application ${objectId} not found`,
+        });
+      }
 
-      console.log(
-        `Successfully added permission: ${scopeValue} from ${targetAppId} to ${sourceAppObjectId}`
-      );
+      const rotated = rotation.secretReference.status === "stored";
+      log(rotated ? "info" : "error", "Client secret rotation finished", {
+        appObjectId: objectId,
+        status: rotation.secretReference.status,
+        retiredSecrets: rotation.retiredSecrets.length,
+      });
+      if (!rotated) {
+        return res.status(500).json({
+          success: false,
+          error: "Secret rotation failed",
+          message: rotation.secretReference.message,
+          ...rotation,
+        });
+      }
+
+      res.json({ success: true, ...rotation });
     } catch (error) {
-      console.warn(`Failed to add application permission: ${error.message}`);
+      log("error", "Secret rotation failed", {
+        appObjectId: objectId,
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: "Secret rotation failed",
+        message: error.message,
+      });
     }
   }
-
-  /**
-   * Generates a new GUID (UUID) for use in Azure AD configurations
-   * @returns {string} A new GUID in standard format
-   */
-  generateGuid() {
-    return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(
-      /[xy]/g,
-      function (c) {
-        const r = (Math.random() * 16) | 0;
-        const v = c === "x" ? r : (r & 0x3) | 0x8;
-        return v.toString(16);
-      }
-    );
-  }
-}
-
-// Routes
-app.get("/", (req, res) => {
-  res.sendFile(path.join(__dirname, "public", "index.html"));
-});
-
-/**
- * Health check endpoint that returns server status and available features
- */
-app.get("/api/health", (req, res) => {
-  res.json({
-    status: "healthy",
-    timestamp: new Date().toISOString(),
-    version: "2.1.0",
-    features: [
-      "Duplicate Detection and Reuse",
-      "Unique App Identification System",
-      "Custom Application Names Support",
-      "Advanced API Permissions (App1 with unique ID)",
-      "Application ID URI Configuration (App2 with unique ID)",
-      "Web Platform & My API Access (App3 with unique ID)",
-      "Enhanced Admin Consent with Retry Logic",
-      "Custom Redirect URIs",
-      "SAML + Proxy Configuration (Enterprise App 1)",
-      "Proxy-Only Configuration (Enterprise App 2)",
-      "Cross-Application Permissions",
-      "Enhanced Status Reporting",
-      "Production-Ready Security",
-    ],
-  });
-});
+);
 
 /**
- * Main provisioning endpoint with enhanced functionality using unique app identification
- * Creates resource groups, app registrations, and enterprise applications with cross-permissions
- * Supports custom application names while maintaining unique identification for functionality
+ * Bulk secret rotation endpoint that replaces the client secrets of all app registrations of a run
+ * Apps are rotated one after another; a failed app does not stop the others. Apps the run gave a
+ * certificate credential are skipped, as they have no secret to replace
  */
 app.post(
-  "/api/provision",
-  validateRequest(provisioningSchema),
+  "/api/provision/:requestId/rotate-secrets",
+  validateRequest(secretRotationSchema),
+  authenticateRequest,
   async (req, res) => {
-    const startTime = Date.now();
-    const requestId = uuidv4();
+    const { requestId } = req.params;
+    const { tenantId, lifetimeDays, gracePeriodMinutes } = req.validatedData;
 
     try {
-      log(
-        "info",
-        "Starting Azure resource provisioning with unique app identification and enhanced API permissions",
-        {
-          requestId,
-          resourceGroup: req.validatedData.resourceGroupName,
-        }
-      );
-
-      const {
-        tenantId,
-        subscriptionId,
-        resourceGroupName,
-        location,
-        environment,
-        applicationPrefix,
-        clientId,
-        clientSecret,
-
-        // App Registration Configuration with unique IDs
-        app1Name,
-        app1Id,
-        app1RedirectUri,
-        app2Name,
-        app2Id,
-        app2RedirectUri,
-        app3Name,
-        app3Id,
-        app3RedirectUri,
-        enableCrossPermissions,
-        generateSecrets,
-        grantAdminConsent,
-
-        // Enterprise Application Configuration with unique IDs
-        enterprise1Name,
-        enterprise1Id,
-        enterprise2Name,
-        enterprise2Id,
-
-        // Application Proxy Configuration
-        enterprise1InternalUrl,
-        enterprise1ExternalUrl,
-        enterprise2InternalUrl,
-        enterprise2ExternalUrl,
-      } = req.validatedData;
-
-      // Initialize services
-      const azureRM = new AzureResourceManager();
-      const graphService = new GraphApiService();
-
-      await azureRM.initialize(
-        tenantId,
-        subscriptionId,
-        clientId,
-        clientSecret
-      );
-      await graphService.initialize(tenantId, clientId, clientSecret);
-
-      const provisioningResults = {
-        requestId,
-        resourceGroup: null,
-        appRegistrations: [],
-        enterpriseApplications: [],
-        errors: [],
-        warnings: [],
-      };
+      const job = jobStore.getJob(requestId);
+      const record = job ? null : await historyStore.get(requestId);
+      if (!job && !record) {
+        return res.status(404).json({
+          success: false,
+          error: "Not found",
+          message: `Provisioning request ${requestId} not found`,
+        });
+      }
 
-      // Step 1: Create Resource Group
-      try {
-        provisioningResults.resourceGroup = await azureRM.createResourceGroup(
-          resourceGroupName,
-          location
-        );
-        log("info", "Resource group created", {
+      if (job && !jobStore.isFinished(requestId)) {
+        return res.status(409).json({
+          success: false,
+          error: "Conflict",
+          message:
+            "Provisioning is still running - wait for it to finish before rotating its secrets",
           requestId,
-          resourceGroup: resourceGroupName,
         });
-      } catch (error) {
-        const errorMsg = `Resource Group creation failed: ${error.message}`;
-        provisioningResults.errors.push(errorMsg);
-        log("error", errorMsg, { requestId });
       }
-
-      // Step 2: Create App Registrations with enhanced configurations using unique IDs
-      const appConfigs = [
-        {
-          name: `${applicationPrefix}-${environment}-${app1Name}`,
-          uniqueId: app1Id,
-          scopes: ["user.read"],
-          type: "web",
-          redirectUris: [
-            app1RedirectUri ||
-              `https://${applicationPrefix}-${environment}-app1.azurewebsites.net/signin-oidc`,
-          ],
-          generateSecret: generateSecrets,
-          grantAdminConsent: grantAdminConsent,
-        },
-        {
-          name: `${applicationPrefix}-${environment}-${app2Name}`,
-          uniqueId: app2Id,
-          scopes: ["api.access"],
-          type: "web",
-          redirectUris: [
-            app2RedirectUri ||
-              `https://${applicationPrefix}-${environment}-app2.azurewebsites.net/signin-oidc`,
-          ],
-          generateSecret: generateSecrets,
-          grantAdminConsent: grantAdminConsent,
-        },
-        {
-          name: `${applicationPrefix}-${environment}-${app3Name}`,
-          uniqueId: app3Id,
-          scopes: ["resource.manage"],
-          type: "spa",
-          redirectUris: [
-            app3RedirectUri ||
-              `https://${applicationPrefix}-${environment}-app3.azurewebsites.net/auth/callback`,
+      if ((job || record).teardown) {
+        return res.status(409).json({
+          success: false,
+          error: "Conflict",
+          message: "The resources of this provisioning run were torn down",
+          requestId,
+        });
+      }
+      if ((job || record).inputs.tenantId !== tenantId) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: [
+            {
+              field: "tenantId",
+              message:
+                '"tenantId" must match the original provisioning request',
+            },
           ],
-          generateSecret: generateSecrets,
-          grantAdminConsent: grantAdminConsent,
-        },
-      ];
-
-      for (const config of appConfigs) {
-        try {
-          const appResult = await graphService.createAppRegistration(config);
-          provisioningResults.appRegistrations.push(appResult);
-
-          const action = appResult.isExisting
-            ? "reused existing"
-            : "created new";
-          log("info", `App registration ${action}`, {
-            requestId,
-            appName: config.name,
-            uniqueId: config.uniqueId,
-            isExisting: appResult.isExisting,
-            adminConsentGranted: appResult.adminConsentGranted,
-          });
-        } catch (error) {
-          const errorMsg = `App Registration ${config.name} (${config.uniqueId}) failed: ${error.message}`;
-          provisioningResults.errors.push(errorMsg);
-          log("error", errorMsg, { requestId });
-        }
+        });
       }
 
-      // Step 3: Create Enterprise Applications with different configurations using unique IDs
-      const enterpriseConfigs = [
-        {
-          name: `${applicationPrefix}-${environment}-${enterprise1Name}`,
-          uniqueId: enterprise1Id,
-          type: "saml", // Enterprise App 1 has SAML + Proxy
-          samlSettings: {
-            // Use external URL from proxy configuration for SAML
-            identifier: `api://${applicationPrefix}-${environment}-ent1`,
-            replyUrl: `${
-              enterprise1ExternalUrl || "https://saml-app-external.company.com"
-            }/saml2/acs`,
-            signOnUrl: `${
-              enterprise1ExternalUrl || "https://saml-app-external.company.com"
-            }/login`,
-          },
-          proxySettings: {
-            internalUrl:
-              enterprise1InternalUrl || "http://internal-saml-app.company.com",
-            externalUrl:
-              enterprise1ExternalUrl || "https://saml-app-external.company.com",
-          },
-        },
-        {
-          name: `${applicationPrefix}-${environment}-${enterprise2Name}`,
-          uniqueId: enterprise2Id,
-          type: "proxy-only", // Enterprise App 2 has ONLY proxy configuration
-          samlSettings: null, // No SAML configuration
-          proxySettings: {
-            internalUrl:
-              enterprise2InternalUrl || "http://internal-chat-app.company.com",
-            externalUrl:
-              enterprise2ExternalUrl || "https://chat-app-external.company.com",
-          },
-        },
-      ];
+      const graphService = await createSecretRotationService(
+        req.validatedData.tenantId,
+        req.identity.credential
+      );
+      const appRegistrations =
+        (job ? job.provisioningResults : record.results)?.appRegistrations ||
+        [];
 
-      for (const config of enterpriseConfigs) {
-        try {
-          const enterpriseResult =
-            await graphService.createEnterpriseApplication(config);
-          provisioningResults.enterpriseApplications.push(enterpriseResult);
-
-          const action = enterpriseResult.isExisting
-            ? "reused existing"
-            : "created new";
-          log("info", `Enterprise application ${action}`, {
-            requestId,
-            appName: config.name,
-            uniqueId: config.uniqueId,
-            isExisting: enterpriseResult.isExisting,
+      const rotations = [];
+      for (const appRegistration of appRegistrations) {
+        if (
+          appRegistration.credentialType === "certificate" ||
+          appRegistration.certificate
+        ) {
+          rotations.push({
+            uniqueId: appRegistration.uniqueId,
+            objectId: appRegistration.objectId,
+            secretReference: {
+              status: "skipped",
+              message: "App uses a certificate credential",
+            },
+            retiredSecrets: [],
           });
-        } catch (error) {
-          const errorMsg = `Enterprise App ${config.name} (${config.uniqueId}) failed: ${error.message}`;
-          provisioningResults.errors.push(errorMsg);
-          log("error", errorMsg, { requestId });
+          continue;
         }
-      }
-
-      // Step 4: Configure cross-application permissions between Mahi apps (if enabled)
-      if (
-        enableCrossPermissions &&
-        provisioningResults.appRegistrations.length >= 3
-      ) {
         try {
-          await graphService.configureCrossApplicationPermissions(
-            provisioningResults.appRegistrations
-          );
-          log(
-            "info",
-            "Cross-application permissions configured for app registrations",
-            {
-              requestId,
-            }
+          const rotation = await graphService.rotateClientSecret(
+            appRegistration.objectId,
+            { lifetimeDays, gracePeriodMinutes }
           );
-          provisioningResults.warnings.push(
-            "Cross-application permissions configured including App3 web platform and My API access"
+          rotations.push(
+            rotation
+              ? { uniqueId: appRegistration.uniqueId, ...rotation }
+              : {
+                  uniqueId: appRegistration.uniqueId,
+                  objectId: appRegistration.objectId,
+                  secretReference: {
+                    status: "failed",
+                    message: "Application no longer exists",
+                  },
+                  retiredSecrets: [],
+                }
           );
         } catch (error) {
-          const errorMsg = `Cross-application permissions failed: ${error.message}`;
-          provisioningResults.errors.push(errorMsg);
-          log("error", errorMsg, { requestId });
+          rotations.push({
+            uniqueId: appRegistration.uniqueId,
+            objectId: appRegistration.objectId,
+            secretReference: { status: "failed", message: error.message },
+            retiredSecrets: [],
+          });
         }
-      } else if (!enableCrossPermissions) {
-        log("info", "Cross-application permissions skipped per user request", {
-          requestId,
-        });
-        provisioningResults.warnings.push(
-          "Cross-application permissions skipped - configure manually if needed"
-        );
-      }
-
-      // Add warnings for manual steps
-      provisioningResults.warnings.push(
-        "Application Proxy connectors must be installed manually"
-      );
-      if (
-        provisioningResults.enterpriseApplications.some(
-          (app) => app.type === "saml"
-        )
-      ) {
-        provisioningResults.warnings.push(
-          "SAML certificates need to be configured manually for Enterprise App 1"
-        );
-      }
-      if (grantAdminConsent) {
-        provisioningResults.warnings.push(
-          "Admin consent attempted - verify permissions in Azure Portal if needed"
-        );
       }
 
-      const duration = Date.now() - startTime;
+      const countStatus = (status) =>
+        rotations.filter(
+          (rotation) => rotation.secretReference.status === status
+        ).length;
+      const rotated = countStatus("stored");
+      const skipped = countStatus("skipped");
+      const failed = rotations.length - rotated - skipped;
+      log("info", "Bulk client secret rotation finished", {
+        requestId,
+        rotated,
+        skipped,
+        failed,
+      });
 
       res.json({
-        success: true,
-        message:
-          "Azure resources provisioned successfully with enhanced API permissions and unique app identification",
+        success: failed === 0,
         requestId,
-        duration,
-        results: provisioningResults,
-        summary: {
-          resourceGroupCreated: !!provisioningResults.resourceGroup,
-          appRegistrationsCreated: provisioningResults.appRegistrations.filter(
-            (app) => !app.isExisting
-          ).length,
-          appRegistrationsReused: provisioningResults.appRegistrations.filter(
-            (app) => app.isExisting
-          ).length,
-          enterpriseApplicationsCreated:
-            provisioningResults.enterpriseApplications.filter(
-              (app) => !app.isExisting
-            ).length,
-          enterpriseApplicationsReused:
-            provisioningResults.enterpriseApplications.filter(
-              (app) => app.isExisting
-            ).length,
-          crossApplicationPermissionsConfigured:
-            enableCrossPermissions &&
-            provisioningResults.appRegistrations.length >= 3,
-          clientSecretsGenerated: generateSecrets,
-          adminConsentAttempted: grantAdminConsent,
-          adminConsentSuccessful: provisioningResults.appRegistrations.some(
-            (app) => app.adminConsentGranted
-          ),
-          errorsCount: provisioningResults.errors.length,
-          warningsCount: provisioningResults.warnings.length,
-        },
+        rotated,
+        skipped,
+        failed,
+        rotations,
       });
     } catch (error) {
-      const duration = Date.now() - startTime;
-      log("error", "Application provisioning failed", {
+      log("error", "Bulk secret rotation failed", {
         requestId,
         error: error.message,
       });
-
       res.status(500).json({
         success: false,
-        error: "Provisioning failed",
+        error: "Secret rotation failed",
         message: error.message,
         requestId,
-        duration,
       });
     }
   }
 );
 
+/**
+ * Provisioning progress stream that sends a provisioning job's events as Server-Sent Events
+ * Replays events recorded so far (or since Last-Event-ID) and closes once the job completes
+ * The API key may be sent as the apiKey query parameter, since EventSource cannot set headers
+ */
+app.get(
+  "/api/provision/:requestId/events",
+  eventStreamLimiter,
+  requireStreamApiKey,
+  (req, res) => {
+    const { requestId } = req.params;
+    if (!jobStore.getJob(requestId)) {
+      return res.status(404).json({
+        success: false,
+        error: "Not found",
+        message: `Provisioning request ${requestId} not found`,
+      });
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    const lastEventId = parseInt(req.get("Last-Event-ID"), 10) || 0;
+    let unsubscribe = () => {};
+    let closed = false;
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    unsubscribe = jobStore.subscribe(requestId, lastEventId, (event) => {
+      res.write(
+        `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+          timestamp: event.timestamp,
+          ...event.data,
+        })}\n\n`
+      );
+      // A resumed job has a "complete" event per attempt - only the latest one ends the stream
+      if (event.type === "complete" && jobStore.isFinished(requestId)) {
+        setImmediate(close);
+      }
+    });
+
+    req.on("close", close);
+  }
+);
+
 /**
  * Error handling middleware for unhandled errors
  */
@@ -1529,6 +5739,30 @@ app.listen(port, () => {
   console.log(
     `✨ Features: Advanced API Permissions, Admin Consent, Application ID URI, Web Platform Config with Unique IDs`
   );
+
+  resumeSecretRetirements().catch((error) =>
+    log("error", "Failed to resume pending client secret removals", {
+      error: error.message,
+    })
+  );
+
+  if (CREDENTIAL_CHECK_INTERVAL_HOURS > 0) {
+    new CredentialExpiryMonitor({
+      scan: async (days) => {
+        const result = await scanExpiringCredentials(days);
+        return result.configured
+          ? result
+          : {
+              credentials: [],
+              errors: ["No server identity or certificate files configured"],
+            };
+      },
+      days: CREDENTIAL_EXPIRY_DAYS,
+      intervalMs: CREDENTIAL_CHECK_INTERVAL_HOURS * 60 * 60 * 1000,
+      webhookUrl: process.env.CREDENTIAL_EXPIRY_WEBHOOK_URL,
+      log,
+    }).start();
+  }
 });
 
 module.exports = app;
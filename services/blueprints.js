@@ -0,0 +1,420 @@
+// services/blueprints.js - Declarative blueprints describing the applications a provisioning run creates
+const fs = require("fs");
+const path = require("path");
+const Joi = require("joi");
+const yaml = require("js-yaml");
+const { samlClaimsSchema } = require("./saml");
+
+const MICROSOFT_GRAPH_APP_ID = "00000003-0000-0000-c000-000000000000";
+
+// File extensions a blueprint can be stored with, in lookup order
+const BLUEPRINT_EXTENSIONS = [".yaml", ".yml", ".json"];
+
+// Apps created from a blueprint are tagged
+// <prefix>:<application prefix>:<blueprint>:<environment>:<logical ID>, so a rerun of the same
+// deployment finds them again whatever their display name is
+const APP_MARKER_PREFIX = "azureArmProvisioner";
+
+// Placeholders like {{environment}} in blueprint strings are filled in per request
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+// Logical IDs identify an app within a blueprint (e.g. MAHI_CONNECTOR_APP)
+const logicalIdSchema = Joi.string()
+  .pattern(/^[A-Z][A-Z0-9_]*$/)
+  .max(50);
+
+const appNameSchema = Joi.string()
+  .min(1)
+  .max(50)
+  .pattern(/^[a-zA-Z0-9-_]+$/);
+
+// Permission names (e.g. User.Read.All) are resolved to IDs against the resource API at provisioning time
+const permissionNameSchema = Joi.string().pattern(/^[a-zA-Z0-9._-]+$/);
+
+// Permissions an app requests on one resource API: application roles and delegated scopes by name
+const permissionSchema = Joi.object({
+  resourceAppId: Joi.string().guid().required(),
+  roles: Joi.array().items(permissionNameSchema).unique().default([]),
+  scopes: Joi.array().items(permissionNameSchema).unique().default([]),
+}).or("roles", "scopes");
+
+const appRegistrationSchema = Joi.object({
+  id: logicalIdSchema.required(),
+  name: appNameSchema.required(),
+  title: Joi.string().max(100),
+  description: Joi.string().max(500),
+  type: Joi.string().valid("web", "spa").default("web"),
+  // api apps get an Application ID URI, client apps get a web platform and access to the api apps
+  role: Joi.string().valid("service", "api", "client").default("service"),
+  scopes: Joi.array()
+    .items(Joi.string().pattern(/^[a-zA-Z0-9._-]+$/))
+    .unique()
+    .default([]),
+  // App roles other apps can be granted application permissions for
+  appRoles: Joi.array()
+    .items(
+      Joi.object({
+        value: Joi.string()
+          .pattern(/^[a-zA-Z0-9._-]+$/)
+          .required(),
+        displayName: Joi.string().max(100),
+        description: Joi.string().max(500),
+        allowedMemberTypes: Joi.array()
+          .items(Joi.string().valid("Application", "User"))
+          .min(1)
+          .default(["Application"]),
+      })
+    )
+    .unique("value")
+    .default([]),
+  redirectUris: Joi.array().items(Joi.string().min(1)).default([]),
+  // Apps without explicit permissions get delegated User.Read on Microsoft Graph
+  permissions: Joi.array()
+    .items(permissionSchema)
+    .default(() => [
+      {
+        resourceAppId: MICROSOFT_GRAPH_APP_ID,
+        roles: [],
+        scopes: ["User.Read"],
+      },
+    ]),
+});
+
+const enterpriseApplicationSchema = Joi.object({
+  id: logicalIdSchema.required(),
+  name: appNameSchema.required(),
+  title: Joi.string().max(100),
+  description: Joi.string().max(500),
+  type: Joi.string().valid("saml", "proxy-only").required(),
+  proxy: Joi.object({
+    internalUrl: Joi.string().min(1).required(),
+    externalUrl: Joi.string().min(1).required(),
+    // Microsoft Entra ID sign-in before requests reach the app, or passthrough to the app
+    preAuthentication: Joi.string()
+      .valid("aadPreAuthentication", "passthru")
+      .default("aadPreAuthentication"),
+    // Connector group serving the app; the tenant's default group if not set
+    connectorGroup: Joi.string().min(1).max(256),
+    translateHostHeader: Joi.boolean().default(true),
+    translateLinksInBody: Joi.boolean().default(false),
+    cookies: Joi.object({
+      httpOnly: Joi.boolean().default(false),
+      secure: Joi.boolean().default(false),
+      persistent: Joi.boolean().default(false),
+    }).default(),
+  }).required(),
+  saml: Joi.when("type", {
+    is: "saml",
+    then: Joi.object({
+      identifier: Joi.string().min(1).required(),
+      replyUrl: Joi.string().min(1).required(),
+      signOnUrl: Joi.string().min(1).required(),
+      logoutUrl: Joi.string().min(1),
+      relayState: Joi.string().min(1),
+      // Lifetime of the generated token signing certificate
+      certificateLifetimeDays: Joi.number()
+        .integer()
+        .min(1)
+        .max(1095)
+        .default(1095),
+      claims: samlClaimsSchema,
+    }).required(),
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+// An edge of the permission graph: the source app requests a delegated scope or an application
+// role exposed by the target app
+const crossPermissionSchema = Joi.object({
+  source: logicalIdSchema.required(),
+  target: logicalIdSchema.required(),
+  scope: Joi.string().min(1),
+  appRole: Joi.string().min(1),
+}).xor("scope", "appRole");
+
+const blueprintSchema = Joi.object({
+  name: Joi.string()
+    .pattern(/^[a-z0-9-]+$/)
+    .max(50)
+    .required(),
+  title: Joi.string().max(100),
+  description: Joi.string().max(500),
+  appRegistrations: Joi.array()
+    .items(appRegistrationSchema)
+    .unique("id")
+    .default([]),
+  enterpriseApplications: Joi.array()
+    .items(enterpriseApplicationSchema)
+    .unique("id")
+    .default([]),
+  crossPermissions: Joi.array().items(crossPermissionSchema).default([]),
+})
+  .custom(validateReferences)
+  .label("blueprint");
+
+/**
+ * Checks the references between the entries of a blueprint
+ * Logical IDs must be unique across all apps, and every cross permission must connect two
+ * different app registrations, request a scope or app role its target exposes, and not be
+ * part of a cycle
+ * @param {Object} blueprint - Blueprint that passed the structural checks
+ * @returns {Object} The blueprint
+ */
+function validateReferences(blueprint) {
+  const apps = [
+    ...blueprint.appRegistrations,
+    ...blueprint.enterpriseApplications,
+  ];
+  if (apps.length === 0) {
+    throw new Error("it defines no applications");
+  }
+
+  const duplicate = apps.find(
+    (app, index) => apps.findIndex((other) => other.id === app.id) !== index
+  );
+  if (duplicate) {
+    throw new Error(`application ID ${duplicate.id} is used more than once`);
+  }
+
+  for (const permission of blueprint.crossPermissions) {
+    const edge = describeCrossPermission(permission);
+    const source = blueprint.appRegistrations.find(
+      (app) => app.id === permission.source
+    );
+    const target = blueprint.appRegistrations.find(
+      (app) => app.id === permission.target
+    );
+
+    if (!source || !target) {
+      const missing = source ? permission.target : permission.source;
+      throw new Error(
+        `cross permission ${edge} references ${missing}, which is not an app registration`
+      );
+    }
+    if (source === target) {
+      throw new Error(`cross permission ${edge} points to its own source`);
+    }
+    if (permission.scope && !target.scopes.includes(permission.scope)) {
+      throw new Error(
+        `cross permission ${edge} requests scope ${permission.scope}, which ${target.id} does not expose`
+      );
+    }
+    if (
+      permission.appRole &&
+      !target.appRoles.some((role) => role.value === permission.appRole)
+    ) {
+      throw new Error(
+        `cross permission ${edge} requests app role ${permission.appRole}, which ${target.id} does not define`
+      );
+    }
+  }
+
+  // Throws if the edges form a cycle
+  sortCrossPermissions(blueprint.appRegistrations, blueprint.crossPermissions);
+
+  return blueprint;
+}
+
+/**
+ * Orders cross permissions so the edges of an app are resolved before the edges of the apps
+ * that depend on it (targets before sources), keeping blueprint order otherwise
+ * Each edge gets its permission type: delegated for scopes, application for app roles
+ * @param {Array} appRegistrations - App registrations of the blueprint
+ * @param {Array} crossPermissions - Cross permissions of the blueprint
+ * @returns {Array} The cross permissions in dependency order
+ */
+function sortCrossPermissions(appRegistrations, crossPermissions) {
+  const remaining = appRegistrations.map((app) => app.id);
+  const order = [];
+
+  while (remaining.length > 0) {
+    // The next app is the first one whose targets have all been resolved
+    const next = remaining.find((id) =>
+      crossPermissions
+        .filter((permission) => permission.source === id)
+        .every((permission) => order.includes(permission.target))
+    );
+    if (!next) {
+      throw new Error(
+        `cross permissions form a cycle between ${remaining.join(", ")}`
+      );
+    }
+    order.push(next);
+    remaining.splice(remaining.indexOf(next), 1);
+  }
+
+  return order.flatMap((id) =>
+    crossPermissions
+      .filter((permission) => permission.source === id)
+      .map((permission) => ({
+        ...permission,
+        type: permission.appRole ? "application" : "delegated",
+      }))
+  );
+}
+
+/**
+ * Describes a cross permission for messages, e.g. "MAHI_TEAMS_APP -> MAHI_API_ACCESS (api.access)"
+ * @param {Object} permission - Cross permission
+ * @returns {string} Readable description of the edge
+ */
+function describeCrossPermission(permission) {
+  return `${permission.source} -> ${permission.target} (${
+    permission.scope || permission.appRole
+  })`;
+}
+
+/**
+ * Validates a blueprint and applies its defaults
+ * @param {Object} blueprint - Parsed blueprint
+ * @returns {Object} The validated blueprint
+ */
+function validateBlueprint(blueprint) {
+  const { error, value } = blueprintSchema.validate(blueprint);
+  if (error) {
+    throw new Error(`Invalid blueprint: ${error.message}`);
+  }
+  return value;
+}
+
+/**
+ * Loads and validates a blueprint
+ * @param {string|Object} source - Name of a blueprint file in the blueprint directory, or an inline blueprint
+ * @param {string} directory - Directory the blueprint files are stored in
+ * @returns {Object} The validated blueprint
+ */
+async function loadBlueprint(source, directory) {
+  if (typeof source !== "string") {
+    return validateBlueprint(source);
+  }
+
+  if (!/^[a-z0-9-]+$/.test(source)) {
+    throw new Error(`Invalid blueprint name: ${source}`);
+  }
+
+  for (const extension of BLUEPRINT_EXTENSIONS) {
+    const filePath = path.join(directory, `${source}${extension}`);
+    let content;
+    try {
+      content = await fs.promises.readFile(filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") continue;
+      throw new Error(`Failed to read blueprint ${source}: ${error.message}`);
+    }
+    return validateBlueprint(parseBlueprint(content, extension, source));
+  }
+
+  throw new Error(`Blueprint ${source} not found`);
+}
+
+/**
+ * Loads every blueprint in the blueprint directory
+ * Files that fail to parse or validate are reported instead of failing the whole listing
+ * @param {string} directory - Directory the blueprint files are stored in
+ * @returns {Object} { blueprints, errors } with the valid blueprints and one error per invalid file
+ */
+async function listBlueprints(directory) {
+  let files;
+  try {
+    files = await fs.promises.readdir(directory);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { blueprints: [], errors: [] };
+    }
+    throw new Error(`Failed to read blueprints: ${error.message}`);
+  }
+
+  const blueprints = [];
+  const errors = [];
+  for (const file of files.sort()) {
+    const extension = path.extname(file);
+    if (!BLUEPRINT_EXTENSIONS.includes(extension)) continue;
+
+    try {
+      blueprints.push(
+        await loadBlueprint(path.basename(file, extension), directory)
+      );
+    } catch (error) {
+      errors.push({ file, message: error.message });
+    }
+  }
+
+  return { blueprints, errors };
+}
+
+/**
+ * Parses the content of a blueprint file
+ * @param {string} content - File content
+ * @param {string} extension - File extension (.yaml, .yml or .json)
+ * @param {string} name - Blueprint name, used in error messages
+ * @returns {Object} Parsed blueprint
+ */
+function parseBlueprint(content, extension, name) {
+  try {
+    return extension === ".json" ? JSON.parse(content) : yaml.load(content);
+  } catch (error) {
+    throw new Error(`Failed to parse blueprint ${name}: ${error.message}`);
+  }
+}
+
+/**
+ * Replaces {{placeholder}} occurrences in a blueprint string with request values
+ * @param {string} value - String that may contain placeholders
+ * @param {Object} variables - Placeholder values by name
+ * @returns {string} The string with all placeholders filled in
+ */
+function fillPlaceholders(value, variables) {
+  return value.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    if (variables[name] === undefined) {
+      throw new Error(`Unknown blueprint placeholder ${placeholder}`);
+    }
+    return variables[name];
+  });
+}
+
+/**
+ * Builds the tag marking an application as provisioned for a blueprint entry of one deployment
+ * The application prefix is part of the marker, so deployments of the same blueprint and
+ * environment under different prefixes never reuse each other's apps
+ * @param {string} applicationPrefix - Application prefix of the deployment
+ * @param {string} blueprintName - Blueprint name
+ * @param {string} environment - Environment the app was provisioned for
+ * @param {string} uniqueId - Logical app ID within the blueprint
+ * @returns {string} The marker tag
+ */
+function buildAppMarker(
+  applicationPrefix,
+  blueprintName,
+  environment,
+  uniqueId
+) {
+  return [
+    APP_MARKER_PREFIX,
+    applicationPrefix,
+    blueprintName,
+    environment,
+    uniqueId,
+  ].join(":");
+}
+
+/**
+ * Tells whether a tag is a provisioner marker (see buildAppMarker)
+ * @param {string} tag - Application tag
+ * @returns {boolean} True if the tag marks an app this provisioner created
+ */
+function isAppMarker(tag) {
+  return tag.startsWith(`${APP_MARKER_PREFIX}:`);
+}
+
+module.exports = {
+  APP_MARKER_PREFIX,
+  blueprintSchema,
+  loadBlueprint,
+  listBlueprints,
+  validateBlueprint,
+  sortCrossPermissions,
+  describeCrossPermission,
+  fillPlaceholders,
+  buildAppMarker,
+  isAppMarker,
+};
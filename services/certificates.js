@@ -0,0 +1,211 @@
+// services/certificates.js - Self-signed X.509 certificates for app registration key credentials
+// Certificates are DER-encoded by hand so no OpenSSL binary or extra dependency is needed
+const crypto = require("crypto");
+
+// Object identifiers used in the certificate
+const OID_COMMON_NAME = "2.5.4.3";
+const OID_SHA256_WITH_RSA = "1.2.840.113549.1.1.11";
+const OID_BASIC_CONSTRAINTS = "2.5.29.19";
+const OID_KEY_USAGE = "2.5.29.15";
+
+/**
+ * Encodes the length of a DER element
+ * @param {number} length - Content length in bytes
+ * @returns {Buffer} Short or long form length
+ */
+function encodeLength(length) {
+  if (length < 0x80) {
+    return Buffer.from([length]);
+  }
+  const bytes = [];
+  for (let rest = length; rest > 0; rest = Math.floor(rest / 256)) {
+    bytes.unshift(rest & 0xff);
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+/**
+ * Encodes a DER element
+ * @param {number} tag - Tag byte
+ * @param {...Buffer} contents - Encoded content, concatenated
+ * @returns {Buffer} The element
+ */
+function element(tag, ...contents) {
+  const body = Buffer.concat(contents);
+  return Buffer.concat([Buffer.from([tag]), encodeLength(body.length), body]);
+}
+
+const sequence = (...items) => element(0x30, ...items);
+const set = (...items) => element(0x31, ...items);
+const explicit = (number, content) => element(0xa0 + number, content);
+const utf8String = (value) => element(0x0c, Buffer.from(value, "utf8"));
+const bitString = (bytes) => element(0x03, Buffer.from([0]), bytes);
+const octetString = (bytes) => element(0x04, bytes);
+const boolean = (value) => element(0x01, Buffer.from([value ? 0xff : 0]));
+const nullValue = () => element(0x05);
+
+/**
+ * Encodes a positive integer given as big-endian bytes
+ * @param {Buffer} bytes - Unsigned big-endian value
+ * @returns {Buffer} INTEGER element
+ */
+function integer(bytes) {
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0) start++;
+  const value = bytes.subarray(start);
+  return element(
+    0x02,
+    value[0] & 0x80 ? Buffer.concat([Buffer.from([0]), value]) : value
+  );
+}
+
+/**
+ * Encodes an object identifier
+ * @param {string} dotted - OID in dotted notation
+ * @returns {Buffer} OBJECT IDENTIFIER element
+ */
+function objectIdentifier(dotted) {
+  const [first, second, ...rest] = dotted.split(".").map(Number);
+  const bytes = [first * 40 + second];
+  for (const arc of rest) {
+    const groups = [arc & 0x7f];
+    for (
+      let value = Math.floor(arc / 128);
+      value > 0;
+      value = Math.floor(value / 128)
+    ) {
+      groups.unshift((value & 0x7f) | 0x80);
+    }
+    bytes.push(...groups);
+  }
+  return element(0x06, Buffer.from(bytes));
+}
+
+/**
+ * Encodes a validity time: UTCTime until 2049, GeneralizedTime afterwards (RFC 5280)
+ * @param {Date} date - Point in time
+ * @returns {Buffer} Time element
+ */
+function time(date) {
+  const digits = date.toISOString().replace(/[-:T]/g, "").slice(0, 14);
+  return date.getUTCFullYear() < 2050
+    ? element(0x17, Buffer.from(`${digits.slice(2)}Z`))
+    : element(0x18, Buffer.from(`${digits}Z`));
+}
+
+/**
+ * Encodes a distinguished name with a single common name
+ * @param {string} commonName - CN value
+ * @returns {Buffer} Name element
+ */
+function name(commonName) {
+  return sequence(
+    set(sequence(objectIdentifier(OID_COMMON_NAME), utf8String(commonName)))
+  );
+}
+
+/**
+ * Describes a certificate the way Azure AD shows key credentials
+ * @param {crypto.X509Certificate} certificate - Parsed certificate
+ * @returns {Object} { certificatePem, der, thumbprint, subject, notBefore, notAfter }
+ */
+function describeCertificate(certificate) {
+  return {
+    certificatePem: certificate.toString(),
+    der: certificate.raw,
+    // Azure AD identifies certificates by their SHA-1 thumbprint
+    thumbprint: certificate.fingerprint.replace(/:/g, ""),
+    subject: certificate.subject.replace(/\n/g, ", "),
+    notBefore: new Date(certificate.validFrom).toISOString(),
+    notAfter: new Date(certificate.validTo).toISOString(),
+  };
+}
+
+/**
+ * Generates an RSA key pair and a self-signed certificate for it
+ * @param {Object} options - Certificate options
+ * @param {string} options.commonName - Subject common name, e.g. the app display name
+ * @param {number} options.lifetimeDays - Days the certificate is valid
+ * @param {number} options.keySize - RSA modulus length in bits
+ * @returns {Object} Certificate description (see describeCertificate) plus privateKeyPem
+ */
+function generateSelfSignedCertificate({
+  commonName,
+  lifetimeDays = 365,
+  keySize = 2048,
+}) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: keySize,
+  });
+
+  const notBefore = new Date(Date.now() - 5 * 60 * 1000);
+  const notAfter = new Date(Date.now() + lifetimeDays * 24 * 60 * 60 * 1000);
+  const signatureAlgorithm = sequence(
+    objectIdentifier(OID_SHA256_WITH_RSA),
+    nullValue()
+  );
+  const serialNumber = crypto.randomBytes(16);
+  serialNumber[0] &= 0x7f;
+
+  const tbsCertificate = sequence(
+    explicit(0, integer(Buffer.from([2]))), // X.509 v3
+    integer(serialNumber),
+    signatureAlgorithm,
+    name(commonName),
+    sequence(time(notBefore), time(notAfter)),
+    name(commonName),
+    publicKey.export({ type: "spki", format: "der" }),
+    explicit(
+      3,
+      sequence(
+        sequence(
+          objectIdentifier(OID_BASIC_CONSTRAINTS),
+          boolean(true),
+          octetString(sequence())
+        ),
+        // digitalSignature only: the key signs client assertions
+        sequence(
+          objectIdentifier(OID_KEY_USAGE),
+          boolean(true),
+          octetString(element(0x03, Buffer.from([7, 0x80])))
+        )
+      )
+    )
+  );
+  const signature = crypto.sign("sha256", tbsCertificate, privateKey);
+  const der = sequence(
+    tbsCertificate,
+    signatureAlgorithm,
+    bitString(signature)
+  );
+
+  return {
+    ...describeCertificate(new crypto.X509Certificate(der)),
+    privateKeyPem: privateKey.export({ type: "pkcs8", format: "pem" }),
+  };
+}
+
+/**
+ * Parses a PEM certificate supplied by the caller
+ * Only the public certificate is accepted - its private key stays with whoever issued it
+ * @param {string} pem - PEM encoded X.509 certificate
+ * @returns {Object} Certificate description (see describeCertificate)
+ */
+function parseCertificate(pem) {
+  let certificate;
+  try {
+    certificate = new crypto.X509Certificate(pem);
+  } catch (error) {
+    throw new Error(`Invalid certificate: ${error.message}`);
+  }
+  if (new Date(certificate.validTo) <= new Date()) {
+    throw new Error(
+      `Invalid certificate: it expired on ${new Date(
+        certificate.validTo
+      ).toISOString()}`
+    );
+  }
+  return describeCertificate(certificate);
+}
+
+module.exports = { generateSelfSignedCertificate, parseCertificate };
@@ -0,0 +1,200 @@
+// services/credentialMonitor.js - Finds client secrets and certificates that are about to expire
+const fs = require("fs");
+const crypto = require("crypto");
+const axios = require("axios");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest delay Node timers support (about 24.8 days); longer ones fire right away instead
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+/**
+ * Lists the credentials of applications that expire within the given number of days
+ * Already expired credentials are included, so they are not silently dropped from the report
+ * @param {Array} applications - Apps ({ objectId, appId, displayName, passwordCredentials, keyCredentials })
+ * @param {number} days - Threshold in days
+ * @param {Date} now - Reference time
+ * @returns {Array} Expiring credentials ({ appObjectId, appId, appDisplayName, credentialType, keyId,
+ *   displayName, expiresAt, daysLeft, expired }), soonest first
+ */
+function findExpiringCredentials(applications, days, now = new Date()) {
+  const threshold = now.getTime() + days * DAY_MS;
+  const expiring = [];
+
+  for (const application of applications) {
+    const credentials = [
+      ...(application.passwordCredentials || []).map((credential) => ({
+        credentialType: "secret",
+        credential,
+      })),
+      ...(application.keyCredentials || []).map((credential) => ({
+        credentialType: "certificate",
+        credential,
+      })),
+    ];
+
+    for (const { credentialType, credential } of credentials) {
+      const expiresAt = Date.parse(credential.endDateTime);
+      if (Number.isNaN(expiresAt) || expiresAt > threshold) continue;
+
+      expiring.push({
+        appObjectId: application.objectId,
+        appId: application.appId,
+        appDisplayName: application.displayName,
+        credentialType,
+        keyId: credential.keyId,
+        displayName: credential.displayName || null,
+        expiresAt: new Date(expiresAt).toISOString(),
+        daysLeft: Math.floor((expiresAt - now.getTime()) / DAY_MS),
+        expired: expiresAt <= now.getTime(),
+      });
+    }
+  }
+
+  return expiring.sort((a, b) => a.expiresAt.localeCompare(b.expiresAt));
+}
+
+/**
+ * Reads local certificate files (e.g. the bot.cert created by bot-setup.sh) as monitored applications
+ * Files that cannot be read are reported as errors instead of failing the whole check
+ * @param {Array} filePaths - Paths of PEM certificate files
+ * @returns {Object} { applications, errors } with one pseudo application per readable file
+ */
+async function readCertificateFiles(filePaths) {
+  const applications = [];
+  const errors = [];
+
+  for (const filePath of filePaths) {
+    try {
+      const certificate = new crypto.X509Certificate(
+        await fs.promises.readFile(filePath)
+      );
+      applications.push({
+        objectId: null,
+        appId: null,
+        displayName: filePath,
+        keyCredentials: [
+          {
+            keyId: certificate.fingerprint.replace(/:/g, ""),
+            displayName: certificate.subject.replace(/\n/g, ", "),
+            endDateTime: new Date(certificate.validTo).toISOString(),
+          },
+        ],
+      });
+    } catch (error) {
+      errors.push(`Could not read certificate ${filePath}: ${error.message}`);
+    }
+  }
+
+  return { applications, errors };
+}
+
+/**
+ * Periodically checks managed credentials and sends a notification for the ones about to expire
+ * Notifications are logged and, if a webhook URL is configured, posted to it as JSON with a text
+ * summary (the format Teams and Slack incoming webhooks accept)
+ */
+class CredentialExpiryMonitor {
+  /**
+   * @param {Object} options - Monitor options
+   * @param {Function} options.scan - Resolves to { credentials, errors } for a threshold in days
+   * @param {number} options.days - Threshold in days
+   * @param {number} options.intervalMs - Time between checks, capped at MAX_TIMER_DELAY_MS
+   * @param {string} options.webhookUrl - Optional URL notifications are posted to
+   * @param {Function} options.log - Logger (level, message, data)
+   */
+  constructor({ scan, days, intervalMs, webhookUrl = null, log }) {
+    this.scan = scan;
+    this.days = days;
+    this.intervalMs = Math.min(intervalMs, MAX_TIMER_DELAY_MS);
+    this.webhookUrl = webhookUrl;
+    this.log = log;
+    this.timer = null;
+
+    if (intervalMs > MAX_TIMER_DELAY_MS) {
+      log("warn", "Credential check interval capped", {
+        requestedHours: intervalMs / (60 * 60 * 1000),
+        intervalHours: Math.floor(this.intervalMs / (60 * 60 * 1000)),
+      });
+    }
+  }
+
+  /**
+   * Starts the periodic checks, the first one right away
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.check(), this.intervalMs);
+    this.timer.unref();
+    this.check();
+  }
+
+  /**
+   * Stops the periodic checks
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Runs one check and notifies about expiring credentials; never throws
+   * @returns {Array} The expiring credentials found, empty if the check failed
+   */
+  async check() {
+    try {
+      const { credentials, errors } = await this.scan(this.days);
+      errors.forEach((message) =>
+        this.log("warn", "Credential expiry check incomplete", { message })
+      );
+      if (credentials.length > 0) {
+        await this.notify(credentials);
+      } else {
+        this.log("info", "No credentials expire within the threshold", {
+          days: this.days,
+        });
+      }
+      return credentials;
+    } catch (error) {
+      this.log("error", "Credential expiry check failed", {
+        error: error.message,
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Sends a notification listing expiring credentials
+   * @param {Array} credentials - Expiring credentials (see findExpiringCredentials)
+   */
+  async notify(credentials) {
+    const lines = credentials.map(
+      (credential) =>
+        `${credential.appDisplayName}: ${credential.credentialType} ${
+          credential.keyId
+        } ${credential.expired ? "expired" : "expires"} ${credential.expiresAt}`
+    );
+    const text = `${credentials.length} credential(s) expire within ${
+      this.days
+    } days:\n${lines.join("\n")}`;
+
+    this.log("warn", "Credentials expiring soon", {
+      days: this.days,
+      credentials,
+    });
+
+    if (!this.webhookUrl) return;
+    try {
+      await axios.post(this.webhookUrl, { text, credentials });
+    } catch (error) {
+      this.log("error", "Failed to send credential expiry notification", {
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = {
+  findExpiringCredentials,
+  readCertificateFiles,
+  CredentialExpiryMonitor,
+};
@@ -0,0 +1,263 @@
+// services/drift.js - Compares reused applications with the state their blueprint entry asks for
+// Only reads are involved; nothing here changes the tenant
+
+/**
+ * Compares a desired and an actual list of values
+ * @param {string} property - Compared property, e.g. web.redirectUris
+ * @param {Array} desired - Values the blueprint asks for
+ * @param {Array} actual - Values the object has
+ * @returns {Object|null} { property, missing, unexpected }, or null if both hold the same values
+ */
+function compareLists(property, desired, actual) {
+  const missing = desired.filter((value) => !actual.includes(value));
+  const unexpected = actual.filter((value) => !desired.includes(value));
+  return missing.length > 0 || unexpected.length > 0
+    ? { property, missing, unexpected }
+    : null;
+}
+
+/**
+ * Compares a desired and an actual single value
+ * @param {string} property - Compared property, e.g. preferredSingleSignOnMode
+ * @param {*} desired - Value the blueprint asks for
+ * @param {*} actual - Value the object has
+ * @returns {Object|null} { property, desired, actual }, or null if they are equal
+ */
+function compareValues(property, desired, actual) {
+  return desired === actual ? null : { property, desired, actual };
+}
+
+/**
+ * Redirect URIs an app registration should have per platform
+ * Client apps also get their redirect URIs on the web platform (see buildWebPlatform)
+ * @param {Object} config - App registration config
+ * @returns {Object} { web, spa } redirect URI lists
+ */
+function desiredRedirectUris(config) {
+  return {
+    web:
+      config.type === "web" || config.role === "client"
+        ? config.redirectUris
+        : [],
+    spa: config.type === "spa" ? config.redirectUris : [],
+  };
+}
+
+/**
+ * Application ID URIs and web redirect URIs an enterprise application should have
+ * SAML apps use their SAML identifier and reply URL, Application Proxy apps their external URL
+ * @param {Object} config - Enterprise application config
+ * @returns {Object} { identifierUris, redirectUris }
+ */
+function desiredEnterpriseUris(config) {
+  if (config.type === "saml" && config.samlSettings) {
+    return {
+      identifierUris: [config.samlSettings.identifier],
+      redirectUris: [config.samlSettings.replyUrl],
+    };
+  }
+  const externalUrl = config.proxySettings?.externalUrl;
+  return {
+    identifierUris: externalUrl ? [externalUrl] : [],
+    redirectUris: externalUrl ? [externalUrl] : [],
+  };
+}
+
+/**
+ * Describes a permission by its resource API and value, falling back to the IDs if unknown
+ * @param {Map} resources - Resource service principals by app ID
+ * @param {Object} permission - { resourceAppId, id, type } with type Role or Scope
+ * @returns {string} e.g. "Microsoft Graph User.Read (delegated)"
+ */
+function describePermission(resources, { resourceAppId, id, type }) {
+  const resource = resources.get(resourceAppId);
+  const definition = (
+    type === "Role" ? resource?.appRoles : resource?.oauth2PermissionScopes
+  )?.find((candidate) => candidate.id === id);
+  return `${resource?.displayName || resourceAppId} ${
+    definition?.value || id
+  } (${type === "Role" ? "application" : "delegated"})`;
+}
+
+/**
+ * Flattens requiredResourceAccess into one entry per permission
+ * Permissions on the blueprint's own apps are left out; they are managed by the cross permissions
+ * @param {Array} requiredResourceAccess - requiredResourceAccess of an application
+ * @param {Array} managedAppIds - App IDs of the blueprint's apps
+ * @returns {Array} { resourceAppId, id, type } per permission
+ */
+function flattenResourceAccess(
+  requiredResourceAccess = [],
+  managedAppIds = []
+) {
+  return requiredResourceAccess
+    .filter((resource) => !managedAppIds.includes(resource.resourceAppId))
+    .flatMap((resource) =>
+      resource.resourceAccess.map((permission) => ({
+        resourceAppId: resource.resourceAppId,
+        id: permission.id,
+        type: permission.type,
+      }))
+    );
+}
+
+/**
+ * Tells whether admin consent was given for a permission
+ * @param {Object} permission - { resourceAppId, id, type }
+ * @param {Object} state - { resources, assignments, grants } (see detectAppRegistrationDrift)
+ * @returns {boolean} True if the app role is assigned or the scope consented for all users
+ */
+function isConsented(permission, { resources, assignments, grants }) {
+  const resource = resources.get(permission.resourceAppId);
+  if (!resource) return false;
+
+  if (permission.type === "Role") {
+    return assignments.some(
+      (assignment) =>
+        assignment.appRoleId === permission.id &&
+        assignment.resourceId === resource.id
+    );
+  }
+  const scope = (resource.oauth2PermissionScopes || []).find(
+    (candidate) => candidate.id === permission.id
+  )?.value;
+  return grants.some(
+    (grant) =>
+      grant.resourceId === resource.id &&
+      grant.consentType === "AllPrincipals" &&
+      (grant.scope || "").split(" ").includes(scope)
+  );
+}
+
+/**
+ * Builds the drift report of one object
+ * @param {string} kind - appRegistration or enterpriseApplication
+ * @param {Object} config - Blueprint entry config (see buildProvisioningConfigs)
+ * @param {Object} application - The existing application
+ * @param {Array} differences - Differences, null entries are dropped
+ * @returns {Object} { kind, uniqueId, displayName, objectId, appId, status, differences } with
+ *   status inSync or drifted
+ */
+function buildDriftReport(kind, config, application, differences) {
+  const found = differences.filter(Boolean);
+  return {
+    kind,
+    uniqueId: config.uniqueId,
+    displayName: application.displayName,
+    objectId: application.id,
+    appId: application.appId,
+    status: found.length > 0 ? "drifted" : "inSync",
+    differences: found,
+  };
+}
+
+/**
+ * Compares a reused app registration with its blueprint entry: redirect URIs, exposed scopes,
+ * Application ID URI, requested permissions and their admin consent
+ * @param {Object} config - App registration config with resolved requiredResourceAccess
+ * @param {Object} state - Current state
+ * @param {Object} state.application - The application
+ * @param {Object|null} state.servicePrincipal - Its service principal
+ * @param {Array} state.assignments - App role assignments of the service principal
+ * @param {Array} state.grants - oauth2PermissionGrants of the service principal
+ * @param {Map} state.resources - Resource service principals by app ID
+ * @param {Array} state.managedAppIds - App IDs of the blueprint's apps
+ * @returns {Object} Drift report (see buildDriftReport) with consent ({ granted, missing })
+ */
+function detectAppRegistrationDrift(config, state) {
+  const { application, servicePrincipal, resources, managedAppIds } = state;
+  const redirectUris = desiredRedirectUris(config);
+
+  const desiredPermissions = flattenResourceAccess(
+    config.requiredResourceAccess
+  );
+  const missingConsent = desiredPermissions
+    .filter((permission) => !isConsented(permission, state))
+    .map((permission) => describePermission(resources, permission));
+
+  const report = buildDriftReport("appRegistration", config, application, [
+    compareLists(
+      "web.redirectUris",
+      redirectUris.web,
+      application.web?.redirectUris || []
+    ),
+    compareLists(
+      "spa.redirectUris",
+      redirectUris.spa,
+      application.spa?.redirectUris || []
+    ),
+    compareLists(
+      "api.oauth2PermissionScopes",
+      config.scopes,
+      (application.api?.oauth2PermissionScopes || []).map(
+        (scope) => scope.value
+      )
+    ),
+    compareLists(
+      "identifierUris",
+      config.role === "api" ? [`api://${application.appId}/api`] : [],
+      application.identifierUris || []
+    ),
+    compareLists(
+      "requiredResourceAccess",
+      desiredPermissions.map((permission) =>
+        describePermission(resources, permission)
+      ),
+      flattenResourceAccess(
+        application.requiredResourceAccess,
+        managedAppIds
+      ).map((permission) => describePermission(resources, permission))
+    ),
+    servicePrincipal
+      ? null
+      : compareValues("servicePrincipal", "present", "missing"),
+    missingConsent.length > 0
+      ? { property: "adminConsent", missing: missingConsent, unexpected: [] }
+      : null,
+  ]);
+
+  report.consent = {
+    granted: desiredPermissions.length > 0 && missingConsent.length === 0,
+    missing: missingConsent,
+  };
+  return report;
+}
+
+/**
+ * Compares a reused enterprise application with its blueprint entry: identifier and reply URLs
+ * (see desiredEnterpriseUris), and the single sign-on mode of its service principal
+ * @param {Object} config - Enterprise application config
+ * @param {Object} state - { application, servicePrincipal }
+ * @returns {Object} Drift report (see buildDriftReport)
+ */
+function detectEnterpriseAppDrift(config, { application, servicePrincipal }) {
+  const uris = desiredEnterpriseUris(config);
+
+  return buildDriftReport("enterpriseApplication", config, application, [
+    compareLists(
+      "identifierUris",
+      uris.identifierUris,
+      application.identifierUris || []
+    ),
+    compareLists(
+      "web.redirectUris",
+      uris.redirectUris,
+      application.web?.redirectUris || []
+    ),
+    servicePrincipal
+      ? compareValues(
+          "preferredSingleSignOnMode",
+          config.type === "saml" ? "saml" : null,
+          servicePrincipal.preferredSingleSignOnMode || null
+        )
+      : compareValues("servicePrincipal", "present", "missing"),
+  ]);
+}
+
+module.exports = {
+  desiredRedirectUris,
+  desiredEnterpriseUris,
+  flattenResourceAccess,
+  detectAppRegistrationDrift,
+  detectEnterpriseAppDrift,
+};
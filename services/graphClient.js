@@ -0,0 +1,575 @@
+// services/graphClient.js - Shared Microsoft Graph transport used by every GraphApiService call
+// Handles access tokens, throttling retries, request IDs and Graph error normalization
+const axios = require("axios");
+const { v4: uuidv4 } = require("uuid");
+
+const GRAPH_BASE_URL = "https://graph.microsoft.com/v1.0";
+// Beta endpoint, for the few features v1.0 does not offer (Application Proxy publishing)
+const GRAPH_BETA_URL = "https://graph.microsoft.com/beta";
+const GRAPH_SCOPE = "https://graph.microsoft.com/.default";
+// Tokens are renewed this long before they expire, so a request never goes out with a dying token
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+// Responses that mean "try again later" (throttling and transient gateway errors)
+// Only 429 guarantees the request was not applied; the others are retried for idempotent requests
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+// Graph accepts at most this many requests in one JSON batch
+const MAX_BATCH_SIZE = 20;
+const RETRYABLE_NETWORK_ERRORS = new Set([
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+]);
+
+/**
+ * Error of a failed Graph request with the details Graph returned
+ * message is Graph's error message, so callers can show it as is
+ */
+class GraphError extends Error {
+  /**
+   * @param {Object} details - Error details
+   * @param {string} details.message - Graph error message (or the network error message)
+   * @param {number|null} details.status - HTTP status, null for network errors
+   * @param {string|null} details.code - Graph error code, e.g. Request_ResourceNotFound
+   * @param {string} details.method - HTTP method of the request
+   * @param {string} details.path - Request path relative to the Graph base URL
+   * @param {string|null} details.requestId - request-id Graph assigned to the request
+   * @param {string} details.clientRequestId - client-request-id sent with the request
+   */
+  constructor({
+    message,
+    status,
+    code,
+    method,
+    path,
+    requestId,
+    clientRequestId,
+  }) {
+    super(message);
+    this.name = "GraphError";
+    this.status = status;
+    this.code = code;
+    this.method = method;
+    this.path = path;
+    this.requestId = requestId;
+    this.clientRequestId = clientRequestId;
+  }
+}
+
+/**
+ * Tells whether a failed request can be sent again as is
+ * Throttled requests always can; after a gateway error or a dropped connection Graph may already
+ * have applied the request, so only idempotent requests are sent again
+ * @param {boolean} idempotent - Whether sending the request twice has the effect of sending it once
+ * @param {number|null} status - HTTP status, null for network errors
+ * @param {string|null} code - Network error code, e.g. ECONNRESET
+ * @returns {boolean} True if the request can be retried
+ */
+function isRetryable(idempotent, status, code) {
+  if (status === 429) return true;
+  if (!idempotent) return false;
+  return status
+    ? RETRYABLE_STATUSES.has(status)
+    : RETRYABLE_NETWORK_ERRORS.has(code);
+}
+
+/**
+ * Tells whether a write failed in a way that leaves open whether Graph applied it
+ * @param {GraphError} error - Error of the write
+ * @returns {boolean} True for gateway errors and dropped connections
+ */
+function isUnconfirmedWrite(error) {
+  return error.status
+    ? error.status !== 429 && RETRYABLE_STATUSES.has(error.status)
+    : RETRYABLE_NETWORK_ERRORS.has(error.code);
+}
+
+/**
+ * Parses a Retry-After header given in seconds or as an HTTP date
+ * @param {string} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return parseInt(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Copies headers with lower-case names; batch responses keep Graph's casing (e.g. Retry-After)
+ * @param {Object} headers - Response headers
+ * @returns {Object} Headers keyed by lower-case name
+ */
+function lowerCaseKeys(headers = {}) {
+  return Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+}
+
+/**
+ * Microsoft Graph HTTP client
+ * Gets tokens from an Azure TokenCredential and renews them shortly before they expire (or once
+ * after a 401), retries throttled requests and transient failures of idempotent requests with
+ * exponential backoff honoring Retry-After, and turns failures into GraphError objects
+ */
+class GraphClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {Object} options.credential - Azure TokenCredential
+   * @param {Function} options.log - Logger (level, message, data)
+   * @param {string} options.baseUrl - Graph base URL
+   * @param {number} options.maxRetries - Retries of a throttled or failed request
+   * @param {number} options.baseDelayMs - First backoff delay, doubled on every retry
+   * @param {number} options.maxDelayMs - Longest backoff delay (Retry-After may ask for more)
+   */
+  constructor({
+    credential,
+    log = () => {},
+    baseUrl = GRAPH_BASE_URL,
+    maxRetries = 5,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+  }) {
+    this.credential = credential;
+    this.log = log;
+    this.baseUrl = baseUrl;
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.token = null;
+  }
+
+  /**
+   * Returns a Graph access token, renewing it when it is about to expire
+   * @returns {string} Access token
+   */
+  async getAccessToken() {
+    if (
+      !this.token ||
+      this.token.expiresOnTimestamp - TOKEN_REFRESH_MARGIN_MS <= Date.now()
+    ) {
+      const token = await this.credential.getToken(GRAPH_SCOPE);
+      if (!token) {
+        throw new Error("The credential did not return a Graph access token");
+      }
+      this.token = token;
+    }
+    return this.token.token;
+  }
+
+  /**
+   * Sends a Graph request
+   * @param {string} method - HTTP method
+   * @param {string} path - Path relative to the Graph base URL, e.g. /applications/{id}
+   * @param {Object} options - { data, headers, clientRequestId, idempotent } with the JSON body,
+   *   extra headers, the client-request-id to send (a new one by default) and whether the request
+   *   may be sent again after a gateway error (all methods but POST by default, see isRetryable)
+   * @returns {Object} axios response ({ status, headers, data })
+   * @throws {GraphError} If the request failed and could not be retried
+   */
+  async request(
+    method,
+    path,
+    {
+      data,
+      headers = {},
+      clientRequestId = uuidv4(),
+      idempotent = method.toLowerCase() !== "post",
+    } = {}
+  ) {
+    let refreshedAfterUnauthorized = false;
+
+    for (let attempt = 0; ; attempt++) {
+      let error;
+      try {
+        const token = await this.getAccessToken();
+        return await axios.request({
+          method,
+          url: `${this.baseUrl}${path}`,
+          data,
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+            "client-request-id": clientRequestId,
+            ...headers,
+          },
+        });
+      } catch (requestError) {
+        error = requestError;
+      }
+
+      const status = error.response?.status;
+      const requestId = error.response?.headers?.["request-id"] || null;
+
+      // An expired or revoked token: get a new one and try once more
+      if (status === 401 && !refreshedAfterUnauthorized) {
+        refreshedAfterUnauthorized = true;
+        this.token = null;
+        continue;
+      }
+
+      if (
+        isRetryable(idempotent, status, error.code) &&
+        attempt < this.maxRetries
+      ) {
+        const delayMs =
+          parseRetryAfter(error.response?.headers?.["retry-after"]) ??
+          Math.min(this.baseDelayMs * 2 ** attempt, this.maxDelayMs);
+        this.log("warn", "Graph request throttled or failed, retrying", {
+          method,
+          path,
+          status: status || error.code,
+          // requestId is taken by provisioning request IDs in the server log
+          graphRequestId: requestId,
+          clientRequestId,
+          attempt: attempt + 1,
+          delayMs,
+        });
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
+        continue;
+      }
+
+      throw this.normalizeError(error, method, path, clientRequestId);
+    }
+  }
+
+  /**
+   * Sends a POST that creates an object
+   * A create that failed with a gateway error or a dropped connection may still have been applied,
+   * so before it is sent again the object is looked up and returned if it exists
+   * @param {string} path - Path relative to the Graph base URL
+   * @param {Object} data - JSON body
+   * @param {Function} findExisting - Async function returning the object if it was created, or null
+   * @returns {Object} axios response, or { status: 200, headers: {}, data } with the object found
+   * @throws {GraphError} If the request failed and could not be retried
+   */
+  async create(path, data, findExisting) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.request("post", path, { data });
+      } catch (error) {
+        if (
+          !(error instanceof GraphError) ||
+          !isUnconfirmedWrite(error) ||
+          attempt >= this.maxRetries
+        ) {
+          throw error;
+        }
+      }
+
+      const existing = await findExisting();
+      if (existing) {
+        this.log(
+          "warn",
+          "Graph create failed but the object exists, using it",
+          {
+            path,
+            attempt: attempt + 1,
+          }
+        );
+        return { status: 200, headers: {}, data: existing };
+      }
+
+      const delayMs = Math.min(
+        this.baseDelayMs * 2 ** attempt,
+        this.maxDelayMs
+      );
+      this.log("warn", "Graph create failed and was not applied, retrying", {
+        path,
+        attempt: attempt + 1,
+        delayMs,
+      });
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+  }
+
+  /**
+   * Turns an axios error into a GraphError (see createError)
+   * @param {Error} error - axios error (or a token error)
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @param {string} clientRequestId - client-request-id sent with the request
+   * @returns {GraphError} Normalized error
+   */
+  normalizeError(error, method, path, clientRequestId) {
+    return this.createError(
+      error.response || { status: null },
+      method,
+      path,
+      clientRequestId,
+      error
+    );
+  }
+
+  /**
+   * Creates the GraphError of a failed response and logs it with its request IDs
+   * 404s are not logged - callers use them to detect objects that do not exist
+   * @param {Object} response - { status, headers, data } of the response (data is the body)
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @param {string} clientRequestId - client-request-id sent with the request
+   * @param {Error} cause - Underlying error, used when the response has no Graph error body
+   * @returns {GraphError} Normalized error
+   */
+  createError(response, method, path, clientRequestId, cause = null) {
+    const graphError = response.data?.error;
+    const normalized = new GraphError({
+      message:
+        graphError?.message ||
+        cause?.message ||
+        `Graph request failed with status ${response.status}`,
+      status: response.status || null,
+      code: graphError?.code || cause?.code || null,
+      method,
+      path,
+      requestId:
+        response.headers?.["request-id"] ||
+        graphError?.innerError?.["request-id"] ||
+        null,
+      clientRequestId,
+    });
+
+    if (normalized.status !== 404) {
+      this.log("warn", "Graph request failed", {
+        method,
+        path,
+        status: normalized.status,
+        code: normalized.code,
+        graphRequestId: normalized.requestId,
+        clientRequestId,
+        error: normalized.message,
+      });
+    }
+    return normalized;
+  }
+
+  /**
+   * Sends requests through Graph JSON batching ($batch), up to 20 per round trip
+   * Requests linked by dependsOn are kept in the same batch, as Graph requires, and run in order;
+   * throttled requests, requests other than POSTs that hit a gateway error, and the ones depending
+   * on them are sent again in a later batch after their Retry-After
+   * @param {Array} requests - { id, method, url, body, dependsOn } with url relative to the Graph
+   *   base URL; id defaults to the position in the array
+   * @returns {Array} One result per request, in the given order: { id, status, headers, body, error }
+   *   where error is a GraphError if the request failed
+   */
+  async batch(requests) {
+    const items = requests.map((request, index) => ({
+      ...request,
+      id: String(request.id ?? index + 1),
+      method: request.method.toUpperCase(),
+      dependsOn: (request.dependsOn || []).map(String),
+    }));
+    const results = new Map();
+    const clientRequestId = uuidv4();
+
+    for (const chunk of this.groupBatchRequests(items)) {
+      let pending = chunk;
+      for (let attempt = 0; pending.length > 0; attempt++) {
+        const response = await this.request("post", "/$batch", {
+          clientRequestId,
+          // A batch may be sent again if none of its requests creates anything
+          idempotent: pending.every((item) => item.method !== "POST"),
+          data: {
+            requests: pending.map((item) => ({
+              id: item.id,
+              method: item.method,
+              url: item.url,
+              ...(item.body !== undefined && {
+                body: item.body,
+                headers: { "Content-Type": "application/json" },
+              }),
+              // Dependencies that already succeeded in an earlier round trip are dropped
+              ...(item.dependsOn.some((id) => !results.has(id)) && {
+                dependsOn: item.dependsOn.filter((id) => !results.has(id)),
+              }),
+            })),
+          },
+        });
+        const responses = new Map(
+          response.data.responses.map((entry) => [
+            String(entry.id),
+            { ...entry, headers: lowerCaseKeys(entry.headers) },
+          ])
+        );
+
+        // Retry throttled requests, and requests that failed only because one of those did
+        const retry = new Set();
+        for (const item of pending) {
+          const status = responses.get(item.id)?.status;
+          if (
+            (status && isRetryable(item.method !== "POST", status, null)) ||
+            (status === 424 && item.dependsOn.some((id) => retry.has(id)))
+          ) {
+            retry.add(item.id);
+          }
+        }
+        if (attempt >= this.maxRetries) retry.clear();
+
+        for (const item of pending.filter((entry) => !retry.has(entry.id))) {
+          const entry = responses.get(item.id) || {
+            status: null,
+            body: { error: { message: "No response in the batch" } },
+          };
+          results.set(item.id, {
+            id: item.id,
+            status: entry.status,
+            headers: entry.headers || {},
+            body: entry.body,
+            error:
+              entry.status >= 200 && entry.status < 300
+                ? null
+                : this.createError(
+                    {
+                      status: entry.status,
+                      headers: entry.headers,
+                      data: entry.body,
+                    },
+                    item.method,
+                    item.url,
+                    clientRequestId
+                  ),
+          });
+        }
+
+        pending = pending.filter((item) => retry.has(item.id));
+        if (pending.length > 0) {
+          const delayMs = Math.max(
+            ...pending.map(
+              (item) =>
+                parseRetryAfter(
+                  responses.get(item.id).headers["retry-after"]
+                ) ?? Math.min(this.baseDelayMs * 2 ** attempt, this.maxDelayMs)
+            )
+          );
+          this.log("warn", "Graph batch requests throttled, retrying", {
+            requests: pending.length,
+            attempt: attempt + 1,
+            delayMs,
+          });
+          await new Promise((resolve) => setTimeout(resolve, delayMs));
+        }
+      }
+    }
+
+    return items.map((item) => results.get(item.id));
+  }
+
+  /**
+   * Splits batch requests into batches of at most 20, keeping requests linked by dependsOn together
+   * @param {Array} items - Batch requests with string IDs
+   * @returns {Array} Batches (arrays of requests) in the original order
+   */
+  groupBatchRequests(items) {
+    // Requests linked directly or indirectly by dependsOn form a group
+    const groupOf = new Map(items.map((item) => [item.id, [item]]));
+    for (const item of items) {
+      for (const id of item.dependsOn) {
+        const group = groupOf.get(id);
+        if (!group) {
+          throw new Error(
+            `Batch request ${item.id} depends on unknown request ${id}`
+          );
+        }
+        const own = groupOf.get(item.id);
+        if (group === own) continue;
+        own.push(...group);
+        group.forEach((member) => groupOf.set(member.id, own));
+      }
+    }
+
+    const batches = [];
+    let current = [];
+    for (const group of new Set(items.map((item) => groupOf.get(item.id)))) {
+      if (group.length > MAX_BATCH_SIZE) {
+        throw new Error(
+          `At most ${MAX_BATCH_SIZE} batch requests can depend on each other`
+        );
+      }
+      if (current.length + group.length > MAX_BATCH_SIZE) {
+        batches.push(current);
+        current = [];
+      }
+      // Keep the caller's order within the group, so a request follows the ones it depends on
+      current.push(...items.filter((item) => group.includes(item)));
+    }
+    if (current.length > 0) batches.push(current);
+    return batches;
+  }
+
+  /**
+   * Sends a GET request
+   * @param {string} path - Path relative to the Graph base URL
+   * @returns {Object} axios response
+   */
+  get(path) {
+    return this.request("get", path);
+  }
+
+  /**
+   * Sends a GET request for a collection and follows @odata.nextLink until every page is read
+   * @param {string} path - Path relative to the Graph base URL
+   * @param {Object} options - { headers } with extra headers sent with every page
+   * @returns {Array} The value entries of all pages
+   */
+  async getAll(path, { headers } = {}) {
+    const values = [];
+    for (let next = path; next;) {
+      const response = await this.request("get", next, { headers });
+      values.push(...response.data.value);
+      const nextLink = response.data["@odata.nextLink"];
+      if (nextLink && !nextLink.startsWith(this.baseUrl)) {
+        throw new Error(`Unexpected Graph next page link ${nextLink}`);
+      }
+      next = nextLink ? nextLink.slice(this.baseUrl.length) : null;
+    }
+    return values;
+  }
+
+  /**
+   * Sends a POST request
+   * @param {string} path - Path relative to the Graph base URL
+   * @param {Object} data - JSON body
+   * @param {Object} options - { idempotent } to retry the request after gateway errors too
+   * @returns {Object} axios response
+   */
+  post(path, data, { idempotent = false } = {}) {
+    return this.request("post", path, { data, idempotent });
+  }
+
+  /**
+   * Sends a PATCH request
+   * @param {string} path - Path relative to the Graph base URL
+   * @param {Object} data - JSON body
+   * @returns {Object} axios response
+   */
+  patch(path, data) {
+    return this.request("patch", path, { data });
+  }
+
+  /**
+   * Sends a PUT request
+   * @param {string} path - Path relative to the Graph base URL
+   * @param {Object} data - JSON body
+   * @returns {Object} axios response
+   */
+  put(path, data) {
+    return this.request("put", path, { data });
+  }
+
+  /**
+   * Sends a DELETE request
+   * @param {string} path - Path relative to the Graph base URL
+   * @returns {Object} axios response
+   */
+  delete(path) {
+    return this.request("delete", path);
+  }
+}
+
+module.exports = {
+  GraphClient,
+  GraphError,
+  GRAPH_BETA_URL,
+  parseRetryAfter,
+};
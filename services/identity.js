@@ -0,0 +1,141 @@
+// services/identity.js - Server-held identity the provisioner authenticates to Azure with
+// Replaces service principal secrets posted with each request; see PROVISIONER_IDENTITY in .env.example
+const crypto = require("crypto");
+const {
+  EnvironmentCredential,
+  ManagedIdentityCredential,
+  WorkloadIdentityCredential,
+  ClientCertificateCredential,
+} = require("@azure/identity");
+
+// Identity types selectable with the PROVISIONER_IDENTITY setting
+const PROVISIONER_IDENTITY_TYPES = [
+  "environment",
+  "managedIdentity",
+  "workloadIdentity",
+  "certificate",
+  "none",
+];
+
+const GUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Picks the identity type from the environment when PROVISIONER_IDENTITY is not set
+ * Placeholder values such as the ones in .env.example are not mistaken for an identity
+ * @param {Object} env - Environment variables
+ * @returns {string} Identity type, none if nothing is configured
+ */
+function detectIdentityType(env) {
+  const hasApp =
+    GUID_PATTERN.test(env.AZURE_TENANT_ID || "") &&
+    GUID_PATTERN.test(env.AZURE_CLIENT_ID || "");
+
+  if (hasApp && env.AZURE_FEDERATED_TOKEN_FILE) return "workloadIdentity";
+  if (hasApp && env.AZURE_CLIENT_CERTIFICATE_PATH) return "certificate";
+  if (hasApp && env.AZURE_CLIENT_SECRET) return "environment";
+  // Set by App Service, Functions, Container Apps and Arc when a managed identity is available
+  if (env.IDENTITY_ENDPOINT || env.MSI_ENDPOINT) return "managedIdentity";
+  return "none";
+}
+
+/**
+ * Creates the provisioner's server identity
+ * @param {Object} env - Environment variables (PROVISIONER_IDENTITY, AZURE_TENANT_ID, AZURE_CLIENT_ID,
+ *   AZURE_CLIENT_SECRET, AZURE_CLIENT_CERTIFICATE_PATH, AZURE_FEDERATED_TOKEN_FILE)
+ * @returns {Object|null} { type, tenantId, clientId, credential } with an Azure TokenCredential, or null
+ *   if no server identity is configured
+ */
+function createProvisionerIdentity(env = process.env) {
+  const type = env.PROVISIONER_IDENTITY || detectIdentityType(env);
+  const tenantId = GUID_PATTERN.test(env.AZURE_TENANT_ID || "")
+    ? env.AZURE_TENANT_ID
+    : null;
+  const clientId = GUID_PATTERN.test(env.AZURE_CLIENT_ID || "")
+    ? env.AZURE_CLIENT_ID
+    : null;
+
+  let credential;
+  switch (type) {
+    case "none":
+      return null;
+    case "environment":
+      credential = new EnvironmentCredential();
+      break;
+    case "managedIdentity":
+      // A client ID selects a user-assigned identity, otherwise the system-assigned one is used
+      credential = clientId
+        ? new ManagedIdentityCredential({ clientId })
+        : new ManagedIdentityCredential();
+      break;
+    case "workloadIdentity":
+      credential = new WorkloadIdentityCredential({
+        tenantId,
+        clientId,
+        tokenFilePath: env.AZURE_FEDERATED_TOKEN_FILE,
+      });
+      break;
+    case "certificate":
+      if (!tenantId || !clientId || !env.AZURE_CLIENT_CERTIFICATE_PATH) {
+        throw new Error(
+          "The certificate identity requires AZURE_TENANT_ID, AZURE_CLIENT_ID and AZURE_CLIENT_CERTIFICATE_PATH"
+        );
+      }
+      credential = new ClientCertificateCredential(tenantId, clientId, {
+        certificatePath: env.AZURE_CLIENT_CERTIFICATE_PATH,
+      });
+      break;
+    default:
+      throw new Error(
+        `Unknown provisioner identity ${type} - use one of ${PROVISIONER_IDENTITY_TYPES.join(
+          ", "
+        )}`
+      );
+  }
+
+  return { type, tenantId, clientId, credential };
+}
+
+/**
+ * Reads the API keys that let callers act with the server identity (PROVISIONER_API_KEYS)
+ * @param {Object} env - Environment variables
+ * @returns {string[]} Keys, empty if callers may not use the server identity
+ */
+function loadApiKeys(env = process.env) {
+  return (env.PROVISIONER_API_KEYS || "")
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Checks the API key a caller sent as a bearer token or in the X-API-Key header
+ * Keys are compared as digests so the comparison takes the same time for any length
+ * @param {Object} headers - Request headers (lower-cased names)
+ * @param {string[]} apiKeys - Keys from loadApiKeys
+ * @param {string} [queryKey] - Key from the query string, for clients that cannot set headers
+ * @returns {boolean} Whether the caller presented one of the keys
+ */
+function isAuthorizedCaller(headers, apiKeys, queryKey) {
+  const authorization = headers.authorization || "";
+  const presented = /^Bearer /i.test(authorization)
+    ? authorization.slice(7).trim()
+    : headers["x-api-key"] || queryKey;
+  if (!presented || typeof presented !== "string") {
+    return false;
+  }
+
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  const presentedDigest = digest(presented);
+  return apiKeys.some((key) =>
+    crypto.timingSafeEqual(digest(key), presentedDigest)
+  );
+}
+
+module.exports = {
+  PROVISIONER_IDENTITY_TYPES,
+  detectIdentityType,
+  createProvisionerIdentity,
+  loadApiKeys,
+  isAuthorizedCaller,
+};
@@ -0,0 +1,45 @@
+// services/odata.js - Builds OData $filter expressions for Graph requests with safely escaped values
+// Values are never concatenated into a filter by hand, so a quote in a display name cannot break
+// (or change) the query
+
+/**
+ * Turns a value into an OData literal
+ * Strings are quoted with embedded quotes doubled, arrays become a parenthesized list for in
+ * @param {string|number|boolean|Array} value - Value to embed in a filter
+ * @returns {string} The OData literal
+ */
+function odataLiteral(value) {
+  if (Array.isArray(value)) {
+    return `(${value.map(odataLiteral).join(", ")})`;
+  }
+  if (typeof value === "number" || typeof value === "boolean") {
+    return String(value);
+  }
+  if (typeof value !== "string") {
+    throw new Error(`Cannot use ${value} in an OData filter`);
+  }
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Tagged template building a filter expression; interpolated values become escaped literals
+ * e.g. odataFilter`appId eq ${appId} and tags/any(t:t eq ${tag})`
+ * @returns {string} The filter expression
+ */
+function odataFilter(strings, ...values) {
+  return strings.reduce(
+    (filter, part, index) =>
+      `${filter}${odataLiteral(values[index - 1])}${part}`
+  );
+}
+
+/**
+ * Tagged template building a URL-encoded $filter query option, like odataFilter
+ * e.g. `/servicePrincipals?${filterQuery`appId eq ${appId}`}&$select=id`
+ * @returns {string} The $filter query option
+ */
+function filterQuery(strings, ...values) {
+  return `$filter=${encodeURIComponent(odataFilter(strings, ...values))}`;
+}
+
+module.exports = { odataLiteral, odataFilter, filterQuery };
@@ -0,0 +1,119 @@
+// services/permissionCatalog.js - Resolves API permission names to their IDs via the resource service principal
+// Resource definitions are cached for an hour per tenant and resource API
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Cache of the app roles and delegated scopes resource APIs (e.g. Microsoft Graph) expose in a tenant
+ * Used to turn blueprint permissions like { roles: ["User.Read.All"], scopes: ["User.Read"] } into
+ * requiredResourceAccess entries with the IDs Azure AD expects
+ */
+class PermissionCatalog {
+  /**
+   * @param {Object} options - Catalog options
+   * @param {number} options.ttlMs - How long a resource definition is cached
+   */
+  constructor({ ttlMs = CACHE_TTL_MS } = {}) {
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+  }
+
+  /**
+   * Returns the definition of a resource API, loading it on a cache miss
+   * Concurrent lookups of the same resource share one load; failed loads and missing resources
+   * are not cached, so a resource service principal created later is picked up
+   * @param {string} tenantId - Tenant the resource service principal lives in
+   * @param {string} resourceAppId - Application ID of the resource API
+   * @param {Function} loader - Called with the resource app ID, resolves to its service principal or null
+   * @returns {Object|null} Service principal with appRoles and oauth2PermissionScopes, or null if not found
+   */
+  async getResource(tenantId, resourceAppId, loader) {
+    const key = `${tenantId}:${resourceAppId}`;
+    const cached = this.entries.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.resource;
+    }
+
+    const resource = loader(resourceAppId);
+    this.entries.set(key, { resource, expiresAt: Date.now() + this.ttlMs });
+    try {
+      const result = await resource;
+      if (!result) {
+        this.entries.delete(key);
+      }
+      return result;
+    } catch (error) {
+      this.entries.delete(key);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolves named permissions to requiredResourceAccess entries
+   * @param {string} tenantId - Tenant the permissions are resolved in
+   * @param {Array} permissions - Blueprint permissions ({ resourceAppId, roles, scopes })
+   * @param {Function} loader - Loads a resource service principal by app ID (see getResource)
+   * @returns {Object} { requiredResourceAccess, errors } with one error message per unknown name
+   */
+  async resolve(tenantId, permissions, loader) {
+    const requiredResourceAccess = [];
+    const errors = [];
+
+    for (const permission of permissions) {
+      const resource = await this.getResource(
+        tenantId,
+        permission.resourceAppId,
+        loader
+      );
+      if (!resource) {
+        errors.push(
+          `Resource API ${permission.resourceAppId} has no service principal in the tenant`
+        );
+        continue;
+      }
+
+      const resourceName = resource.displayName || permission.resourceAppId;
+      const resourceAccess = [];
+
+      for (const name of permission.roles) {
+        const role = (resource.appRoles || []).find(
+          (entry) =>
+            entry.value === name &&
+            entry.isEnabled !== false &&
+            (!entry.allowedMemberTypes ||
+              entry.allowedMemberTypes.includes("Application"))
+        );
+        if (role) {
+          resourceAccess.push({ id: role.id, type: "Role" });
+        } else {
+          errors.push(
+            `Unknown application permission '${name}' on ${resourceName}`
+          );
+        }
+      }
+
+      for (const name of permission.scopes) {
+        const scope = (resource.oauth2PermissionScopes || []).find(
+          (entry) => entry.value === name && entry.isEnabled !== false
+        );
+        if (scope) {
+          resourceAccess.push({ id: scope.id, type: "Scope" });
+        } else {
+          errors.push(
+            `Unknown delegated permission '${name}' on ${resourceName}`
+          );
+        }
+      }
+
+      if (resourceAccess.length > 0) {
+        requiredResourceAccess.push({
+          resourceAppId: permission.resourceAppId,
+          resourceAccess,
+        });
+      }
+    }
+
+    return { requiredResourceAccess, errors };
+  }
+}
+
+module.exports = { PermissionCatalog };
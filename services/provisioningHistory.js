@@ -0,0 +1,169 @@
+// services/provisioningHistory.js - File-based history of provisioning runs
+const fs = require("fs");
+const path = require("path");
+
+// Keys whose values are never written to the history store
+const SECRET_KEYS = new Set(["clientSecret", "secretText"]);
+
+/**
+ * Returns a deep copy of a value with secret fields replaced by a placeholder
+ * @param {*} value - Value to redact
+ * @returns {*} Redacted copy of the value
+ */
+function redactSecrets(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactSecrets);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [
+        key,
+        SECRET_KEYS.has(key) && entry ? "[redacted]" : redactSecrets(entry),
+      ])
+    );
+  }
+  return value;
+}
+
+/**
+ * Persistent store for provisioning run records, one JSON file per run
+ * Records are redacted before they are written, so generated and submitted secrets never reach disk
+ */
+class ProvisioningHistoryStore {
+  /**
+   * @param {string} directory - Directory the run records are stored in
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this.writeQueues = new Map();
+  }
+
+  /**
+   * Saves a run record, replacing any earlier version of it
+   * Writes for the same run are serialized and each write is atomic (temp file + rename)
+   * @param {Object} record - Run record with a requestId
+   * @returns {Promise} Resolves once the record is on disk
+   */
+  save(record) {
+    const redacted = redactSecrets(record);
+    const previous =
+      this.writeQueues.get(record.requestId) || Promise.resolve();
+
+    const write = previous
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        const filePath = this.getFilePath(record.requestId);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(
+          tempPath,
+          JSON.stringify(redacted, null, 2)
+        );
+        await fs.promises.rename(tempPath, filePath);
+      });
+
+    this.writeQueues.set(record.requestId, write);
+    write
+      .finally(() => {
+        if (this.writeQueues.get(record.requestId) === write) {
+          this.writeQueues.delete(record.requestId);
+        }
+      })
+      .catch(() => {});
+
+    return write;
+  }
+
+  /**
+   * Loads a run record by its request ID
+   * @param {string} requestId - Request ID of the run
+   * @returns {Object|null} The run record or null if not found
+   */
+  async get(requestId) {
+    if (!ProvisioningHistoryStore.isValidRequestId(requestId)) {
+      return null;
+    }
+
+    try {
+      const content = await fs.promises.readFile(
+        this.getFilePath(requestId),
+        "utf8"
+      );
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw new Error(`Failed to read provisioning history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists run records matching the given filters, newest first
+   * @param {Object} filters - Optional tenantId, environment, resourceGroupName and status filters
+   * @returns {Array} Matching run records
+   */
+  async list(filters = {}) {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw new Error(`Failed to read provisioning history: ${error.message}`);
+    }
+
+    const records = [];
+    for (const file of files.filter((name) => name.endsWith(".json"))) {
+      const record = await this.get(path.basename(file, ".json"));
+      if (record && this.matches(record, filters)) {
+        records.push(record);
+      }
+    }
+
+    return records.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Checks whether a run record matches all of the given filters
+   * Resource group names are compared case-insensitively, like Azure does
+   * @param {Object} record - Run record
+   * @param {Object} filters - Filters to apply
+   * @returns {boolean} True if the record matches
+   */
+  matches(record, filters) {
+    const { tenantId, environment, resourceGroupName, status } = filters;
+    return (
+      (!tenantId || record.inputs?.tenantId === tenantId) &&
+      (!environment || record.inputs?.environment === environment) &&
+      (!resourceGroupName ||
+        record.inputs?.resourceGroupName?.toLowerCase() ===
+          resourceGroupName.toLowerCase()) &&
+      (!status || record.status === status)
+    );
+  }
+
+  /**
+   * Returns the file path of a run record, rejecting IDs that could escape the store directory
+   * @param {string} requestId - Request ID of the run
+   * @returns {string} Absolute path of the record file
+   */
+  getFilePath(requestId) {
+    if (!ProvisioningHistoryStore.isValidRequestId(requestId)) {
+      throw new Error(`Invalid provisioning request ID: ${requestId}`);
+    }
+    return path.join(this.directory, `${requestId}.json`);
+  }
+
+  /**
+   * Checks that a request ID is safe to use as a file name
+   * @param {string} requestId - Request ID to check
+   * @returns {boolean} True if the ID only contains letters, digits and dashes
+   */
+  static isValidRequestId(requestId) {
+    return /^[a-zA-Z0-9-]+$/.test(requestId);
+  }
+}
+
+module.exports = { ProvisioningHistoryStore, redactSecrets };
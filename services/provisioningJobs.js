@@ -0,0 +1,427 @@
+// services/provisioningJobs.js - In-memory registry of asynchronous provisioning runs
+const { EventEmitter } = require("events");
+
+const STEP_STATUS = {
+  PENDING: "pending",
+  RUNNING: "running",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+// Finished jobs are kept around for status polling for this long
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+// Events kept per job for replay; older ones are dropped so a long or often resumed run does not
+// grow without bound
+const MAX_JOB_EVENTS = 1000;
+
+/**
+ * Registry for provisioning jobs that run in the background after /api/provision returns
+ * Tracks overall job status plus per-step status and timestamps, and keeps an ordered
+ * event log per job (the last MAX_JOB_EVENTS events) that subscribers (e.g. Server-Sent Events
+ * streams) can replay and follow
+ * Every recorded event is also emitted as ("event", requestId, event) for store-wide listeners
+ */
+class ProvisioningJobStore extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.jobs = new Map();
+  }
+
+  /**
+   * Registers a new job with all of its steps in pending state
+   * @param {string} requestId - Request ID that identifies the job
+   * @param {Array} steps - Array of { id, name } step descriptors in execution order
+   * @param {Object} details - Request details kept with the job ({ inputs, requester })
+   * @returns {Object} The created job
+   */
+  createJob(requestId, steps, { inputs = {}, requester = null } = {}) {
+    this.pruneFinishedJobs();
+
+    const job = {
+      requestId,
+      inputs,
+      requester,
+      status: STEP_STATUS.PENDING,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      duration: null,
+      steps: steps.map((step) => ({
+        id: step.id,
+        name: step.name,
+        status: STEP_STATUS.PENDING,
+        startedAt: null,
+        completedAt: null,
+        error: null,
+      })),
+      provisioningResults: null,
+      summary: null,
+      error: null,
+      createdResources: [],
+      teardown: null,
+      attempts: 1,
+      events: [],
+      lastEventId: 0,
+    };
+
+    this.jobs.set(requestId, job);
+    this.recordEvent(requestId, "job", { status: job.status });
+    return job;
+  }
+
+  /**
+   * Restores a finished job from its persisted history record, e.g. after a restart
+   * The event log of the original run is not restored
+   * @param {Object} record - History record of the run
+   * @returns {Object} The restored job
+   */
+  restoreJob(record) {
+    const job = {
+      requestId: record.requestId,
+      inputs: record.inputs || {},
+      requester: record.requester || null,
+      status: record.status,
+      createdAt: record.createdAt,
+      startedAt: record.startedAt,
+      completedAt: record.completedAt,
+      duration: record.duration,
+      steps: record.steps,
+      provisioningResults: record.results || null,
+      summary: record.summary || null,
+      error: record.error || null,
+      createdResources: record.createdResources || [],
+      // A teardown still running when the record was written was cut off by the restart
+      teardown:
+        record.teardown?.status === STEP_STATUS.RUNNING
+          ? { ...record.teardown, status: STEP_STATUS.FAILED }
+          : record.teardown || null,
+      attempts: record.attempts || 1,
+      events: [],
+      lastEventId: 0,
+    };
+
+    this.jobs.set(record.requestId, job);
+    return job;
+  }
+
+  /**
+   * Reopens a finished job so it can run again, keeping the steps that already succeeded
+   * Failed steps and steps that never ran are reset to pending
+   * @param {string} requestId - Request ID of the job
+   * @returns {boolean} False if the job is unknown or has not finished
+   */
+  resumeJob(requestId) {
+    const job = this.getJob(requestId);
+    if (!job || !job.completedAt) return false;
+
+    for (const step of job.steps) {
+      if (step.status !== STEP_STATUS.SUCCEEDED) {
+        step.status = STEP_STATUS.PENDING;
+        step.startedAt = null;
+        step.completedAt = null;
+        step.error = null;
+      }
+    }
+
+    job.status = STEP_STATUS.PENDING;
+    job.completedAt = null;
+    job.duration = null;
+    job.error = null;
+    job.attempts += 1;
+    this.recordEvent(requestId, "job", {
+      status: job.status,
+      attempt: job.attempts,
+    });
+    return true;
+  }
+
+  /**
+   * Appends an event to a job's event log and notifies subscribers
+   * Event IDs keep counting up when the oldest events are dropped from the log
+   * @param {string} requestId - Request ID of the job
+   * @param {string} type - Event type (job, step, log, consentGrant, crossPermission, resourceCreated, teardown, complete)
+   * @param {Object} data - Event payload
+   */
+  recordEvent(requestId, type, data = {}) {
+    const job = this.getJob(requestId);
+    if (!job) return;
+
+    const event = {
+      id: ++job.lastEventId,
+      type,
+      timestamp: new Date().toISOString(),
+      data,
+    };
+    job.events.push(event);
+    if (job.events.length > MAX_JOB_EVENTS) {
+      job.events.shift();
+    }
+    this.emit(`event:${requestId}`, event);
+    this.emit("event", requestId, event);
+  }
+
+  /**
+   * Subscribes to a job's events, replaying the ones recorded after the given event ID first
+   * @param {string} requestId - Request ID of the job
+   * @param {number} lastEventId - ID of the last event the subscriber has already seen
+   * @param {Function} listener - Called with each event
+   * @returns {Function} Function that removes the subscription
+   */
+  subscribe(requestId, lastEventId, listener) {
+    const job = this.getJob(requestId);
+    if (!job) return () => {};
+
+    job.events
+      .filter((event) => event.id > lastEventId)
+      .forEach((event) => listener(event));
+
+    const eventName = `event:${requestId}`;
+    this.on(eventName, listener);
+    return () => this.off(eventName, listener);
+  }
+
+  /**
+   * Checks whether a job has finished, successfully or not
+   * @param {string} requestId - Request ID of the job
+   * @returns {boolean} True if the job has completed
+   */
+  isFinished(requestId) {
+    const job = this.getJob(requestId);
+    return !!(job && job.completedAt);
+  }
+
+  /**
+   * Returns a job by its request ID
+   * @param {string} requestId - Request ID of the job
+   * @returns {Object|null} The job or null if unknown
+   */
+  getJob(requestId) {
+    return this.jobs.get(requestId) || null;
+  }
+
+  /**
+   * Marks a job as running
+   * @param {string} requestId - Request ID of the job
+   */
+  startJob(requestId) {
+    const job = this.getJob(requestId);
+    if (!job) return;
+    job.status = STEP_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+    this.recordEvent(requestId, "job", { status: job.status });
+  }
+
+  /**
+   * Marks a step as running
+   * @param {string} requestId - Request ID of the job
+   * @param {string} stepId - ID of the step
+   */
+  startStep(requestId, stepId) {
+    const step = this.findStep(requestId, stepId);
+    if (!step) return;
+    step.status = STEP_STATUS.RUNNING;
+    step.startedAt = new Date().toISOString();
+    this.recordEvent(requestId, "step", { ...step });
+  }
+
+  /**
+   * Marks a step as succeeded
+   * @param {string} requestId - Request ID of the job
+   * @param {string} stepId - ID of the step
+   * @param {Object} extra - Additional fields to record on the step (e.g. { skipped: true } or { output })
+   */
+  completeStep(requestId, stepId, extra = {}) {
+    const step = this.findStep(requestId, stepId);
+    if (!step) return;
+    Object.assign(step, extra);
+    step.status = STEP_STATUS.SUCCEEDED;
+    step.startedAt = step.startedAt || new Date().toISOString();
+    step.completedAt = new Date().toISOString();
+    this.recordEvent(requestId, "step", { ...step });
+  }
+
+  /**
+   * Marks a step as failed with the given error message
+   * @param {string} requestId - Request ID of the job
+   * @param {string} stepId - ID of the step
+   * @param {string} errorMessage - Error message describing the failure
+   */
+  failStep(requestId, stepId, errorMessage) {
+    const step = this.findStep(requestId, stepId);
+    if (!step) return;
+    step.status = STEP_STATUS.FAILED;
+    step.startedAt = step.startedAt || new Date().toISOString();
+    step.completedAt = new Date().toISOString();
+    step.error = errorMessage;
+    this.recordEvent(requestId, "step", { ...step });
+  }
+
+  /**
+   * Completes a job with its final provisioning results
+   * The job is considered failed if any of its steps failed
+   * @param {string} requestId - Request ID of the job
+   * @param {Object} provisioningResults - Final provisioning results
+   * @param {Object} summary - Summary counters for the run
+   */
+  finishJob(requestId, provisioningResults, summary) {
+    const job = this.getJob(requestId);
+    if (!job) return;
+    job.provisioningResults = provisioningResults;
+    job.summary = summary;
+    job.status = job.steps.some((step) => step.status === STEP_STATUS.FAILED)
+      ? STEP_STATUS.FAILED
+      : STEP_STATUS.SUCCEEDED;
+    this.markCompleted(job);
+    this.recordEvent(requestId, "complete", {
+      status: job.status,
+      duration: job.duration,
+      results: provisioningResults,
+      summary,
+    });
+  }
+
+  /**
+   * Fails a job that aborted before producing results
+   * Steps that never ran stay pending, the running step is marked failed
+   * @param {string} requestId - Request ID of the job
+   * @param {string} errorMessage - Error message describing the failure
+   */
+  abortJob(requestId, errorMessage) {
+    const job = this.getJob(requestId);
+    if (!job) return;
+    for (const step of job.steps) {
+      if (step.status === STEP_STATUS.RUNNING) {
+        this.failStep(requestId, step.id, errorMessage);
+      }
+    }
+    job.status = STEP_STATUS.FAILED;
+    job.error = errorMessage;
+    this.markCompleted(job);
+    this.recordEvent(requestId, "complete", {
+      status: job.status,
+      duration: job.duration,
+      error: errorMessage,
+    });
+  }
+
+  /**
+   * Records an object the job created in the tenant or subscription, so it can be torn down later
+   * @param {string} requestId - Request ID of the job
+   * @param {Object} resource - Created resource ({ type, id, name, ... })
+   */
+  addCreatedResource(requestId, resource) {
+    const job = this.getJob(requestId);
+    if (!job) return;
+    job.createdResources.push({ ...resource, deletedAt: null });
+  }
+
+  /**
+   * Starts tracking a teardown of the objects a job created
+   * @param {string} requestId - Request ID of the job
+   * @param {string} trigger - What started the teardown (rollback or request)
+   * @returns {boolean} False if the job is unknown or a teardown is already running
+   */
+  startTeardown(requestId, trigger) {
+    const job = this.getJob(requestId);
+    if (!job || job.teardown?.status === STEP_STATUS.RUNNING) return false;
+
+    job.teardown = {
+      status: STEP_STATUS.RUNNING,
+      trigger,
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      deletions: [],
+    };
+    this.recordEvent(requestId, "teardown", {
+      status: job.teardown.status,
+      trigger,
+    });
+    return true;
+  }
+
+  /**
+   * Records the outcome of deleting one created resource during a teardown
+   * @param {string} requestId - Request ID of the job
+   * @param {Object} resource - The created resource that was processed
+   * @param {string} status - Outcome (deleted, alreadyDeleted, failed)
+   * @param {string} errorMessage - Error message if the deletion failed
+   */
+  recordDeletion(requestId, resource, status, errorMessage = null) {
+    const job = this.getJob(requestId);
+    if (!job || !job.teardown) return;
+
+    const deletion = {
+      type: resource.type,
+      id: resource.id,
+      name: resource.name,
+      uniqueId: resource.uniqueId,
+      status,
+      error: errorMessage,
+      timestamp: new Date().toISOString(),
+    };
+    if (status !== "failed") {
+      resource.deletedAt = deletion.timestamp;
+    }
+    job.teardown.deletions.push(deletion);
+    this.recordEvent(requestId, "teardown", deletion);
+  }
+
+  /**
+   * Completes a teardown, failing it if any deletion failed
+   * @param {string} requestId - Request ID of the job
+   * @returns {Object|null} The finished teardown
+   */
+  finishTeardown(requestId) {
+    const job = this.getJob(requestId);
+    if (!job || !job.teardown) return null;
+
+    job.teardown.status = job.teardown.deletions.some(
+      (deletion) => deletion.status === "failed"
+    )
+      ? STEP_STATUS.FAILED
+      : STEP_STATUS.SUCCEEDED;
+    job.teardown.completedAt = new Date().toISOString();
+    this.recordEvent(requestId, "teardown", {
+      status: job.teardown.status,
+      trigger: job.teardown.trigger,
+    });
+    return job.teardown;
+  }
+
+  /**
+   * Finds a step of a job by its ID
+   * @param {string} requestId - Request ID of the job
+   * @param {string} stepId - ID of the step
+   * @returns {Object|null} The step or null if unknown
+   */
+  findStep(requestId, stepId) {
+    const job = this.getJob(requestId);
+    return job ? job.steps.find((step) => step.id === stepId) || null : null;
+  }
+
+  /**
+   * Sets completion timestamp and duration on a job
+   * @param {Object} job - The job to complete
+   */
+  markCompleted(job) {
+    job.completedAt = new Date().toISOString();
+    job.duration =
+      new Date(job.completedAt).getTime() -
+      new Date(job.startedAt || job.createdAt).getTime();
+  }
+
+  /**
+   * Removes finished jobs older than the retention window
+   */
+  pruneFinishedJobs() {
+    const cutoff = Date.now() - JOB_RETENTION_MS;
+    for (const [requestId, job] of this.jobs) {
+      if (job.completedAt && new Date(job.completedAt).getTime() < cutoff) {
+        this.jobs.delete(requestId);
+      }
+    }
+  }
+}
+
+module.exports = { ProvisioningJobStore, STEP_STATUS, MAX_JOB_EVENTS };
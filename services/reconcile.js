@@ -0,0 +1,268 @@
+// services/reconcile.js - Builds the changes that bring reused applications in line with their blueprint entry
+// Platforms the blueprint entry uses are set as requested; scopes, Application ID URIs and requested
+// permissions are only ever added to, so entries made outside the provisioner are kept
+const { v4: uuidv4 } = require("uuid");
+const { desiredRedirectUris, desiredEnterpriseUris } = require("./drift");
+
+// Implicit grant settings of the web platform, as set when an app is created
+const WEB_IMPLICIT_GRANT_SETTINGS = {
+  enableIdTokenIssuance: true,
+  enableAccessTokenIssuance: false,
+};
+
+/**
+ * Builds a delegated permission scope an app exposes
+ * @param {string} scope - Scope value, e.g. api.access
+ * @param {string} id - Scope ID, a new GUID by default
+ * @returns {Object} oauth2PermissionScope
+ */
+function buildPermissionScope(scope, id = uuidv4()) {
+  return {
+    id,
+    adminConsentDescription: `Allow the application to ${scope}`,
+    adminConsentDisplayName: scope,
+    userConsentDescription: `Allow the application to ${scope} on your behalf`,
+    userConsentDisplayName: scope,
+    value: scope,
+    type: "User",
+    isEnabled: true,
+  };
+}
+
+/**
+ * Collects property changes and the PATCH body applying them
+ */
+class ChangeSet {
+  constructor() {
+    this.patch = {};
+    this.changes = [];
+  }
+
+  /**
+   * Records a field change if the value really changes
+   * @param {string} field - Changed field, e.g. web.redirectUris
+   * @param {*} before - Current value
+   * @param {*} after - Desired value
+   * @returns {boolean} True if the field changes
+   */
+  record(field, before, after) {
+    if (JSON.stringify(before) === JSON.stringify(after)) return false;
+    this.changes.push({ field, before, after });
+    return true;
+  }
+}
+
+/**
+ * Sets the web platform redirect URIs, keeping the platform's other settings
+ * @param {ChangeSet} changeSet - Change set to add to
+ * @param {Object} application - Current application
+ * @param {Array} redirectUris - Desired redirect URIs
+ * @param {Object} implicitGrantSettings - Desired implicit grant settings, or null to keep them
+ */
+function reconcileWebPlatform(
+  changeSet,
+  application,
+  redirectUris,
+  implicitGrantSettings = null
+) {
+  const { redirectUriSettings, ...web } = application.web || {};
+  const redirectUrisChanged = changeSet.record(
+    "web.redirectUris",
+    web.redirectUris || [],
+    redirectUris
+  );
+  const implicitGrantChanged =
+    implicitGrantSettings &&
+    changeSet.record(
+      "web.implicitGrantSettings",
+      web.implicitGrantSettings
+        ? {
+            enableIdTokenIssuance:
+              web.implicitGrantSettings.enableIdTokenIssuance,
+            enableAccessTokenIssuance:
+              web.implicitGrantSettings.enableAccessTokenIssuance,
+          }
+        : null,
+      implicitGrantSettings
+    );
+
+  if (redirectUrisChanged || implicitGrantChanged) {
+    changeSet.patch.web = {
+      ...web,
+      redirectUris,
+      ...(implicitGrantSettings && { implicitGrantSettings }),
+    };
+  }
+}
+
+/**
+ * Adds Application ID URIs an application is missing
+ * @param {ChangeSet} changeSet - Change set to add to
+ * @param {Object} application - Current application
+ * @param {Array} identifierUris - Identifier URIs the application must have
+ */
+function reconcileIdentifierUris(changeSet, application, identifierUris) {
+  const before = application.identifierUris || [];
+  const after = [
+    ...before,
+    ...identifierUris.filter((uri) => !before.includes(uri)),
+  ];
+  if (changeSet.record("identifierUris", before, after)) {
+    changeSet.patch.identifierUris = after;
+  }
+}
+
+/**
+ * Merges the permissions of a blueprint entry into an application's requiredResourceAccess
+ * Entries of other resource APIs and permissions the entry does not declare are kept
+ * @param {Array} current - Current requiredResourceAccess
+ * @param {Array} desired - requiredResourceAccess the blueprint entry declares
+ * @returns {Array} The merged requiredResourceAccess
+ */
+function mergeRequiredResourceAccess(current = [], desired = []) {
+  const merged = current.map((resource) => ({
+    ...resource,
+    resourceAccess: [...resource.resourceAccess],
+  }));
+
+  for (const resource of desired) {
+    let entry = merged.find(
+      (candidate) => candidate.resourceAppId === resource.resourceAppId
+    );
+    if (!entry) {
+      entry = { resourceAppId: resource.resourceAppId, resourceAccess: [] };
+      merged.push(entry);
+    }
+    for (const permission of resource.resourceAccess) {
+      if (
+        !entry.resourceAccess.some(
+          (existing) =>
+            existing.id === permission.id && existing.type === permission.type
+        )
+      ) {
+        entry.resourceAccess.push({ id: permission.id, type: permission.type });
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Builds the application changes of a reused app registration: redirect URIs of its platform,
+ * missing exposed scopes, the Application ID URI of API apps and missing requested permissions
+ * @param {Object} config - App registration config with resolved requiredResourceAccess
+ * @param {Object} application - Current application
+ * @returns {Object} { patch, changes } with changes as { field, before, after }
+ */
+function reconcileAppRegistration(config, application) {
+  const changeSet = new ChangeSet();
+  const redirectUris = desiredRedirectUris(config);
+
+  if (redirectUris.web.length > 0) {
+    reconcileWebPlatform(
+      changeSet,
+      application,
+      redirectUris.web,
+      WEB_IMPLICIT_GRANT_SETTINGS
+    );
+  }
+  if (redirectUris.spa.length > 0) {
+    const before = application.spa?.redirectUris || [];
+    if (changeSet.record("spa.redirectUris", before, redirectUris.spa)) {
+      changeSet.patch.spa = { redirectUris: redirectUris.spa };
+    }
+  }
+
+  const scopes = application.api?.oauth2PermissionScopes || [];
+  const missingScopes = config.scopes.filter(
+    (scope) => !scopes.some((existing) => existing.value === scope)
+  );
+  if (missingScopes.length > 0) {
+    const after = [
+      ...scopes,
+      ...missingScopes.map((scope) => buildPermissionScope(scope)),
+    ];
+    changeSet.record(
+      "api.oauth2PermissionScopes",
+      scopes.map((scope) => scope.value),
+      after.map((scope) => scope.value)
+    );
+    changeSet.patch.api = {
+      ...application.api,
+      oauth2PermissionScopes: after,
+    };
+  }
+
+  if (config.role === "api") {
+    reconcileIdentifierUris(changeSet, application, [
+      `api://${application.appId}/api`,
+    ]);
+  }
+
+  const requiredResourceAccess = mergeRequiredResourceAccess(
+    application.requiredResourceAccess,
+    config.requiredResourceAccess
+  );
+  if (
+    changeSet.record(
+      "requiredResourceAccess",
+      application.requiredResourceAccess || [],
+      requiredResourceAccess
+    )
+  ) {
+    changeSet.patch.requiredResourceAccess = requiredResourceAccess;
+  }
+
+  return { patch: changeSet.patch, changes: changeSet.changes };
+}
+
+/**
+ * Builds the application changes of a reused enterprise application: its identifier and reply URL
+ * (the SAML ones of SAML apps, the external URL of Application Proxy apps)
+ * @param {Object} config - Enterprise application config
+ * @param {Object} application - Current application
+ * @returns {Object} { patch, changes } with changes as { field, before, after }
+ */
+function reconcileEnterpriseApplication(config, application) {
+  const changeSet = new ChangeSet();
+  const { identifierUris, redirectUris } = desiredEnterpriseUris(config);
+
+  if (identifierUris.length > 0) {
+    reconcileIdentifierUris(changeSet, application, identifierUris);
+  }
+  if (redirectUris.length > 0) {
+    reconcileWebPlatform(changeSet, application, redirectUris);
+  }
+
+  return { patch: changeSet.patch, changes: changeSet.changes };
+}
+
+/**
+ * Builds the service principal changes of a reused enterprise application: its single sign-on mode
+ * @param {Object} config - Enterprise application config
+ * @param {Object} servicePrincipal - Current service principal
+ * @returns {Object} { patch, changes } with changes as { field, before, after }
+ */
+function reconcileEnterpriseServicePrincipal(config, servicePrincipal) {
+  const changeSet = new ChangeSet();
+
+  if (
+    config.type === "saml" &&
+    changeSet.record(
+      "preferredSingleSignOnMode",
+      servicePrincipal.preferredSingleSignOnMode || null,
+      "saml"
+    )
+  ) {
+    changeSet.patch.preferredSingleSignOnMode = "saml";
+  }
+
+  return { patch: changeSet.patch, changes: changeSet.changes };
+}
+
+module.exports = {
+  buildPermissionScope,
+  reconcileAppRegistration,
+  reconcileEnterpriseApplication,
+  reconcileEnterpriseServicePrincipal,
+};
@@ -0,0 +1,169 @@
+// services/replication.js - Waits for newly created directory objects to replicate
+// Entra ID replicates writes asynchronously, so an object created a moment ago can still be missing
+// on the replica that serves the next request ("Resource ... does not exist")
+const INITIAL_DELAY_MS = 500;
+const MAX_DELAY_MS = 5000;
+
+// Messages Graph returns for references to objects a replica does not know yet
+const REPLICATION_LAG_MESSAGES = [
+  /Resource '[^']*' does not exist/i,
+  /reference-property objects are not present/i,
+  /does not reference a valid application object/i,
+];
+
+/**
+ * Tells whether a Graph error is likely caused by replication lag
+ * A plain not found only counts when the caller knows the object was just created; otherwise a
+ * deleted or mistyped object would be waited for until the timeout
+ * @param {Error} error - GraphError from services/graphClient.js
+ * @param {Object} options - { expectCreated } set if the objects involved were created by this run
+ * @returns {boolean} True for bad requests naming a missing object, and for not found errors on
+ *   objects expected to exist
+ */
+function isReplicationLagError(error, { expectCreated = false } = {}) {
+  if (!error) return false;
+  if (error.status === 404) return expectCreated;
+  return (
+    error.status === 400 &&
+    REPLICATION_LAG_MESSAGES.some((pattern) => pattern.test(error.message))
+  );
+}
+
+/**
+ * Polls for new objects and retries writes that depend on them until they have replicated
+ * Delays start at half a second and double up to five seconds, so a fast tenant is hardly slowed
+ * down while a slow one gets until the timeout
+ */
+class ReplicationWaiter {
+  /**
+   * @param {Object} options - Waiter options
+   * @param {number} options.timeoutMs - How long to wait for an object before giving up
+   * @param {Function} options.log - Logger (level, message, data)
+   */
+  constructor({ timeoutMs, log }) {
+    this.timeoutMs = timeoutMs;
+    this.log = log;
+  }
+
+  /**
+   * Runs an operation, running it again while it fails with replication lag errors
+   * @param {string} description - What is waited for, used in log messages
+   * @param {Function} operation - Async function to run
+   * @param {Object} options - { expectCreated } to also wait out not found errors (see
+   *   isReplicationLagError)
+   * @returns {*} The operation's result; the last error is thrown once the timeout is reached
+   */
+  async retry(description, operation, { expectCreated = false } = {}) {
+    const deadline = Date.now() + this.timeoutMs;
+    let delayMs = INITIAL_DELAY_MS;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation();
+      } catch (error) {
+        if (
+          !isReplicationLagError(error, { expectCreated }) ||
+          Date.now() + delayMs > deadline
+        ) {
+          throw error;
+        }
+        this.log("info", "Waiting for replication", {
+          description,
+          attempt,
+          delayMs,
+          error: error.message,
+        });
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
+        delayMs = Math.min(delayMs * 2, MAX_DELAY_MS);
+      }
+    }
+  }
+
+  /**
+   * Polls a newly created object until it can be read
+   * @param {string} description - The object, e.g. "service principal <id>"
+   * @param {Function} read - Async function reading the object, throwing a GraphError while it is missing
+   * @returns {*} The read result
+   */
+  async waitUntilReadable(description, read) {
+    try {
+      return await this.retry(description, read, { expectCreated: true });
+    } catch (error) {
+      if (!isReplicationLagError(error, { expectCreated: true })) throw error;
+      throw new Error(
+        `${description} was not readable after ${Math.round(
+          this.timeoutMs / 1000
+        )}s: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Sends Graph batch requests, sending the ones that failed with replication lag errors again
+   * Requests depending on a retried request (failed with 424) are sent again with it
+   * @param {string} description - What the batch writes, used in log messages
+   * @param {Function} send - The client's batch function (requests => results)
+   * @param {Array} requests - Batch requests (see GraphClient.batch)
+   * @param {Object} options - { expectCreated } to also send requests that failed with not found
+   *   again (see isReplicationLagError)
+   * @returns {Array} One result per request, in the given order
+   */
+  async retryBatch(
+    description,
+    send,
+    requests,
+    { expectCreated = false } = {}
+  ) {
+    const items = requests.map((request, index) => ({
+      ...request,
+      id: String(request.id ?? index + 1),
+    }));
+    const results = new Map(
+      (await send(items)).map((result) => [result.id, result])
+    );
+    const deadline = Date.now() + this.timeoutMs;
+    let delayMs = INITIAL_DELAY_MS;
+
+    for (let attempt = 1; Date.now() + delayMs <= deadline; attempt++) {
+      const lagging = new Set(
+        items
+          .filter((item) =>
+            isReplicationLagError(results.get(item.id).error, { expectCreated })
+          )
+          .map((item) => item.id)
+      );
+      if (lagging.size === 0) break;
+      const pending = items.filter(
+        (item) =>
+          lagging.has(item.id) ||
+          (results.get(item.id).status === 424 &&
+            (item.dependsOn || []).some((id) => lagging.has(String(id))))
+      );
+      const pendingIds = new Set(pending.map((item) => item.id));
+
+      this.log("info", "Waiting for replication", {
+        description,
+        attempt,
+        delayMs,
+        requests: lagging.size,
+      });
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+      delayMs = Math.min(delayMs * 2, MAX_DELAY_MS);
+
+      const retried = await send(
+        pending.map((item) => ({
+          ...item,
+          // Dependencies that already succeeded are not part of this batch
+          dependsOn: (item.dependsOn || []).filter((id) =>
+            pendingIds.has(String(id))
+          ),
+        }))
+      );
+      retried.forEach((result) => results.set(result.id, result));
+    }
+
+    return items.map((item) => results.get(item.id));
+  }
+}
+
+module.exports = { isReplicationLagError, ReplicationWaiter };
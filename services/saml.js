@@ -0,0 +1,219 @@
+// services/saml.js - SAML single sign-on settings of enterprise applications
+const Joi = require("joi");
+
+// NameID formats a blueprint can ask for, by short name
+const NAME_ID_FORMATS = {
+  emailAddress: "urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress",
+  persistent: "urn:oasis:names:tc:SAML:2.0:nameid-format:persistent",
+  transient: "urn:oasis:names:tc:SAML:2.0:nameid-format:transient",
+  unspecified: "urn:oasis:names:tc:SAML:1.1:nameid-format:unspecified",
+};
+
+const NAME_ID_CLAIM_TYPE =
+  "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/nameidentifier";
+
+// Microsoft Entra ID sign-in endpoint; SAML requests and logout requests go to <tenant>/saml2
+const LOGIN_BASE_URL = "https://login.microsoftonline.com";
+
+// User attributes are referenced by their claims mapping ID, e.g. userprincipalname or mail
+const claimAttributeSchema = Joi.string()
+  .pattern(/^[a-zA-Z0-9_]+$/)
+  .max(100);
+
+// Claims of the SAML tokens: the NameID and additional attribute claims
+const samlClaimsSchema = Joi.object({
+  nameId: Joi.object({
+    attribute: claimAttributeSchema.default("userprincipalname"),
+    format: Joi.string()
+      .valid(...Object.keys(NAME_ID_FORMATS))
+      .default("emailAddress"),
+  }).default(),
+  attributes: Joi.array()
+    .items(
+      Joi.object({
+        // SAML claim type, e.g. http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress
+        name: Joi.string().min(1).max(256).required(),
+        attribute: claimAttributeSchema.required(),
+      })
+    )
+    .unique("name")
+    .default([]),
+}).default();
+
+/**
+ * Builds a claims mapping policy that emits the NameID and attribute claims of a SAML app
+ * The basic claim set is kept, the policy only adds to it
+ * @param {string} displayName - Policy display name
+ * @param {Object} claims - { nameId: { attribute, format }, attributes: [{ name, attribute }] }
+ * @returns {Object} claimsMappingPolicy to create
+ */
+function buildClaimsMappingPolicy(displayName, claims) {
+  const claimsSchema = [
+    {
+      Source: "user",
+      ID: claims.nameId.attribute,
+      SamlClaimType: NAME_ID_CLAIM_TYPE,
+      SamlNameIdFormat: NAME_ID_FORMATS[claims.nameId.format],
+    },
+    ...claims.attributes.map((claim) => ({
+      Source: "user",
+      ID: claim.attribute,
+      SamlClaimType: claim.name,
+    })),
+  ];
+
+  return {
+    displayName,
+    isOrganizationDefault: false,
+    definition: [
+      JSON.stringify({
+        ClaimsMappingPolicy: {
+          Version: 1,
+          IncludeBasicClaimSet: "true",
+          ClaimsSchema: claimsSchema,
+        },
+      }),
+    ],
+  };
+}
+
+/**
+ * Escapes a value for use in XML text and attribute values
+ * @param {string} value - Value to escape
+ * @returns {string} The escaped value
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Wraps a base64 encoded DER certificate into PEM
+ * @param {string} base64 - Certificate as Graph returns it in keyCredentials.key
+ * @returns {string} PEM encoded certificate
+ */
+function toPem(base64) {
+  const lines = base64.match(/.{1,64}/g) || [];
+  return `-----BEGIN CERTIFICATE-----\n${lines.join(
+    "\n"
+  )}\n-----END CERTIFICATE-----\n`;
+}
+
+/**
+ * Returns the SAML identity provider endpoints of a tenant
+ * Sign-on and logout share one endpoint, the request type tells them apart
+ * @param {string} tenantId - Tenant ID
+ * @returns {Object} { entityId, singleSignOnServiceUrl, singleLogoutServiceUrl }
+ */
+function identityProviderEndpoints(tenantId) {
+  if (!tenantId) {
+    throw new Error("The identity provider endpoints require a tenant ID");
+  }
+  return {
+    entityId: `https://sts.windows.net/${tenantId}/`,
+    singleSignOnServiceUrl: `${LOGIN_BASE_URL}/${tenantId}/saml2`,
+    singleLogoutServiceUrl: `${LOGIN_BASE_URL}/${tenantId}/saml2`,
+  };
+}
+
+/**
+ * Builds the federation metadata an app's SAML service provider imports to trust the tenant
+ * @param {Object} identityProvider - Endpoints (see identityProviderEndpoints)
+ * @param {string} certificate - Token signing certificate, base64 encoded DER
+ * @returns {string} IdP metadata XML
+ */
+function buildIdentityProviderMetadata(identityProvider, certificate) {
+  const { entityId, singleSignOnServiceUrl, singleLogoutServiceUrl } =
+    identityProvider;
+  const bindings = [
+    "urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect",
+    "urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST",
+  ];
+
+  return [
+    `<?xml version="1.0" encoding="utf-8"?>`,
+    `<EntityDescriptor xmlns="urn:oasis:names:tc:SAML:2.0:metadata" entityID="${escapeXml(
+      entityId
+    )}">`,
+    `  <IDPSSODescriptor protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol">`,
+    `    <KeyDescriptor use="signing">`,
+    `      <KeyInfo xmlns="http://www.w3.org/2000/09/xmldsig#">`,
+    `        <X509Data>`,
+    `          <X509Certificate>${escapeXml(certificate)}</X509Certificate>`,
+    `        </X509Data>`,
+    `      </KeyInfo>`,
+    `    </KeyDescriptor>`,
+    ...bindings.map(
+      (binding) =>
+        `    <SingleLogoutService Binding="${binding}" Location="${escapeXml(
+          singleLogoutServiceUrl
+        )}" />`
+    ),
+    ...bindings.map(
+      (binding) =>
+        `    <SingleSignOnService Binding="${binding}" Location="${escapeXml(
+          singleSignOnServiceUrl
+        )}" />`
+    ),
+    `  </IDPSSODescriptor>`,
+    `</EntityDescriptor>`,
+    "",
+  ].join("\n");
+}
+
+/**
+ * Builds the service provider side of an app's SAML setup, as the app's own configuration needs it
+ * @param {Object} samlSettings - { identifier, replyUrl, signOnUrl, logoutUrl, relayState }
+ * @param {Object} identityProvider - Endpoints (see identityProviderEndpoints)
+ * @returns {Object} { entityId, assertionConsumerServiceUrl, signOnUrl, logoutUrl, relayState,
+ *   metadata } with metadata as SP metadata XML
+ */
+function buildServiceProviderConfiguration(samlSettings, identityProvider) {
+  const { identifier, replyUrl, signOnUrl, logoutUrl, relayState } =
+    samlSettings;
+
+  const metadata = [
+    `<?xml version="1.0" encoding="utf-8"?>`,
+    `<EntityDescriptor xmlns="urn:oasis:names:tc:SAML:2.0:metadata" entityID="${escapeXml(
+      identifier
+    )}">`,
+    `  <SPSSODescriptor AuthnRequestsSigned="false" WantAssertionsSigned="true" protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol">`,
+    ...(logoutUrl
+      ? [
+          `    <SingleLogoutService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect" Location="${escapeXml(
+            logoutUrl
+          )}" />`,
+        ]
+      : []),
+    `    <AssertionConsumerService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST" Location="${escapeXml(
+      replyUrl
+    )}" index="0" isDefault="true" />`,
+    `  </SPSSODescriptor>`,
+    `</EntityDescriptor>`,
+    "",
+  ].join("\n");
+
+  return {
+    entityId: identifier,
+    assertionConsumerServiceUrl: replyUrl,
+    signOnUrl: signOnUrl || null,
+    logoutUrl: logoutUrl || null,
+    relayState: relayState || null,
+    identityProviderEntityId: identityProvider.entityId,
+    identityProviderSignOnUrl: identityProvider.singleSignOnServiceUrl,
+    metadata,
+  };
+}
+
+module.exports = {
+  samlClaimsSchema,
+  buildClaimsMappingPolicy,
+  toPem,
+  identityProviderEndpoints,
+  buildIdentityProviderMetadata,
+  buildServiceProviderConfiguration,
+};
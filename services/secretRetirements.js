@@ -0,0 +1,85 @@
+// services/secretRetirements.js - File-based store of replaced client secrets waiting to be removed
+const fs = require("fs");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+
+/**
+ * Persistent store for client secret removals scheduled after a rotation, one JSON file per removal
+ * Removals outlive the process that scheduled them, so a restart during the grace period does not
+ * leave replaced secrets valid. Only key IDs are stored, never secret values
+ */
+class SecretRetirementStore {
+  /**
+   * @param {string} directory - Directory the pending removals are stored in
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Records a pending removal
+   * @param {Object} retirement - { tenantId, applicationId, displayName, credentials, removeAt } with
+   *   credentials as [{ keyId, displayName }] and removeAt as an ISO date
+   * @returns {Object} The stored removal with its generated id
+   */
+  async add(retirement) {
+    const stored = { id: uuidv4(), ...retirement };
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const filePath = this.getFilePath(stored.id);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(stored, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+    return stored;
+  }
+
+  /**
+   * Forgets a pending removal once it has been carried out
+   * @param {string} id - ID of the removal
+   */
+  async remove(id) {
+    await fs.promises.rm(this.getFilePath(id), { force: true });
+  }
+
+  /**
+   * Lists pending removals, the ones due first
+   * @returns {Array} Pending removals
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw new Error(
+        `Failed to read pending secret removals: ${error.message}`
+      );
+    }
+
+    const retirements = [];
+    for (const file of files.filter((name) => name.endsWith(".json"))) {
+      const content = await fs.promises.readFile(
+        path.join(this.directory, file),
+        "utf8"
+      );
+      retirements.push(JSON.parse(content));
+    }
+
+    return retirements.sort((a, b) => a.removeAt.localeCompare(b.removeAt));
+  }
+
+  /**
+   * Returns the file path of a pending removal, rejecting IDs that could escape the store directory
+   * @param {string} id - ID of the removal
+   * @returns {string} Absolute path of the removal file
+   */
+  getFilePath(id) {
+    if (!/^[a-zA-Z0-9-]+$/.test(id)) {
+      throw new Error(`Invalid secret removal ID: ${id}`);
+    }
+    return path.join(this.directory, `${id}.json`);
+  }
+}
+
+module.exports = { SecretRetirementStore };
@@ -0,0 +1,300 @@
+// services/secretSinks.js - Destinations generated client secrets and certificate private keys are written to
+// Secret values only ever go to a sink; API responses and run records carry the sink's reference
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const axios = require("axios");
+
+const KEY_VAULT_API_VERSION = "7.4";
+const KEY_VAULT_SCOPE = "https://vault.azure.net/.default";
+const ENCRYPTION_ALGORITHM = "aes-256-gcm";
+
+// Sink types selectable with the SECRET_SINK setting
+const SECRET_SINK_TYPES = ["keyVault", "encryptedFile", "envFile"];
+
+// Kinds of credentials a sink stores: client secrets, and certificate private keys stored as
+// PEM (private key followed by the certificate)
+const CREDENTIAL_KINDS = {
+  clientSecret: {
+    suffix: "client-secret",
+    contentType: "application/x-client-secret",
+  },
+  certificate: { suffix: "certificate", contentType: "application/x-pem-file" },
+};
+
+/**
+ * Turns an app display name into a name valid for Key Vault secrets and file names
+ * @param {string} name - App display name
+ * @returns {string} Name with only letters, digits and dashes
+ */
+function toSecretName(name) {
+  return name.replace(/[^a-zA-Z0-9-]/g, "-").slice(0, 127);
+}
+
+/**
+ * Builds the name a secret is stored under from the app's display name and app ID
+ * Display names are not unique, so the app ID keeps namesakes (e.g. the same blueprint provisioned
+ * in two tenants) from overwriting each other's secrets; the display name part is shortened so the
+ * name fits Key Vault's 127 characters with the kind suffix
+ * @param {Object} secret - { name, appId }
+ * @returns {string} Name with only letters, digits and dashes
+ */
+function buildSecretName(secret) {
+  return toSecretName(
+    `${toSecretName(secret.name).slice(0, 64)}-${secret.appId}`
+  );
+}
+
+/**
+ * Writes a file that only the server's user can read
+ * @param {string} filePath - Path of the file
+ * @param {string} content - File content
+ */
+async function writePrivateFile(filePath, content) {
+  await fs.promises.mkdir(path.dirname(filePath), {
+    recursive: true,
+    mode: 0o700,
+  });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, content, { mode: 0o600 });
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Stores secrets in Azure Key Vault through its REST API
+ * The vault URL may point to a local stand-in (e.g. http://127.0.0.1:8443) for testing
+ */
+class KeyVaultSecretSink {
+  /**
+   * @param {Object} options - Sink options
+   * @param {string} options.vaultUrl - Vault URL, e.g. https://my-vault.vault.azure.net
+   * @param {Object} options.credential - Azure TokenCredential used to access the vault
+   */
+  constructor({ vaultUrl, credential }) {
+    if (!vaultUrl) {
+      throw new Error("AZURE_KEY_VAULT_URL is required for the keyVault sink");
+    }
+    this.type = "keyVault";
+    this.vaultUrl = vaultUrl.replace(/\/+$/, "");
+    this.credential = credential;
+  }
+
+  /**
+   * Stores a secret as a new version of the app's vault secret
+   * @param {Object} secret - { kind, name, value, tenantId, appId, keyId, expiresAt } with kind
+   *   clientSecret (default) or certificate
+   * @returns {Object} Reference ({ sink, location }) with the secret version URI
+   */
+  async store(secret) {
+    const kind = CREDENTIAL_KINDS[secret.kind || "clientSecret"];
+    const token = await this.credential.getToken(KEY_VAULT_SCOPE);
+    const expires = Date.parse(secret.expiresAt);
+
+    try {
+      const response = await axios.put(
+        `${this.vaultUrl}/secrets/${buildSecretName(secret)}-${
+          kind.suffix
+        }?api-version=${KEY_VAULT_API_VERSION}`,
+        {
+          value: secret.value,
+          contentType: kind.contentType,
+          attributes: Number.isNaN(expires)
+            ? {}
+            : { exp: Math.floor(expires / 1000) },
+          tags: { tenantId: secret.tenantId, appId: secret.appId },
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${token.token}`,
+            "Content-Type": "application/json",
+          },
+        }
+      );
+
+      return { sink: this.type, location: response.data.id };
+    } catch (error) {
+      throw new Error(
+        `Failed to store secret in Key Vault: ${
+          error.response?.data?.error?.message || error.message
+        }`
+      );
+    }
+  }
+}
+
+/**
+ * Stores secrets AES-256-GCM encrypted, one JSON file per app; the default sink without Key Vault
+ */
+class EncryptedFileSecretSink {
+  /**
+   * @param {Object} options - Sink options
+   * @param {string} options.directory - Directory the encrypted files are written to
+   * @param {string} options.key - 32-byte encryption key, base64 or hex encoded
+   */
+  constructor({ directory, key }) {
+    this.type = "encryptedFile";
+    this.directory = directory;
+    this.key = EncryptedFileSecretSink.parseKey(key);
+  }
+
+  /**
+   * Encrypts a secret and writes it to the app's file, replacing an earlier secret of the app
+   * @param {Object} secret - { kind, name, value, tenantId, appId, keyId, expiresAt } with kind
+   *   clientSecret (default) or certificate
+   * @returns {Object} Reference ({ sink, location }) with the file path
+   */
+  async store(secret) {
+    const kind = CREDENTIAL_KINDS[secret.kind || "clientSecret"];
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, this.key, iv);
+    const ciphertext = Buffer.concat([
+      cipher.update(secret.value, "utf8"),
+      cipher.final(),
+    ]);
+
+    const filePath = path.join(
+      this.directory,
+      `${buildSecretName(secret)}.${kind.suffix}.json`
+    );
+    await writePrivateFile(
+      filePath,
+      JSON.stringify(
+        {
+          tenantId: secret.tenantId,
+          appId: secret.appId,
+          keyId: secret.keyId,
+          expiresAt: secret.expiresAt,
+          algorithm: ENCRYPTION_ALGORITHM,
+          iv: iv.toString("base64"),
+          tag: cipher.getAuthTag().toString("base64"),
+          ciphertext: ciphertext.toString("base64"),
+        },
+        null,
+        2
+      )
+    );
+
+    return { sink: this.type, location: filePath };
+  }
+
+  /**
+   * Reads and decrypts a secret written by this sink
+   * @param {string} filePath - Location returned by store
+   * @returns {string} The secret value
+   */
+  async read(filePath) {
+    const record = JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+    const decipher = crypto.createDecipheriv(
+      record.algorithm,
+      this.key,
+      Buffer.from(record.iv, "base64")
+    );
+    decipher.setAuthTag(Buffer.from(record.tag, "base64"));
+    return Buffer.concat([
+      decipher.update(Buffer.from(record.ciphertext, "base64")),
+      decipher.final(),
+    ]).toString("utf8");
+  }
+
+  /**
+   * Decodes the encryption key setting
+   * @param {string} value - 32-byte key, base64 or hex encoded
+   * @returns {Buffer} The key
+   */
+  static parseKey(value) {
+    if (!value) {
+      throw new Error(
+        "SECRET_ENCRYPTION_KEY is required for the encryptedFile sink - set it, or choose another sink with SECRET_SINK"
+      );
+    }
+    const key = /^[0-9a-fA-F]{64}$/.test(value || "")
+      ? Buffer.from(value, "hex")
+      : Buffer.from(value, "base64");
+    if (key.length !== 32) {
+      throw new Error(
+        "SECRET_ENCRYPTION_KEY must be a 32-byte key, base64 or hex encoded"
+      );
+    }
+    return key;
+  }
+}
+
+/**
+ * Writes each app's client credentials to a .env file the app can load directly
+ * The files hold the secrets in plain text, so this sink has to be chosen explicitly
+ * Certificate private keys go to a PEM file next to it, referenced the way EnvironmentCredential
+ * of @azure/identity expects (AZURE_CLIENT_CERTIFICATE_PATH)
+ */
+class EnvFileSecretSink {
+  /**
+   * @param {Object} options - Sink options
+   * @param {string} options.directory - Directory the .env files are written to
+   */
+  constructor({ directory }) {
+    this.type = "envFile";
+    this.directory = directory;
+  }
+
+  /**
+   * Writes the app's .env file (and PEM file), replacing earlier ones
+   * @param {Object} secret - { kind, name, value, tenantId, appId, keyId, expiresAt } with kind
+   *   clientSecret (default) or certificate
+   * @returns {Object} Reference ({ sink, location }) with the file path
+   */
+  async store(secret) {
+    const baseName = path.join(this.directory, buildSecretName(secret));
+    const filePath = `${baseName}.env`;
+
+    let credentialLine = `AZURE_CLIENT_SECRET=${secret.value}`;
+    if (secret.kind === "certificate") {
+      await writePrivateFile(`${baseName}.pem`, secret.value);
+      credentialLine = `AZURE_CLIENT_CERTIFICATE_PATH=${baseName}.pem`;
+    }
+
+    await writePrivateFile(
+      filePath,
+      [
+        `# Client credentials of ${secret.name}, expires ${secret.expiresAt}`,
+        `AZURE_TENANT_ID=${secret.tenantId}`,
+        `AZURE_CLIENT_ID=${secret.appId}`,
+        credentialLine,
+        "",
+      ].join("\n")
+    );
+
+    return { sink: this.type, location: filePath };
+  }
+}
+
+/**
+ * Creates a secret sink
+ * @param {string} type - Sink type (keyVault, encryptedFile or envFile)
+ * @param {Object} options - Options of all sinks: vaultUrl, credential, directory and key
+ * @returns {Object} Sink with a type and an async store(secret) method returning a reference
+ */
+function createSecretSink(type, options) {
+  switch (type) {
+    case "keyVault":
+      return new KeyVaultSecretSink(options);
+    case "encryptedFile":
+      return new EncryptedFileSecretSink(options);
+    case "envFile":
+      return new EnvFileSecretSink(options);
+    default:
+      throw new Error(
+        `Unknown secret sink ${type} - use one of ${SECRET_SINK_TYPES.join(
+          ", "
+        )}`
+      );
+  }
+}
+
+module.exports = {
+  SECRET_SINK_TYPES,
+  createSecretSink,
+  toSecretName,
+  buildSecretName,
+  KeyVaultSecretSink,
+  EncryptedFileSecretSink,
+  EnvFileSecretSink,
+};
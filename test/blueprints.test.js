@@ -0,0 +1,271 @@
+// test/blueprints.test.js - Blueprint validation, cross permission ordering, placeholders and app markers
+const path = require("path");
+const {
+  loadBlueprint,
+  validateBlueprint,
+  sortCrossPermissions,
+  fillPlaceholders,
+  buildAppMarker,
+  isAppMarker,
+} = require("../services/blueprints");
+
+const BLUEPRINT_DIRECTORY = path.join(__dirname, "..", "blueprints");
+
+function buildBlueprint(overrides = {}) {
+  return {
+    name: "sample",
+    appRegistrations: [
+      { id: "API_APP", name: "api", role: "api", scopes: ["api.access"] },
+      { id: "CLIENT_APP", name: "client", role: "client" },
+    ],
+    ...overrides,
+  };
+}
+
+describe("validateBlueprint", () => {
+  test("applies the defaults of app registrations", () => {
+    const blueprint = validateBlueprint(buildBlueprint());
+
+    expect(blueprint.enterpriseApplications).toEqual([]);
+    expect(blueprint.crossPermissions).toEqual([]);
+    expect(blueprint.appRegistrations[1]).toMatchObject({
+      type: "web",
+      role: "client",
+      appRoles: [],
+      redirectUris: [],
+      permissions: [
+        {
+          resourceAppId: "00000003-0000-0000-c000-000000000000",
+          roles: [],
+          scopes: ["User.Read"],
+        },
+      ],
+    });
+  });
+
+  test("rejects a blueprint without applications", () => {
+    expect(() =>
+      validateBlueprint({ name: "empty", appRegistrations: [] })
+    ).toThrow("it defines no applications");
+  });
+
+  test("rejects logical IDs shared by an app registration and an enterprise app", () => {
+    const blueprint = buildBlueprint({
+      enterpriseApplications: [
+        {
+          id: "API_APP",
+          name: "proxy",
+          type: "proxy-only",
+          proxy: {
+            internalUrl: "http://app.local/",
+            externalUrl: "https://app.example.com/",
+          },
+        },
+      ],
+    });
+
+    expect(() => validateBlueprint(blueprint)).toThrow(
+      "application ID API_APP is used more than once"
+    );
+  });
+
+  test("rejects SAML settings on proxy-only apps", () => {
+    const blueprint = buildBlueprint({
+      enterpriseApplications: [
+        {
+          id: "PROXY_APP",
+          name: "proxy",
+          type: "proxy-only",
+          proxy: {
+            internalUrl: "http://app.local/",
+            externalUrl: "https://app.example.com/",
+          },
+          saml: {
+            identifier: "api://proxy",
+            replyUrl: "https://app.example.com/saml",
+            signOnUrl: "https://app.example.com/",
+          },
+        },
+      ],
+    });
+
+    expect(() => validateBlueprint(blueprint)).toThrow(
+      /"enterpriseApplications\[0\].saml" is not allowed/
+    );
+  });
+
+  test("accepts cross permissions to exposed scopes", () => {
+    const blueprint = validateBlueprint(
+      buildBlueprint({
+        crossPermissions: [
+          { source: "CLIENT_APP", target: "API_APP", scope: "api.access" },
+        ],
+      })
+    );
+
+    expect(blueprint.crossPermissions).toHaveLength(1);
+  });
+
+  test("rejects cross permissions to unknown apps", () => {
+    const blueprint = buildBlueprint({
+      crossPermissions: [
+        { source: "CLIENT_APP", target: "MISSING_APP", scope: "api.access" },
+      ],
+    });
+
+    expect(() => validateBlueprint(blueprint)).toThrow(
+      "references MISSING_APP, which is not an app registration"
+    );
+  });
+
+  test("rejects cross permissions to scopes the target does not expose", () => {
+    const blueprint = buildBlueprint({
+      crossPermissions: [
+        { source: "CLIENT_APP", target: "API_APP", scope: "api.admin" },
+      ],
+    });
+
+    expect(() => validateBlueprint(blueprint)).toThrow(
+      "requests scope api.admin, which API_APP does not expose"
+    );
+  });
+
+  test("rejects cross permissions to undefined app roles", () => {
+    const blueprint = buildBlueprint({
+      crossPermissions: [
+        { source: "CLIENT_APP", target: "API_APP", appRole: "Data.Read" },
+      ],
+    });
+
+    expect(() => validateBlueprint(blueprint)).toThrow(
+      "requests app role Data.Read, which API_APP does not define"
+    );
+  });
+
+  test("rejects cross permissions pointing to their source", () => {
+    const blueprint = buildBlueprint({
+      crossPermissions: [
+        { source: "API_APP", target: "API_APP", scope: "api.access" },
+      ],
+    });
+
+    expect(() => validateBlueprint(blueprint)).toThrow(
+      "points to its own source"
+    );
+  });
+
+  test("rejects cross permissions that form a cycle", () => {
+    const blueprint = buildBlueprint({
+      appRegistrations: [
+        { id: "FIRST_APP", name: "first", scopes: ["first.access"] },
+        { id: "SECOND_APP", name: "second", scopes: ["second.access"] },
+      ],
+      crossPermissions: [
+        { source: "FIRST_APP", target: "SECOND_APP", scope: "second.access" },
+        { source: "SECOND_APP", target: "FIRST_APP", scope: "first.access" },
+      ],
+    });
+
+    expect(() => validateBlueprint(blueprint)).toThrow(
+      "cross permissions form a cycle between FIRST_APP, SECOND_APP"
+    );
+  });
+});
+
+describe("sortCrossPermissions", () => {
+  test("orders targets before their sources and types each edge", () => {
+    const appRegistrations = [
+      { id: "CLIENT_APP" },
+      { id: "MIDDLE_APP" },
+      { id: "API_APP" },
+    ];
+    const crossPermissions = [
+      { source: "CLIENT_APP", target: "MIDDLE_APP", scope: "middle.access" },
+      { source: "MIDDLE_APP", target: "API_APP", appRole: "Data.Read" },
+    ];
+
+    expect(sortCrossPermissions(appRegistrations, crossPermissions)).toEqual([
+      {
+        source: "MIDDLE_APP",
+        target: "API_APP",
+        appRole: "Data.Read",
+        type: "application",
+      },
+      {
+        source: "CLIENT_APP",
+        target: "MIDDLE_APP",
+        scope: "middle.access",
+        type: "delegated",
+      },
+    ]);
+  });
+});
+
+describe("loadBlueprint", () => {
+  test("loads a blueprint file from the blueprint directory", async () => {
+    const blueprint = await loadBlueprint("mahi", BLUEPRINT_DIRECTORY);
+
+    expect(blueprint.name).toBe("mahi");
+    expect(blueprint.appRegistrations.length).toBeGreaterThan(0);
+  });
+
+  test("rejects names that could leave the blueprint directory", async () => {
+    await expect(
+      loadBlueprint("../package", BLUEPRINT_DIRECTORY)
+    ).rejects.toThrow("Invalid blueprint name: ../package");
+  });
+
+  test("reports missing blueprints", async () => {
+    await expect(loadBlueprint("missing", BLUEPRINT_DIRECTORY)).rejects.toThrow(
+      "Blueprint missing not found"
+    );
+  });
+});
+
+describe("fillPlaceholders", () => {
+  test("replaces placeholders with request values", () => {
+    expect(
+      fillPlaceholders(
+        "https://{{ applicationPrefix }}-{{environment}}.example.com",
+        {
+          applicationPrefix: "myapp",
+          environment: "dev",
+        }
+      )
+    ).toBe("https://myapp-dev.example.com");
+  });
+
+  test("rejects unknown placeholders", () => {
+    expect(() => fillPlaceholders("{{tenant}}", {})).toThrow(
+      "Unknown blueprint placeholder {{tenant}}"
+    );
+  });
+});
+
+describe("buildAppMarker", () => {
+  test("identifies the deployment, blueprint entry and environment", () => {
+    expect(buildAppMarker("myapp", "mahi", "dev", "API_APP")).toBe(
+      "azureArmProvisioner:myapp:mahi:dev:API_APP"
+    );
+  });
+
+  test("differs between deployments under different application prefixes", () => {
+    expect(buildAppMarker("first", "mahi", "dev", "API_APP")).not.toBe(
+      buildAppMarker("second", "mahi", "dev", "API_APP")
+    );
+  });
+});
+
+describe("isAppMarker", () => {
+  test("recognizes markers", () => {
+    expect(isAppMarker(buildAppMarker("myapp", "mahi", "dev", "API_APP"))).toBe(
+      true
+    );
+  });
+
+  test("ignores other tags", () => {
+    expect(isAppMarker("WindowsAzureActiveDirectoryIntegratedApp")).toBe(false);
+    expect(isAppMarker("azureArmProvisioner")).toBe(false);
+    expect(isAppMarker("azureArmProvisionerX:myapp")).toBe(false);
+  });
+});
@@ -0,0 +1,267 @@
+// test/credentialMonitor.test.js - Expiring credentials, monitored certificate files and notifications
+jest.mock("axios");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+const {
+  findExpiringCredentials,
+  readCertificateFiles,
+  CredentialExpiryMonitor,
+} = require("../services/credentialMonitor");
+const { generateSelfSignedCertificate } = require("../services/certificates");
+
+const NOW = new Date("2026-01-01T00:00:00Z");
+
+function buildApplication(overrides = {}) {
+  return {
+    objectId: "app-object-id",
+    appId: "app-id",
+    displayName: "myapp-dev-api",
+    passwordCredentials: [],
+    keyCredentials: [],
+    ...overrides,
+  };
+}
+
+function buildMonitor(overrides = {}) {
+  return new CredentialExpiryMonitor({
+    scan: jest.fn().mockResolvedValue({ credentials: [], errors: [] }),
+    days: 30,
+    intervalMs: 60 * 60 * 1000,
+    log: jest.fn(),
+    ...overrides,
+  });
+}
+
+describe("findExpiringCredentials", () => {
+  test("reports secrets and certificates within the threshold", () => {
+    const application = buildApplication({
+      passwordCredentials: [
+        {
+          keyId: "secret-soon",
+          displayName: "Generated",
+          endDateTime: "2026-01-11T12:00:00Z",
+        },
+        { keyId: "secret-later", endDateTime: "2026-03-01T00:00:00Z" },
+      ],
+      keyCredentials: [
+        { keyId: "certificate-edge", endDateTime: "2026-01-31T00:00:00Z" },
+      ],
+    });
+
+    expect(findExpiringCredentials([application], 30, NOW)).toEqual([
+      {
+        appObjectId: "app-object-id",
+        appId: "app-id",
+        appDisplayName: "myapp-dev-api",
+        credentialType: "secret",
+        keyId: "secret-soon",
+        displayName: "Generated",
+        expiresAt: "2026-01-11T12:00:00.000Z",
+        daysLeft: 10,
+        expired: false,
+      },
+      expect.objectContaining({
+        credentialType: "certificate",
+        keyId: "certificate-edge",
+        displayName: null,
+        daysLeft: 30,
+      }),
+    ]);
+  });
+
+  test("keeps expired credentials in the report", () => {
+    const [credential] = findExpiringCredentials(
+      [
+        buildApplication({
+          passwordCredentials: [
+            { keyId: "expired", endDateTime: "2025-12-30T00:00:00Z" },
+          ],
+        }),
+      ],
+      30,
+      NOW
+    );
+
+    expect(credential).toMatchObject({ daysLeft: -2, expired: true });
+  });
+
+  test("lists the credentials of all apps soonest first", () => {
+    const credentials = findExpiringCredentials(
+      [
+        buildApplication({
+          displayName: "later",
+          keyCredentials: [{ keyId: "a", endDateTime: "2026-01-20T00:00:00Z" }],
+        }),
+        buildApplication({
+          displayName: "sooner",
+          passwordCredentials: [
+            { keyId: "b", endDateTime: "2026-01-05T00:00:00Z" },
+          ],
+        }),
+      ],
+      30,
+      NOW
+    );
+
+    expect(credentials.map((credential) => credential.appDisplayName)).toEqual([
+      "sooner",
+      "later",
+    ]);
+  });
+
+  test("skips credentials without a valid end date", () => {
+    expect(
+      findExpiringCredentials(
+        [buildApplication({ passwordCredentials: [{ keyId: "x" }] })],
+        30,
+        NOW
+      )
+    ).toEqual([]);
+  });
+});
+
+describe("readCertificateFiles", () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(
+      path.join(os.tmpdir(), "monitored-certificates-")
+    );
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  test("reads certificates as apps and collects the files it cannot read", async () => {
+    const generated = generateSelfSignedCertificate({
+      commonName: "bot",
+      keySize: 1024,
+    });
+    const certificatePath = path.join(directory, "bot.cert");
+    const invalidPath = path.join(directory, "invalid.cert");
+    const missingPath = path.join(directory, "missing.cert");
+    await fs.promises.writeFile(certificatePath, generated.certificatePem);
+    await fs.promises.writeFile(invalidPath, "not a certificate");
+
+    const { applications, errors } = await readCertificateFiles([
+      certificatePath,
+      invalidPath,
+      missingPath,
+    ]);
+
+    expect(applications).toEqual([
+      {
+        objectId: null,
+        appId: null,
+        displayName: certificatePath,
+        keyCredentials: [
+          {
+            keyId: generated.thumbprint,
+            displayName: "CN=bot",
+            endDateTime: expect.any(String),
+          },
+        ],
+      },
+    ]);
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toMatch(`Could not read certificate ${invalidPath}: `);
+    expect(errors[1]).toMatch(`Could not read certificate ${missingPath}: `);
+  });
+});
+
+describe("CredentialExpiryMonitor", () => {
+  const credential = {
+    appDisplayName: "myapp-dev-api",
+    credentialType: "secret",
+    keyId: "key-1",
+    expiresAt: "2026-01-11T00:00:00.000Z",
+    expired: false,
+  };
+
+  beforeEach(() => {
+    axios.post.mockReset();
+  });
+
+  test("notifies about expiring credentials and logs scan errors", async () => {
+    const monitor = buildMonitor({
+      scan: jest.fn().mockResolvedValue({
+        credentials: [credential],
+        errors: ["Could not read certificate bot.cert"],
+      }),
+      webhookUrl: "https://hooks.example.com/expiry",
+    });
+    axios.post.mockResolvedValueOnce({ status: 200 });
+
+    expect(await monitor.check()).toEqual([credential]);
+
+    expect(monitor.scan).toHaveBeenCalledWith(30);
+    expect(monitor.log).toHaveBeenCalledWith(
+      "warn",
+      "Credential expiry check incomplete",
+      { message: "Could not read certificate bot.cert" }
+    );
+    expect(axios.post).toHaveBeenCalledWith(
+      "https://hooks.example.com/expiry",
+      {
+        text: "1 credential(s) expire within 30 days:\nmyapp-dev-api: secret key-1 expires 2026-01-11T00:00:00.000Z",
+        credentials: [credential],
+      }
+    );
+  });
+
+  test("only logs without a webhook URL", async () => {
+    const monitor = buildMonitor();
+
+    await monitor.notify([credential]);
+
+    expect(monitor.log).toHaveBeenCalledWith(
+      "warn",
+      "Credentials expiring soon",
+      { days: 30, credentials: [credential] }
+    );
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test("logs webhook failures instead of throwing", async () => {
+    const monitor = buildMonitor({
+      webhookUrl: "https://hooks.example.com/expiry",
+    });
+    axios.post.mockRejectedValueOnce(new Error("connect ECONNREFUSED"));
+
+    await expect(monitor.notify([credential])).resolves.toBeUndefined();
+
+    expect(monitor.log).toHaveBeenCalledWith(
+      "error",
+      "Failed to send credential expiry notification",
+      { error: "connect ECONNREFUSED" }
+    );
+  });
+
+  test("never throws when the scan fails", async () => {
+    const monitor = buildMonitor({
+      scan: jest.fn().mockRejectedValue(new Error("Graph unavailable")),
+    });
+
+    expect(await monitor.check()).toEqual([]);
+
+    expect(monitor.log).toHaveBeenCalledWith(
+      "error",
+      "Credential expiry check failed",
+      { error: "Graph unavailable" }
+    );
+  });
+
+  test("caps the check interval at the longest timer delay", () => {
+    const monitor = buildMonitor({ intervalMs: 2 ** 32 });
+
+    expect(monitor.intervalMs).toBe(2 ** 31 - 1);
+    expect(monitor.log).toHaveBeenCalledWith(
+      "warn",
+      "Credential check interval capped",
+      expect.any(Object)
+    );
+  });
+});
@@ -0,0 +1,282 @@
+// test/drift.test.js - Drift of reused apps against their blueprint entries
+const {
+  desiredRedirectUris,
+  desiredEnterpriseUris,
+  flattenResourceAccess,
+  detectAppRegistrationDrift,
+  detectEnterpriseAppDrift,
+} = require("../services/drift");
+const {
+  GRAPH_APP_ID,
+  USER_READ_ID,
+  USER_READ_ALL_ID,
+  buildConfig,
+} = require("./helpers/fixtures");
+
+const graphResource = {
+  id: "graph-sp",
+  appId: GRAPH_APP_ID,
+  displayName: "Microsoft Graph",
+  appRoles: [{ id: USER_READ_ALL_ID, value: "User.Read.All" }],
+  oauth2PermissionScopes: [{ id: USER_READ_ID, value: "User.Read" }],
+};
+
+function buildState(overrides = {}) {
+  return {
+    application: {
+      id: "app-object-id",
+      appId: "app-id",
+      displayName: "myapp-dev-api",
+      identifierUris: ["api://app-id/api"],
+      web: { redirectUris: ["https://app.example.com/callback"] },
+      spa: { redirectUris: [] },
+      api: { oauth2PermissionScopes: [{ value: "api.access" }] },
+      requiredResourceAccess: [
+        {
+          resourceAppId: GRAPH_APP_ID,
+          resourceAccess: [{ id: USER_READ_ID, type: "Scope" }],
+        },
+      ],
+    },
+    servicePrincipal: { id: "app-sp" },
+    assignments: [],
+    grants: [
+      {
+        resourceId: "graph-sp",
+        consentType: "AllPrincipals",
+        scope: "openid User.Read",
+      },
+    ],
+    resources: new Map([[GRAPH_APP_ID, graphResource]]),
+    managedAppIds: [],
+    ...overrides,
+  };
+}
+
+describe("desiredRedirectUris", () => {
+  test("puts the redirect URIs of web apps on the web platform", () => {
+    expect(desiredRedirectUris(buildConfig())).toEqual({
+      web: ["https://app.example.com/callback"],
+      spa: [],
+    });
+  });
+
+  test("puts the redirect URIs of SPA client apps on both platforms", () => {
+    expect(
+      desiredRedirectUris(buildConfig({ type: "spa", role: "client" }))
+    ).toEqual({
+      web: ["https://app.example.com/callback"],
+      spa: ["https://app.example.com/callback"],
+    });
+  });
+});
+
+describe("desiredEnterpriseUris", () => {
+  test("uses the SAML identifier and reply URL of SAML apps", () => {
+    const config = {
+      type: "saml",
+      samlSettings: {
+        identifier: "api://myapp-dev-saml",
+        replyUrl: "https://saml.example.com/acs",
+      },
+      proxySettings: { externalUrl: "https://proxy.example.com/" },
+    };
+
+    expect(desiredEnterpriseUris(config)).toEqual({
+      identifierUris: ["api://myapp-dev-saml"],
+      redirectUris: ["https://saml.example.com/acs"],
+    });
+  });
+
+  test("uses the external URL of Application Proxy apps", () => {
+    const config = {
+      type: "proxy-only",
+      proxySettings: { externalUrl: "https://proxy.example.com/" },
+    };
+
+    expect(desiredEnterpriseUris(config)).toEqual({
+      identifierUris: ["https://proxy.example.com/"],
+      redirectUris: ["https://proxy.example.com/"],
+    });
+  });
+});
+
+describe("flattenResourceAccess", () => {
+  test("lists one entry per permission and leaves out the blueprint's apps", () => {
+    const requiredResourceAccess = [
+      {
+        resourceAppId: GRAPH_APP_ID,
+        resourceAccess: [
+          { id: USER_READ_ID, type: "Scope" },
+          { id: USER_READ_ALL_ID, type: "Role" },
+        ],
+      },
+      {
+        resourceAppId: "managed-app-id",
+        resourceAccess: [{ id: "scope-id", type: "Scope" }],
+      },
+    ];
+
+    expect(
+      flattenResourceAccess(requiredResourceAccess, ["managed-app-id"])
+    ).toEqual([
+      { resourceAppId: GRAPH_APP_ID, id: USER_READ_ID, type: "Scope" },
+      { resourceAppId: GRAPH_APP_ID, id: USER_READ_ALL_ID, type: "Role" },
+    ]);
+  });
+});
+
+describe("detectAppRegistrationDrift", () => {
+  test("reports an app that matches its blueprint entry as in sync", () => {
+    const report = detectAppRegistrationDrift(buildConfig(), buildState());
+
+    expect(report).toMatchObject({
+      kind: "appRegistration",
+      uniqueId: "API_APP",
+      displayName: "myapp-dev-api",
+      objectId: "app-object-id",
+      appId: "app-id",
+      status: "inSync",
+      differences: [],
+      consent: { granted: true, missing: [] },
+    });
+  });
+
+  test("reports changed redirect URIs and scopes", () => {
+    const state = buildState();
+    state.application.web.redirectUris = ["https://other.example.com/"];
+    state.application.api.oauth2PermissionScopes = [];
+
+    const report = detectAppRegistrationDrift(buildConfig(), state);
+
+    expect(report.status).toBe("drifted");
+    expect(report.differences).toEqual([
+      {
+        property: "web.redirectUris",
+        missing: ["https://app.example.com/callback"],
+        unexpected: ["https://other.example.com/"],
+      },
+      {
+        property: "api.oauth2PermissionScopes",
+        missing: ["api.access"],
+        unexpected: [],
+      },
+    ]);
+  });
+
+  test("describes added permissions and missing admin consent by name", () => {
+    const state = buildState({ grants: [] });
+    state.application.requiredResourceAccess[0].resourceAccess.push({
+      id: USER_READ_ALL_ID,
+      type: "Role",
+    });
+
+    const report = detectAppRegistrationDrift(buildConfig(), state);
+
+    expect(report.differences).toEqual([
+      {
+        property: "requiredResourceAccess",
+        missing: [],
+        unexpected: ["Microsoft Graph User.Read.All (application)"],
+      },
+      {
+        property: "adminConsent",
+        missing: ["Microsoft Graph User.Read (delegated)"],
+        unexpected: [],
+      },
+    ]);
+    expect(report.consent).toEqual({
+      granted: false,
+      missing: ["Microsoft Graph User.Read (delegated)"],
+    });
+  });
+
+  test("counts assigned app roles as consented", () => {
+    const config = buildConfig({
+      requiredResourceAccess: [
+        {
+          resourceAppId: GRAPH_APP_ID,
+          resourceAccess: [{ id: USER_READ_ALL_ID, type: "Role" }],
+        },
+      ],
+    });
+    const state = buildState({
+      grants: [],
+      assignments: [{ appRoleId: USER_READ_ALL_ID, resourceId: "graph-sp" }],
+    });
+    state.application.requiredResourceAccess = config.requiredResourceAccess;
+
+    expect(detectAppRegistrationDrift(config, state).consent).toEqual({
+      granted: true,
+      missing: [],
+    });
+  });
+
+  test("reports a missing service principal", () => {
+    const report = detectAppRegistrationDrift(
+      buildConfig(),
+      buildState({ servicePrincipal: null })
+    );
+
+    expect(report.differences).toEqual([
+      { property: "servicePrincipal", desired: "present", actual: "missing" },
+    ]);
+  });
+});
+
+describe("detectEnterpriseAppDrift", () => {
+  const config = {
+    uniqueId: "SAML_APP",
+    type: "saml",
+    samlSettings: {
+      identifier: "api://myapp-dev-saml",
+      replyUrl: "https://saml.example.com/acs",
+    },
+  };
+
+  test("reports an app that matches its blueprint entry as in sync", () => {
+    const report = detectEnterpriseAppDrift(config, {
+      application: {
+        id: "saml-object-id",
+        appId: "saml-app-id",
+        displayName: "myapp-dev-saml",
+        identifierUris: ["api://myapp-dev-saml"],
+        web: { redirectUris: ["https://saml.example.com/acs"] },
+      },
+      servicePrincipal: { preferredSingleSignOnMode: "saml" },
+    });
+
+    expect(report).toMatchObject({
+      kind: "enterpriseApplication",
+      uniqueId: "SAML_APP",
+      status: "inSync",
+      differences: [],
+    });
+  });
+
+  test("reports changed URLs and single sign-on mode", () => {
+    const report = detectEnterpriseAppDrift(config, {
+      application: { id: "saml-object-id", identifierUris: [], web: {} },
+      servicePrincipal: { preferredSingleSignOnMode: "password" },
+    });
+
+    expect(report.status).toBe("drifted");
+    expect(report.differences).toEqual([
+      {
+        property: "identifierUris",
+        missing: ["api://myapp-dev-saml"],
+        unexpected: [],
+      },
+      {
+        property: "web.redirectUris",
+        missing: ["https://saml.example.com/acs"],
+        unexpected: [],
+      },
+      {
+        property: "preferredSingleSignOnMode",
+        desired: "saml",
+        actual: "password",
+      },
+    ]);
+  });
+});
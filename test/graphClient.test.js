@@ -0,0 +1,567 @@
+// test/graphClient.test.js - Graph transport: tokens, retries, creates and error normalization
+jest.mock("axios");
+const axios = require("axios");
+const {
+  GraphClient,
+  GraphError,
+  parseRetryAfter,
+} = require("../services/graphClient");
+
+function buildCredential() {
+  let issued = 0;
+  return {
+    getToken: jest.fn(async () => ({
+      token: `token-${++issued}`,
+      expiresOnTimestamp: Date.now() + 60 * 60 * 1000,
+    })),
+  };
+}
+
+function buildClient(options = {}) {
+  const log = jest.fn();
+  const client = new GraphClient({
+    credential: buildCredential(),
+    log,
+    baseDelayMs: 1,
+    maxDelayMs: 4,
+    ...options,
+  });
+  return { client, log };
+}
+
+function failure(status, { headers = {}, code = "Failure", message } = {}) {
+  return Object.assign(new Error(`Request failed with status ${status}`), {
+    response: {
+      status,
+      headers,
+      data: { error: { code, message: message || `Graph says ${status}` } },
+    },
+  });
+}
+
+function networkFailure(code) {
+  return Object.assign(new Error(`socket ${code}`), { code });
+}
+
+// Delays of the retries a client logged
+function retryDelays(log) {
+  return log.mock.calls
+    .filter(([, message]) => message.includes("retrying"))
+    .map(([, , data]) => data.delayMs);
+}
+
+beforeEach(() => {
+  axios.request.mockReset();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe("parseRetryAfter", () => {
+  test("reads delays in seconds", () => {
+    expect(parseRetryAfter("7")).toBe(7000);
+  });
+
+  test("reads HTTP dates", () => {
+    jest.useFakeTimers({ now: new Date("2026-01-01T00:00:00Z") });
+
+    expect(parseRetryAfter("Thu, 01 Jan 2026 00:00:30 GMT")).toBe(30000);
+    expect(parseRetryAfter("Wed, 31 Dec 2025 23:59:00 GMT")).toBe(0);
+  });
+
+  test("ignores missing and invalid values", () => {
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter("soon")).toBeNull();
+  });
+});
+
+describe("GraphClient.request", () => {
+  test("sends the token and a client request ID", async () => {
+    const { client } = buildClient();
+    axios.request.mockResolvedValueOnce({ status: 200, data: { id: "1" } });
+
+    const response = await client.get("/applications/1");
+
+    expect(response.data).toEqual({ id: "1" });
+    expect(axios.request).toHaveBeenCalledWith(
+      expect.objectContaining({
+        method: "get",
+        url: "https://graph.microsoft.com/v1.0/applications/1",
+        headers: expect.objectContaining({
+          Authorization: "Bearer token-1",
+          "client-request-id": expect.any(String),
+        }),
+      })
+    );
+  });
+
+  test("retries gateway errors with exponential backoff", async () => {
+    const { client, log } = buildClient();
+    axios.request
+      .mockRejectedValueOnce(failure(503))
+      .mockRejectedValueOnce(failure(502))
+      .mockRejectedValueOnce(networkFailure("ECONNRESET"))
+      .mockRejectedValueOnce(failure(504))
+      .mockResolvedValueOnce({ status: 200, data: {} });
+
+    await client.get("/applications");
+
+    expect(axios.request).toHaveBeenCalledTimes(5);
+    expect(retryDelays(log)).toEqual([1, 2, 4, 4]);
+  });
+
+  test("gives up after the configured number of retries", async () => {
+    const { client } = buildClient({ maxRetries: 2 });
+    axios.request.mockRejectedValue(failure(503));
+
+    await expect(client.patch("/applications/1", {})).rejects.toMatchObject({
+      status: 503,
+    });
+    expect(axios.request).toHaveBeenCalledTimes(3);
+  });
+
+  test("waits as long as Retry-After asks", async () => {
+    jest.useFakeTimers();
+    const { client, log } = buildClient();
+    axios.request
+      .mockRejectedValueOnce(failure(429, { headers: { "retry-after": "2" } }))
+      .mockResolvedValueOnce({ status: 200, data: {} });
+
+    const response = client.get("/applications");
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(axios.request).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    await response;
+
+    expect(axios.request).toHaveBeenCalledTimes(2);
+    expect(retryDelays(log)).toEqual([2000]);
+  });
+
+  test("retries throttled POSTs", async () => {
+    const { client } = buildClient();
+    axios.request
+      .mockRejectedValueOnce(failure(429))
+      .mockResolvedValueOnce({ status: 201, data: { id: "1" } });
+
+    await client.post("/applications", {});
+
+    expect(axios.request).toHaveBeenCalledTimes(2);
+  });
+
+  test("does not resend POSTs Graph may already have applied", async () => {
+    const { client } = buildClient();
+    axios.request.mockRejectedValueOnce(failure(503));
+
+    await expect(client.post("/applications", {})).rejects.toMatchObject({
+      status: 503,
+    });
+
+    axios.request.mockRejectedValueOnce(networkFailure("ECONNRESET"));
+    await expect(
+      client.post("/applications/1/addPassword", {})
+    ).rejects.toMatchObject({ status: null, code: "ECONNRESET" });
+    expect(axios.request).toHaveBeenCalledTimes(2);
+  });
+
+  test("resends POSTs marked idempotent", async () => {
+    const { client } = buildClient();
+    axios.request
+      .mockRejectedValueOnce(failure(503))
+      .mockResolvedValueOnce({ status: 204, data: "" });
+
+    await client.post(
+      "/applications/1/removePassword",
+      {},
+      { idempotent: true }
+    );
+
+    expect(axios.request).toHaveBeenCalledTimes(2);
+  });
+
+  test("does not retry client errors", async () => {
+    const { client } = buildClient();
+    axios.request.mockRejectedValueOnce(failure(400));
+
+    await expect(client.get("/applications")).rejects.toMatchObject({
+      status: 400,
+    });
+    expect(axios.request).toHaveBeenCalledTimes(1);
+  });
+
+  test("gets a new token once after a 401", async () => {
+    const { client } = buildClient();
+    axios.request
+      .mockRejectedValueOnce(failure(401))
+      .mockResolvedValueOnce({ status: 200, data: {} });
+
+    await client.get("/applications");
+
+    expect(client.credential.getToken).toHaveBeenCalledTimes(2);
+    expect(axios.request.mock.calls[1][0].headers.Authorization).toBe(
+      "Bearer token-2"
+    );
+  });
+
+  test("fails on a second 401", async () => {
+    const { client } = buildClient();
+    axios.request.mockRejectedValue(failure(401));
+
+    await expect(client.get("/applications")).rejects.toMatchObject({
+      status: 401,
+    });
+    expect(axios.request).toHaveBeenCalledTimes(2);
+  });
+
+  test("renews tokens shortly before they expire", async () => {
+    const { client } = buildClient();
+    client.credential.getToken.mockResolvedValueOnce({
+      token: "expiring",
+      expiresOnTimestamp: Date.now() + 60 * 1000,
+    });
+    axios.request.mockResolvedValue({ status: 200, data: {} });
+
+    await client.get("/applications");
+    await client.get("/applications");
+
+    expect(client.credential.getToken).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("GraphClient.normalizeError", () => {
+  test("keeps Graph's error details and request IDs", () => {
+    const { client, log } = buildClient();
+    const error = failure(403, {
+      headers: { "request-id": "graph-request" },
+      code: "Authorization_RequestDenied",
+      message: "Insufficient privileges",
+    });
+
+    const normalized = client.normalizeError(
+      error,
+      "post",
+      "/applications",
+      "client-request"
+    );
+
+    expect(normalized).toBeInstanceOf(GraphError);
+    expect(normalized).toMatchObject({
+      message: "Insufficient privileges",
+      status: 403,
+      code: "Authorization_RequestDenied",
+      method: "post",
+      path: "/applications",
+      requestId: "graph-request",
+      clientRequestId: "client-request",
+    });
+    expect(log).toHaveBeenCalledWith(
+      "warn",
+      "Graph request failed",
+      expect.objectContaining({ status: 403 })
+    );
+  });
+
+  test("describes network errors", () => {
+    const { client } = buildClient();
+
+    expect(
+      client.normalizeError(
+        networkFailure("ETIMEDOUT"),
+        "get",
+        "/applications",
+        "client-request"
+      )
+    ).toMatchObject({
+      message: "socket ETIMEDOUT",
+      status: null,
+      code: "ETIMEDOUT",
+      requestId: null,
+    });
+  });
+
+  test("falls back to the status without a Graph error body", () => {
+    const { client } = buildClient();
+    const error = Object.assign(new Error(""), {
+      response: { status: 500, headers: {}, data: "" },
+    });
+
+    expect(
+      client.normalizeError(error, "get", "/applications", "client-request")
+        .message
+    ).toBe("Graph request failed with status 500");
+  });
+
+  test("does not log missing objects", () => {
+    const { client, log } = buildClient();
+
+    client.normalizeError(failure(404), "get", "/applications/1", "id");
+
+    expect(log).not.toHaveBeenCalled();
+  });
+});
+
+describe("GraphClient.create", () => {
+  test("returns the object an unconfirmed create made instead of sending it again", async () => {
+    const { client } = buildClient();
+    const findExisting = jest.fn().mockResolvedValue({ id: "created" });
+    axios.request.mockRejectedValueOnce(failure(504));
+
+    const response = await client.create("/applications", {}, findExisting);
+
+    expect(response.data).toEqual({ id: "created" });
+    expect(axios.request).toHaveBeenCalledTimes(1);
+  });
+
+  test("sends the create again if it was not applied", async () => {
+    const { client } = buildClient();
+    const findExisting = jest.fn().mockResolvedValue(null);
+    axios.request
+      .mockRejectedValueOnce(networkFailure("ECONNRESET"))
+      .mockResolvedValueOnce({ status: 201, data: { id: "created" } });
+
+    const response = await client.create("/applications", {}, findExisting);
+
+    expect(response.data).toEqual({ id: "created" });
+    expect(findExisting).toHaveBeenCalledTimes(1);
+    expect(axios.request).toHaveBeenCalledTimes(2);
+  });
+
+  test("does not look up objects after errors that rule out a create", async () => {
+    const { client } = buildClient();
+    const findExisting = jest.fn();
+    axios.request.mockRejectedValueOnce(failure(400));
+
+    await expect(
+      client.create("/applications", {}, findExisting)
+    ).rejects.toMatchObject({ status: 400 });
+    expect(findExisting).not.toHaveBeenCalled();
+  });
+});
+
+describe("GraphClient.groupBatchRequests", () => {
+  function buildItems(count, dependsOn = () => []) {
+    return Array.from({ length: count }, (_, index) => ({
+      id: String(index + 1),
+      method: "GET",
+      url: `/applications/${index + 1}`,
+      dependsOn: dependsOn(index + 1),
+    }));
+  }
+
+  const ids = (batches) => batches.map((batch) => batch.map((item) => item.id));
+
+  test("sends at most 20 requests per batch", () => {
+    const { client } = buildClient();
+
+    const batches = client.groupBatchRequests(buildItems(21));
+
+    expect(batches.map((batch) => batch.length)).toEqual([20, 1]);
+    expect(batches[1][0].id).toBe("21");
+  });
+
+  test("moves a dependsOn chain that would cross the boundary to the next batch", () => {
+    const { client } = buildClient();
+    // 1-15 are independent, 16-25 each depend on the one before
+    const items = buildItems(25, (id) => (id > 16 ? [String(id - 1)] : []));
+
+    const batches = ids(client.groupBatchRequests(items));
+
+    expect(batches[0]).toEqual(
+      Array.from({ length: 15 }, (_, index) => String(index + 1))
+    );
+    expect(batches[1]).toEqual(
+      Array.from({ length: 10 }, (_, index) => String(index + 16))
+    );
+  });
+
+  test("keeps requests in order within a group", () => {
+    const { client } = buildClient();
+    const items = buildItems(3, (id) => (id === 3 ? ["1"] : []));
+
+    expect(ids(client.groupBatchRequests(items))).toEqual([["1", "3", "2"]]);
+  });
+
+  test("rejects chains longer than a batch", () => {
+    const { client } = buildClient();
+    const items = buildItems(21, (id) => (id > 1 ? [String(id - 1)] : []));
+
+    expect(() => client.groupBatchRequests(items)).toThrow(
+      "At most 20 batch requests can depend on each other"
+    );
+  });
+
+  test("rejects dependencies on unknown requests", () => {
+    const { client } = buildClient();
+    const items = buildItems(2, (id) => (id === 2 ? ["7"] : []));
+
+    expect(() => client.groupBatchRequests(items)).toThrow(
+      "Batch request 2 depends on unknown request 7"
+    );
+  });
+});
+
+describe("GraphClient.batch", () => {
+  // Answers each $batch round trip with the statuses the callback picks per request
+  function answerBatches(statusOf) {
+    const sent = [];
+    axios.request.mockImplementation(async ({ data }) => {
+      sent.push(data.requests);
+      return {
+        status: 200,
+        data: {
+          responses: data.requests.map((request) => {
+            const status = statusOf(request, sent.length);
+            return {
+              id: request.id,
+              status,
+              headers: status === 429 ? { "Retry-After": "0" } : {},
+              body:
+                status < 300
+                  ? { id: `object-${request.id}` }
+                  : { error: { code: "Failure", message: `Status ${status}` } },
+            };
+          }),
+        },
+      };
+    });
+    return sent;
+  }
+
+  function buildRequests(count, method = "GET") {
+    return Array.from({ length: count }, (_, index) => ({
+      method,
+      url: `/applications/${index + 1}`,
+    }));
+  }
+
+  test("splits 21 requests into two round trips", async () => {
+    const { client } = buildClient();
+    const sent = answerBatches(() => 200);
+
+    const results = await client.batch(buildRequests(21));
+
+    expect(sent.map((requests) => requests.length)).toEqual([20, 1]);
+    expect(results).toHaveLength(21);
+    expect(results[20]).toMatchObject({
+      id: "21",
+      status: 200,
+      body: { id: "object-21" },
+      error: null,
+    });
+  });
+
+  test("sends throttled requests and their dependents again", async () => {
+    const { client, log } = buildClient();
+    const requests = [
+      { method: "POST", url: "/applications", body: {} },
+      { method: "PATCH", url: "/applications/1", body: {}, dependsOn: [1] },
+      { method: "GET", url: "/applications/2" },
+    ];
+    const sent = answerBatches((request, roundTrip) => {
+      if (roundTrip > 1) return 200;
+      if (request.id === "1") return 429;
+      return request.id === "2" ? 424 : 200;
+    });
+
+    const results = await client.batch(requests);
+
+    expect(sent[1].map((request) => request.id)).toEqual(["1", "2"]);
+    expect(sent[1][1].dependsOn).toEqual(["1"]);
+    expect(results.map((result) => result.status)).toEqual([200, 200, 200]);
+    expect(log).toHaveBeenCalledWith(
+      "warn",
+      "Graph batch requests throttled, retrying",
+      expect.objectContaining({ requests: 2, attempt: 1 })
+    );
+  });
+
+  test("does not resend POSTs after gateway errors", async () => {
+    const { client } = buildClient();
+    const sent = answerBatches((request, roundTrip) =>
+      roundTrip === 1 ? 503 : 200
+    );
+
+    const results = await client.batch([
+      { method: "POST", url: "/applications", body: {} },
+      { method: "GET", url: "/applications/1" },
+    ]);
+
+    expect(sent[1].map((request) => request.id)).toEqual(["2"]);
+    expect(results.map((result) => result.status)).toEqual([503, 200]);
+  });
+
+  test("maps failed requests to Graph errors", async () => {
+    const { client } = buildClient({ maxRetries: 1 });
+    answerBatches((request) => (request.id === "1" ? 404 : 429));
+
+    const [missing, throttled] = await client.batch(buildRequests(2));
+
+    expect(missing.error).toBeInstanceOf(GraphError);
+    expect(missing.error).toMatchObject({
+      message: "Status 404",
+      status: 404,
+      code: "Failure",
+      method: "GET",
+      path: "/applications/1",
+    });
+    expect(throttled.error).toMatchObject({ status: 429 });
+    expect(axios.request).toHaveBeenCalledTimes(2);
+  });
+
+  test("reports requests the batch did not answer", async () => {
+    const { client } = buildClient();
+    axios.request.mockResolvedValueOnce({
+      status: 200,
+      data: { responses: [] },
+    });
+
+    const [result] = await client.batch(buildRequests(1));
+
+    expect(result).toMatchObject({
+      id: "1",
+      status: null,
+      error: { message: "No response in the batch" },
+    });
+  });
+});
+
+describe("GraphClient.getAll", () => {
+  test("follows next page links", async () => {
+    const { client } = buildClient();
+    axios.request
+      .mockResolvedValueOnce({
+        status: 200,
+        data: {
+          value: [{ id: "1" }],
+          "@odata.nextLink":
+            "https://graph.microsoft.com/v1.0/applications?$skiptoken=abc",
+        },
+      })
+      .mockResolvedValueOnce({ status: 200, data: { value: [{ id: "2" }] } });
+
+    const values = await client.getAll("/applications", {
+      headers: { ConsistencyLevel: "eventual" },
+    });
+
+    expect(values).toEqual([{ id: "1" }, { id: "2" }]);
+    expect(axios.request.mock.calls[1][0]).toMatchObject({
+      url: "https://graph.microsoft.com/v1.0/applications?$skiptoken=abc",
+      headers: expect.objectContaining({ ConsistencyLevel: "eventual" }),
+    });
+  });
+
+  test("refuses next page links to other hosts", async () => {
+    const { client } = buildClient();
+    axios.request.mockResolvedValueOnce({
+      status: 200,
+      data: {
+        value: [],
+        "@odata.nextLink": "https://example.com/applications?$skiptoken=abc",
+      },
+    });
+
+    await expect(client.getAll("/applications")).rejects.toThrow(
+      "Unexpected Graph next page link https://example.com/applications?$skiptoken=abc"
+    );
+  });
+});
@@ -0,0 +1,29 @@
+// test/helpers/fixtures.js - Blueprint entries and Microsoft Graph permission IDs shared by the drift and reconcile tests
+const GRAPH_APP_ID = "00000003-0000-0000-c000-000000000000";
+const USER_READ_ID = "e1fe6dd8-ba31-4d61-89e7-88639da4683d";
+const USER_READ_ALL_ID = "df021288-bdef-4463-88db-98f22de89214";
+
+// An API app registration as resolved from a blueprint, with delegated User.Read on Microsoft Graph
+function buildConfig(overrides = {}) {
+  return {
+    uniqueId: "API_APP",
+    type: "web",
+    role: "api",
+    scopes: ["api.access"],
+    redirectUris: ["https://app.example.com/callback"],
+    requiredResourceAccess: [
+      {
+        resourceAppId: GRAPH_APP_ID,
+        resourceAccess: [{ id: USER_READ_ID, type: "Scope" }],
+      },
+    ],
+    ...overrides,
+  };
+}
+
+module.exports = {
+  GRAPH_APP_ID,
+  USER_READ_ID,
+  USER_READ_ALL_ID,
+  buildConfig,
+};
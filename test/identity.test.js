@@ -0,0 +1,190 @@
+// test/identity.test.js - The server identity and the API keys that let callers act with it
+const {
+  ClientCertificateCredential,
+  EnvironmentCredential,
+  ManagedIdentityCredential,
+  WorkloadIdentityCredential,
+} = require("@azure/identity");
+const {
+  detectIdentityType,
+  createProvisionerIdentity,
+  loadApiKeys,
+  isAuthorizedCaller,
+} = require("../services/identity");
+
+const TENANT_ID = "11111111-1111-1111-1111-111111111111";
+const CLIENT_ID = "22222222-2222-2222-2222-222222222222";
+
+function buildEnv(overrides = {}) {
+  return {
+    AZURE_TENANT_ID: TENANT_ID,
+    AZURE_CLIENT_ID: CLIENT_ID,
+    ...overrides,
+  };
+}
+
+describe("detectIdentityType", () => {
+  test("picks the identity the environment configures", () => {
+    expect(detectIdentityType(buildEnv({ AZURE_CLIENT_SECRET: "x" }))).toBe(
+      "environment"
+    );
+    expect(
+      detectIdentityType(
+        buildEnv({ AZURE_CLIENT_CERTIFICATE_PATH: "/certs/provisioner.pem" })
+      )
+    ).toBe("certificate");
+    expect(
+      detectIdentityType(
+        buildEnv({
+          AZURE_CLIENT_SECRET: "x",
+          AZURE_FEDERATED_TOKEN_FILE: "/var/run/secrets/token",
+        })
+      )
+    ).toBe("workloadIdentity");
+    expect(
+      detectIdentityType({ IDENTITY_ENDPOINT: "http://169.254.1.1" })
+    ).toBe("managedIdentity");
+  });
+
+  test("does not mistake placeholders for an identity", () => {
+    expect(
+      detectIdentityType({
+        AZURE_TENANT_ID: "your-tenant-id-here",
+        AZURE_CLIENT_ID: "your-service-principal-client-id",
+        AZURE_CLIENT_SECRET: "your-service-principal-secret",
+      })
+    ).toBe("none");
+  });
+
+  test("finds none in an empty environment", () => {
+    expect(detectIdentityType({})).toBe("none");
+  });
+});
+
+describe("createProvisionerIdentity", () => {
+  test("creates the detected identity", () => {
+    const identity = createProvisionerIdentity(
+      buildEnv({ AZURE_CLIENT_SECRET: "x" })
+    );
+
+    expect(identity).toEqual({
+      type: "environment",
+      tenantId: TENANT_ID,
+      clientId: CLIENT_ID,
+      credential: expect.any(EnvironmentCredential),
+    });
+  });
+
+  test("creates the identity PROVISIONER_IDENTITY names", () => {
+    expect(
+      createProvisionerIdentity(
+        buildEnv({
+          PROVISIONER_IDENTITY: "certificate",
+          AZURE_CLIENT_CERTIFICATE_PATH: "/certs/provisioner.pem",
+        })
+      ).credential
+    ).toBeInstanceOf(ClientCertificateCredential);
+    expect(
+      createProvisionerIdentity(
+        buildEnv({
+          PROVISIONER_IDENTITY: "workloadIdentity",
+          AZURE_FEDERATED_TOKEN_FILE: "/var/run/secrets/token",
+        })
+      ).credential
+    ).toBeInstanceOf(WorkloadIdentityCredential);
+    expect(
+      createProvisionerIdentity({ PROVISIONER_IDENTITY: "managedIdentity" })
+    ).toEqual({
+      type: "managedIdentity",
+      tenantId: null,
+      clientId: null,
+      credential: expect.any(ManagedIdentityCredential),
+    });
+  });
+
+  test("keeps placeholder IDs out of the identity", () => {
+    const identity = createProvisionerIdentity({
+      PROVISIONER_IDENTITY: "managedIdentity",
+      AZURE_TENANT_ID: "your-tenant-id-here",
+      AZURE_CLIENT_ID: "your-service-principal-client-id",
+    });
+
+    expect(identity.tenantId).toBeNull();
+    expect(identity.clientId).toBeNull();
+  });
+
+  test("returns null without a server identity", () => {
+    expect(createProvisionerIdentity({})).toBeNull();
+    expect(
+      createProvisionerIdentity(
+        buildEnv({ PROVISIONER_IDENTITY: "none", AZURE_CLIENT_SECRET: "x" })
+      )
+    ).toBeNull();
+  });
+
+  test("requires a certificate path for the certificate identity", () => {
+    expect(() =>
+      createProvisionerIdentity(
+        buildEnv({ PROVISIONER_IDENTITY: "certificate" })
+      )
+    ).toThrow(
+      "The certificate identity requires AZURE_TENANT_ID, AZURE_CLIENT_ID and AZURE_CLIENT_CERTIFICATE_PATH"
+    );
+  });
+
+  test("rejects unknown identity types", () => {
+    expect(() =>
+      createProvisionerIdentity({ PROVISIONER_IDENTITY: "password" })
+    ).toThrow(
+      "Unknown provisioner identity password - use one of environment, managedIdentity, workloadIdentity, certificate, none"
+    );
+  });
+});
+
+describe("loadApiKeys", () => {
+  test("reads comma-separated keys and drops empty entries", () => {
+    expect(loadApiKeys({ PROVISIONER_API_KEYS: " first, ,second " })).toEqual([
+      "first",
+      "second",
+    ]);
+  });
+
+  test("returns no keys when none are configured", () => {
+    expect(loadApiKeys({})).toEqual([]);
+  });
+});
+
+describe("isAuthorizedCaller", () => {
+  const apiKeys = ["first", "second"];
+
+  test("accepts a configured key as bearer token", () => {
+    expect(
+      isAuthorizedCaller({ authorization: "Bearer second" }, apiKeys)
+    ).toBe(true);
+  });
+
+  test("accepts a configured key in the X-API-Key header", () => {
+    expect(isAuthorizedCaller({ "x-api-key": "first" }, apiKeys)).toBe(true);
+  });
+
+  test("accepts a configured key from the query string", () => {
+    expect(isAuthorizedCaller({}, apiKeys, "second")).toBe(true);
+    expect(isAuthorizedCaller({}, apiKeys, ["second"])).toBe(false);
+  });
+
+  test("rejects unknown keys and callers without a key", () => {
+    expect(isAuthorizedCaller({ authorization: "Bearer third" }, apiKeys)).toBe(
+      false
+    );
+    expect(
+      isAuthorizedCaller({ authorization: "Basic Zmlyc3Q=" }, apiKeys)
+    ).toBe(false);
+    expect(isAuthorizedCaller({}, apiKeys)).toBe(false);
+  });
+
+  test("rejects every caller when no keys are configured", () => {
+    expect(isAuthorizedCaller({ authorization: "Bearer first" }, [])).toBe(
+      false
+    );
+  });
+});
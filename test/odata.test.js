@@ -0,0 +1,53 @@
+// test/odata.test.js - OData literals and $filter expressions
+const { odataLiteral, odataFilter, filterQuery } = require("../services/odata");
+
+describe("odataLiteral", () => {
+  test("quotes strings and doubles embedded quotes", () => {
+    expect(odataLiteral("O'Brien's app")).toBe("'O''Brien''s app'");
+  });
+
+  test("keeps numbers and booleans unquoted", () => {
+    expect(odataLiteral(42)).toBe("42");
+    expect(odataLiteral(false)).toBe("false");
+  });
+
+  test("turns arrays into a parenthesized list", () => {
+    expect(odataLiteral(["a", "b'c"])).toBe("('a', 'b''c')");
+  });
+
+  test("rejects values without an OData literal", () => {
+    expect(() => odataLiteral(null)).toThrow(
+      "Cannot use null in an OData filter"
+    );
+    expect(() => odataLiteral(undefined)).toThrow(
+      "Cannot use undefined in an OData filter"
+    );
+  });
+});
+
+describe("odataFilter", () => {
+  test("embeds every interpolated value as a literal", () => {
+    const appId = "11111111-1111-1111-1111-111111111111";
+    const tag = "azureArmProvisioner:myapp:mahi:dev:API_APP";
+
+    expect(odataFilter`appId eq ${appId} and tags/any(t:t eq ${tag})`).toBe(
+      `appId eq '${appId}' and tags/any(t:t eq '${tag}')`
+    );
+  });
+
+  test("keeps a quote in a value from changing the query", () => {
+    const displayName = "x' or displayName ne 'y";
+
+    expect(odataFilter`displayName eq ${displayName}`).toBe(
+      "displayName eq 'x'' or displayName ne ''y'"
+    );
+  });
+});
+
+describe("filterQuery", () => {
+  test("builds a URL-encoded $filter query option", () => {
+    expect(filterQuery`displayName eq ${"a&b"}`).toBe(
+      "$filter=displayName%20eq%20'a%26b'"
+    );
+  });
+});
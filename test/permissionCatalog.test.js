@@ -0,0 +1,168 @@
+// test/permissionCatalog.test.js - Resolving permission names to IDs through cached resource service principals
+const { PermissionCatalog } = require("../services/permissionCatalog");
+
+const GRAPH_APP_ID = "00000003-0000-0000-c000-000000000000";
+
+function buildServicePrincipal(overrides = {}) {
+  return {
+    appId: GRAPH_APP_ID,
+    displayName: "Microsoft Graph",
+    appRoles: [
+      {
+        id: "role-user-read-all",
+        value: "User.Read.All",
+        allowedMemberTypes: ["Application"],
+      },
+      {
+        id: "role-disabled",
+        value: "Disabled.Role",
+        allowedMemberTypes: ["Application"],
+        isEnabled: false,
+      },
+      {
+        id: "role-user-only",
+        value: "Users.Only",
+        allowedMemberTypes: ["User"],
+      },
+    ],
+    oauth2PermissionScopes: [{ id: "scope-user-read", value: "User.Read" }],
+    ...overrides,
+  };
+}
+
+// Stands in for the Graph lookup of a resource service principal by app ID
+function buildLoader(servicePrincipal = buildServicePrincipal()) {
+  return jest.fn().mockResolvedValue(servicePrincipal);
+}
+
+function buildPermission(overrides = {}) {
+  return {
+    resourceAppId: GRAPH_APP_ID,
+    roles: [],
+    scopes: [],
+    ...overrides,
+  };
+}
+
+describe("PermissionCatalog.getResource", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("caches resources per tenant until the TTL expires", async () => {
+    jest.useFakeTimers({ now: new Date("2026-01-01T00:00:00Z") });
+    const catalog = new PermissionCatalog({ ttlMs: 1000 });
+    const loader = buildLoader();
+
+    await catalog.getResource("tenant-a", GRAPH_APP_ID, loader);
+    await catalog.getResource("tenant-a", GRAPH_APP_ID, loader);
+    expect(loader).toHaveBeenCalledTimes(1);
+
+    await catalog.getResource("tenant-b", GRAPH_APP_ID, loader);
+    expect(loader).toHaveBeenCalledTimes(2);
+
+    jest.setSystemTime(new Date("2026-01-01T00:00:01Z"));
+    await catalog.getResource("tenant-a", GRAPH_APP_ID, loader);
+    expect(loader).toHaveBeenCalledTimes(3);
+  });
+
+  test("shares one load between concurrent lookups", async () => {
+    const catalog = new PermissionCatalog();
+    let finishLoad;
+    const loader = jest.fn(
+      () => new Promise((resolve) => (finishLoad = resolve))
+    );
+
+    const lookups = [
+      catalog.getResource("tenant-a", GRAPH_APP_ID, loader),
+      catalog.getResource("tenant-a", GRAPH_APP_ID, loader),
+    ];
+    finishLoad(buildServicePrincipal());
+    const [first, second] = await Promise.all(lookups);
+
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(second).toBe(first);
+  });
+
+  test("does not cache failed loads or missing resources", async () => {
+    const catalog = new PermissionCatalog();
+    const loader = jest
+      .fn()
+      .mockRejectedValueOnce(new Error("Graph unavailable"))
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(buildServicePrincipal());
+
+    await expect(
+      catalog.getResource("tenant-a", GRAPH_APP_ID, loader)
+    ).rejects.toThrow("Graph unavailable");
+    expect(await catalog.getResource("tenant-a", GRAPH_APP_ID, loader)).toBe(
+      null
+    );
+    expect(
+      await catalog.getResource("tenant-a", GRAPH_APP_ID, loader)
+    ).toMatchObject({ displayName: "Microsoft Graph" });
+    expect(loader).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe("PermissionCatalog.resolve", () => {
+  test("resolves role and scope names to their IDs", async () => {
+    const catalog = new PermissionCatalog();
+
+    const result = await catalog.resolve(
+      "tenant-a",
+      [buildPermission({ roles: ["User.Read.All"], scopes: ["User.Read"] })],
+      buildLoader()
+    );
+
+    expect(result).toEqual({
+      requiredResourceAccess: [
+        {
+          resourceAppId: GRAPH_APP_ID,
+          resourceAccess: [
+            { id: "role-user-read-all", type: "Role" },
+            { id: "scope-user-read", type: "Scope" },
+          ],
+        },
+      ],
+      errors: [],
+    });
+  });
+
+  test("reports unknown, disabled and user-only permission names", async () => {
+    const catalog = new PermissionCatalog();
+
+    const { requiredResourceAccess, errors } = await catalog.resolve(
+      "tenant-a",
+      [
+        buildPermission({
+          roles: ["Missing.Role", "Disabled.Role", "Users.Only"],
+          scopes: ["Missing.Scope"],
+        }),
+      ],
+      buildLoader()
+    );
+
+    expect(requiredResourceAccess).toEqual([]);
+    expect(errors).toEqual([
+      "Unknown application permission 'Missing.Role' on Microsoft Graph",
+      "Unknown application permission 'Disabled.Role' on Microsoft Graph",
+      "Unknown application permission 'Users.Only' on Microsoft Graph",
+      "Unknown delegated permission 'Missing.Scope' on Microsoft Graph",
+    ]);
+  });
+
+  test("reports resource APIs without a service principal", async () => {
+    const catalog = new PermissionCatalog();
+
+    const { errors } = await catalog.resolve(
+      "tenant-a",
+      [buildPermission({ resourceAppId: "unknown-api", roles: ["X.Read"] })],
+      buildLoader(null)
+    );
+
+    expect(errors).toEqual([
+      "Resource API unknown-api has no service principal in the tenant",
+    ]);
+  });
+});
@@ -0,0 +1,156 @@
+// test/provisioningHistory.test.js - Secret redaction and the file-based history store
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  ProvisioningHistoryStore,
+  redactSecrets,
+} = require("../services/provisioningHistory");
+
+function buildRecord(overrides = {}) {
+  return {
+    requestId: "run-1",
+    createdAt: "2026-01-01T00:00:00.000Z",
+    status: "succeeded",
+    inputs: {
+      tenantId: "tenant-a",
+      environment: "dev",
+      resourceGroupName: "RG-Apps",
+      clientId: "client-id",
+      clientSecret: "submitted-secret",
+    },
+    results: {
+      appRegistrations: [
+        { appId: "app-1", secretText: "generated-secret" },
+        { appId: "app-2", secretText: null },
+      ],
+    },
+    ...overrides,
+  };
+}
+
+describe("redactSecrets", () => {
+  test("replaces secrets at any depth", () => {
+    expect(redactSecrets(buildRecord())).toEqual(
+      buildRecord({
+        inputs: {
+          tenantId: "tenant-a",
+          environment: "dev",
+          resourceGroupName: "RG-Apps",
+          clientId: "client-id",
+          clientSecret: "[redacted]",
+        },
+        results: {
+          appRegistrations: [
+            { appId: "app-1", secretText: "[redacted]" },
+            { appId: "app-2", secretText: null },
+          ],
+        },
+      })
+    );
+  });
+
+  test("returns a copy and leaves the value untouched", () => {
+    const record = buildRecord();
+
+    redactSecrets(record);
+
+    expect(record.inputs.clientSecret).toBe("submitted-secret");
+    expect(record.results.appRegistrations[0].secretText).toBe(
+      "generated-secret"
+    );
+  });
+
+  test("passes other values through", () => {
+    expect(redactSecrets(null)).toBeNull();
+    expect(redactSecrets("text")).toBe("text");
+    expect(redactSecrets([1, { secretText: "" }])).toEqual([
+      1,
+      { secretText: "" },
+    ]);
+  });
+});
+
+describe("ProvisioningHistoryStore", () => {
+  let directory;
+  let store;
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(
+      path.join(os.tmpdir(), "provisioning-history-")
+    );
+    store = new ProvisioningHistoryStore(directory);
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  test("never writes secrets to disk", async () => {
+    await store.save(buildRecord());
+
+    const content = await fs.promises.readFile(
+      path.join(directory, "run-1.json"),
+      "utf8"
+    );
+    expect(content).not.toContain("submitted-secret");
+    expect(content).not.toContain("generated-secret");
+    expect((await store.get("run-1")).inputs.clientSecret).toBe("[redacted]");
+  });
+
+  test("keeps the last of several saves of a run", async () => {
+    await Promise.all([
+      store.save(buildRecord({ status: "running" })),
+      store.save(buildRecord({ status: "succeeded" })),
+    ]);
+
+    expect((await store.get("run-1")).status).toBe("succeeded");
+    expect(await fs.promises.readdir(directory)).toEqual(["run-1.json"]);
+  });
+
+  test("returns null for unknown and unsafe request IDs", async () => {
+    expect(await store.get("missing")).toBeNull();
+    expect(await store.get("../run-1")).toBeNull();
+    expect(() => store.getFilePath("../run-1")).toThrow(
+      "Invalid provisioning request ID: ../run-1"
+    );
+  });
+
+  test("lists matching runs newest first", async () => {
+    await store.save(buildRecord());
+    await store.save(
+      buildRecord({
+        requestId: "run-2",
+        createdAt: "2026-01-02T00:00:00.000Z",
+        status: "failed",
+      })
+    );
+    await store.save(
+      buildRecord({
+        requestId: "run-3",
+        createdAt: "2026-01-03T00:00:00.000Z",
+        inputs: { tenantId: "tenant-b", environment: "prod" },
+      })
+    );
+
+    const ids = (records) => records.map((record) => record.requestId);
+    expect(ids(await store.list())).toEqual(["run-3", "run-2", "run-1"]);
+    expect(ids(await store.list({ tenantId: "tenant-a" }))).toEqual([
+      "run-2",
+      "run-1",
+    ]);
+    expect(ids(await store.list({ resourceGroupName: "rg-apps" }))).toEqual([
+      "run-2",
+      "run-1",
+    ]);
+    expect(
+      ids(await store.list({ tenantId: "tenant-a", status: "succeeded" }))
+    ).toEqual(["run-1"]);
+  });
+
+  test("lists nothing before the first run is saved", async () => {
+    const empty = new ProvisioningHistoryStore(path.join(directory, "none"));
+
+    expect(await empty.list()).toEqual([]);
+  });
+});
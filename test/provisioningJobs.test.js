@@ -0,0 +1,278 @@
+// test/provisioningJobs.test.js - The in-memory registry of provisioning runs and their event logs
+const {
+  ProvisioningJobStore,
+  STEP_STATUS,
+  MAX_JOB_EVENTS,
+} = require("../services/provisioningJobs");
+
+const STEPS = [
+  { id: "resourceGroup", name: "Create resource group" },
+  { id: "appRegistrations", name: "Create app registrations" },
+];
+
+function buildStore() {
+  const store = new ProvisioningJobStore();
+  store.createJob("run-1", STEPS, {
+    inputs: { tenantId: "tenant-a" },
+    requester: "api-key",
+  });
+  return store;
+}
+
+// Runs a job until its second step fails
+function failSecondStep(store) {
+  store.startJob("run-1");
+  store.startStep("run-1", "resourceGroup");
+  store.completeStep("run-1", "resourceGroup");
+  store.startStep("run-1", "appRegistrations");
+  store.failStep("run-1", "appRegistrations", "Graph unavailable");
+  store.finishJob("run-1", { appRegistrations: [] }, { failed: 1 });
+}
+
+function buildRecord(overrides = {}) {
+  return {
+    requestId: "run-2",
+    status: STEP_STATUS.FAILED,
+    createdAt: "2026-01-01T00:00:00.000Z",
+    startedAt: "2026-01-01T00:00:01.000Z",
+    completedAt: "2026-01-01T00:01:00.000Z",
+    duration: 59000,
+    inputs: { tenantId: "tenant-a" },
+    steps: STEPS.map((step) => ({ ...step, status: STEP_STATUS.FAILED })),
+    results: { appRegistrations: [] },
+    createdResources: [{ type: "application", id: "app-1", deletedAt: null }],
+    attempts: 2,
+    ...overrides,
+  };
+}
+
+describe("ProvisioningJobStore.createJob", () => {
+  test("registers a pending job with pending steps", () => {
+    const job = buildStore().getJob("run-1");
+
+    expect(job).toMatchObject({
+      requestId: "run-1",
+      inputs: { tenantId: "tenant-a" },
+      requester: "api-key",
+      status: STEP_STATUS.PENDING,
+      completedAt: null,
+      attempts: 1,
+      createdResources: [],
+      teardown: null,
+    });
+    expect(job.steps.map((step) => step.status)).toEqual([
+      STEP_STATUS.PENDING,
+      STEP_STATUS.PENDING,
+    ]);
+    expect(job.events).toEqual([
+      expect.objectContaining({
+        id: 1,
+        type: "job",
+        data: { status: "pending" },
+      }),
+    ]);
+  });
+
+  test("fails a job when one of its steps failed", () => {
+    const store = buildStore();
+
+    failSecondStep(store);
+
+    const job = store.getJob("run-1");
+    expect(job.status).toBe(STEP_STATUS.FAILED);
+    expect(store.isFinished("run-1")).toBe(true);
+    expect(job.steps[1]).toMatchObject({
+      status: STEP_STATUS.FAILED,
+      error: "Graph unavailable",
+    });
+  });
+
+  test("drops finished jobs after the retention window", () => {
+    jest.useFakeTimers({ now: new Date("2026-01-01T00:00:00Z") });
+    try {
+      const store = buildStore();
+      failSecondStep(store);
+
+      jest.setSystemTime(new Date("2026-01-02T00:00:01Z"));
+      store.createJob("run-3", STEPS);
+
+      expect(store.getJob("run-1")).toBeNull();
+      expect(store.getJob("run-3")).not.toBeNull();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe("ProvisioningJobStore.subscribe", () => {
+  test("replays missed events and follows new ones", () => {
+    const store = buildStore();
+    store.startJob("run-1");
+    const received = [];
+
+    const unsubscribe = store.subscribe("run-1", 1, (event) =>
+      received.push(event.id)
+    );
+    store.startStep("run-1", "resourceGroup");
+    unsubscribe();
+    store.completeStep("run-1", "resourceGroup");
+
+    expect(received).toEqual([2, 3]);
+  });
+
+  test("sends every event to all subscribers of the job and to store-wide listeners", () => {
+    const store = buildStore();
+    const first = jest.fn();
+    const second = jest.fn();
+    const storeWide = jest.fn();
+    store.subscribe("run-1", 1, first);
+    store.subscribe("run-1", 1, second);
+    store.on("event", storeWide);
+
+    store.startJob("run-1");
+
+    const event = expect.objectContaining({
+      id: 2,
+      type: "job",
+      data: { status: "running" },
+    });
+    expect(first).toHaveBeenCalledWith(event);
+    expect(second).toHaveBeenCalledWith(event);
+    expect(storeWide).toHaveBeenCalledWith("run-1", event);
+  });
+
+  test("does nothing for unknown jobs", () => {
+    const listener = jest.fn();
+
+    buildStore().subscribe("missing", 0, listener)();
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test("keeps only the latest events and keeps counting their IDs", () => {
+    const store = buildStore();
+
+    for (let index = 0; index < MAX_JOB_EVENTS + 10; index++) {
+      store.recordEvent("run-1", "log", { index });
+    }
+
+    const { events } = store.getJob("run-1");
+    expect(events).toHaveLength(MAX_JOB_EVENTS);
+    expect(events[0].id).toBe(12);
+    expect(events[events.length - 1].id).toBe(MAX_JOB_EVENTS + 11);
+  });
+});
+
+describe("ProvisioningJobStore.resumeJob", () => {
+  test("resets the steps that did not succeed and counts the attempt", () => {
+    const store = buildStore();
+    failSecondStep(store);
+
+    expect(store.resumeJob("run-1")).toBe(true);
+
+    const job = store.getJob("run-1");
+    expect(job).toMatchObject({
+      status: STEP_STATUS.PENDING,
+      completedAt: null,
+      error: null,
+      attempts: 2,
+    });
+    expect(job.steps.map((step) => step.status)).toEqual([
+      STEP_STATUS.SUCCEEDED,
+      STEP_STATUS.PENDING,
+    ]);
+    expect(job.steps[1].error).toBeNull();
+  });
+
+  test("refuses running and unknown jobs", () => {
+    const store = buildStore();
+    store.startJob("run-1");
+
+    expect(store.resumeJob("run-1")).toBe(false);
+    expect(store.resumeJob("missing")).toBe(false);
+  });
+});
+
+describe("ProvisioningJobStore.restoreJob", () => {
+  test("restores a finished job from its history record", () => {
+    const store = new ProvisioningJobStore();
+
+    const job = store.restoreJob(buildRecord());
+
+    expect(store.getJob("run-2")).toBe(job);
+    expect(job).toMatchObject({
+      status: STEP_STATUS.FAILED,
+      provisioningResults: { appRegistrations: [] },
+      createdResources: [{ type: "application", id: "app-1" }],
+      attempts: 2,
+      events: [],
+    });
+    expect(store.isFinished("run-2")).toBe(true);
+    expect(store.resumeJob("run-2")).toBe(true);
+    expect(job.events[0].id).toBe(1);
+  });
+
+  test("fails a teardown the restart cut off", () => {
+    const store = new ProvisioningJobStore();
+
+    const job = store.restoreJob(
+      buildRecord({
+        teardown: { status: STEP_STATUS.RUNNING, trigger: "request" },
+      })
+    );
+
+    expect(job.teardown).toEqual({
+      status: STEP_STATUS.FAILED,
+      trigger: "request",
+    });
+  });
+});
+
+describe("ProvisioningJobStore teardowns", () => {
+  test("tracks the deletion of each created resource", () => {
+    const store = buildStore();
+    store.addCreatedResource("run-1", {
+      type: "application",
+      id: "app-1",
+      name: "myapp-dev-api",
+    });
+    store.addCreatedResource("run-1", {
+      type: "resourceGroup",
+      id: "/subscriptions/sub/resourceGroups/rg",
+      name: "rg",
+    });
+    const [application, resourceGroup] = store.getJob("run-1").createdResources;
+
+    expect(store.startTeardown("run-1", "request")).toBe(true);
+    expect(store.startTeardown("run-1", "request")).toBe(false);
+    store.recordDeletion("run-1", application, "deleted");
+    store.recordDeletion("run-1", resourceGroup, "failed", "Locked");
+    const teardown = store.finishTeardown("run-1");
+
+    expect(teardown).toMatchObject({
+      status: STEP_STATUS.FAILED,
+      trigger: "request",
+      completedAt: expect.any(String),
+    });
+    expect(teardown.deletions.map((deletion) => deletion.status)).toEqual([
+      "deleted",
+      "failed",
+    ]);
+    expect(application.deletedAt).toEqual(expect.any(String));
+    expect(resourceGroup.deletedAt).toBeNull();
+  });
+
+  test("succeeds when every deletion succeeded", () => {
+    const store = buildStore();
+    store.addCreatedResource("run-1", { type: "application", id: "app-1" });
+    store.startTeardown("run-1", "rollback");
+    store.recordDeletion(
+      "run-1",
+      store.getJob("run-1").createdResources[0],
+      "alreadyDeleted"
+    );
+
+    expect(store.finishTeardown("run-1").status).toBe(STEP_STATUS.SUCCEEDED);
+    expect(store.finishTeardown("missing")).toBeNull();
+  });
+});
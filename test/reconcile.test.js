@@ -0,0 +1,257 @@
+// test/reconcile.test.js - Changes that bring reused applications in line with their blueprint entry
+const {
+  buildPermissionScope,
+  reconcileAppRegistration,
+  reconcileEnterpriseApplication,
+  reconcileEnterpriseServicePrincipal,
+} = require("../services/reconcile");
+const {
+  GRAPH_APP_ID,
+  USER_READ_ID,
+  USER_READ_ALL_ID,
+  buildConfig,
+} = require("./helpers/fixtures");
+
+function buildApplication(overrides = {}) {
+  return {
+    appId: "app-id",
+    identifierUris: ["api://app-id/api"],
+    web: {
+      redirectUris: ["https://app.example.com/callback"],
+      implicitGrantSettings: {
+        enableIdTokenIssuance: true,
+        enableAccessTokenIssuance: false,
+      },
+    },
+    spa: { redirectUris: [] },
+    api: {
+      oauth2PermissionScopes: [buildPermissionScope("api.access", "scope-id")],
+    },
+    requiredResourceAccess: [
+      {
+        resourceAppId: GRAPH_APP_ID,
+        resourceAccess: [{ id: USER_READ_ID, type: "Scope" }],
+      },
+    ],
+    ...overrides,
+  };
+}
+
+describe("buildPermissionScope", () => {
+  test("builds an enabled user-consentable scope", () => {
+    expect(buildPermissionScope("api.access", "scope-id")).toEqual({
+      id: "scope-id",
+      adminConsentDescription: "Allow the application to api.access",
+      adminConsentDisplayName: "api.access",
+      userConsentDescription:
+        "Allow the application to api.access on your behalf",
+      userConsentDisplayName: "api.access",
+      value: "api.access",
+      type: "User",
+      isEnabled: true,
+    });
+  });
+
+  test("generates a scope ID by default", () => {
+    expect(buildPermissionScope("api.access").id).toMatch(
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+    );
+  });
+});
+
+describe("reconcileAppRegistration", () => {
+  test("changes nothing on an app that matches its blueprint entry", () => {
+    expect(reconcileAppRegistration(buildConfig(), buildApplication())).toEqual(
+      { patch: {}, changes: [] }
+    );
+  });
+
+  test("sets the redirect URIs and keeps the other web platform settings", () => {
+    const application = buildApplication();
+    application.web.logoutUrl = "https://app.example.com/logout";
+    application.web.redirectUris = ["https://old.example.com/"];
+
+    const { patch, changes } = reconcileAppRegistration(
+      buildConfig(),
+      application
+    );
+
+    expect(patch).toEqual({
+      web: {
+        logoutUrl: "https://app.example.com/logout",
+        redirectUris: ["https://app.example.com/callback"],
+        implicitGrantSettings: {
+          enableIdTokenIssuance: true,
+          enableAccessTokenIssuance: false,
+        },
+      },
+    });
+    expect(changes).toEqual([
+      {
+        field: "web.redirectUris",
+        before: ["https://old.example.com/"],
+        after: ["https://app.example.com/callback"],
+      },
+    ]);
+  });
+
+  test("adds missing scopes and keeps the existing ones", () => {
+    const application = buildApplication({
+      api: {
+        requestedAccessTokenVersion: 2,
+        oauth2PermissionScopes: [buildPermissionScope("legacy", "legacy-id")],
+      },
+    });
+
+    const { patch, changes } = reconcileAppRegistration(
+      buildConfig(),
+      application
+    );
+
+    expect(patch.api.requestedAccessTokenVersion).toBe(2);
+    expect(
+      patch.api.oauth2PermissionScopes.map((scope) => scope.value)
+    ).toEqual(["legacy", "api.access"]);
+    expect(patch.api.oauth2PermissionScopes[0].id).toBe("legacy-id");
+    expect(changes).toEqual([
+      {
+        field: "api.oauth2PermissionScopes",
+        before: ["legacy"],
+        after: ["legacy", "api.access"],
+      },
+    ]);
+  });
+
+  test("adds the Application ID URI of API apps", () => {
+    const { patch } = reconcileAppRegistration(
+      buildConfig(),
+      buildApplication({ identifierUris: ["https://custom.example.com"] })
+    );
+
+    expect(patch.identifierUris).toEqual([
+      "https://custom.example.com",
+      "api://app-id/api",
+    ]);
+  });
+
+  test("merges requested permissions without dropping others", () => {
+    const config = buildConfig({
+      requiredResourceAccess: [
+        {
+          resourceAppId: GRAPH_APP_ID,
+          resourceAccess: [
+            { id: USER_READ_ID, type: "Scope" },
+            { id: USER_READ_ALL_ID, type: "Role" },
+          ],
+        },
+      ],
+    });
+    const application = buildApplication({
+      requiredResourceAccess: [
+        {
+          resourceAppId: "other-api",
+          resourceAccess: [{ id: "other-scope", type: "Scope" }],
+        },
+        {
+          resourceAppId: GRAPH_APP_ID,
+          resourceAccess: [{ id: USER_READ_ID, type: "Scope" }],
+        },
+      ],
+    });
+
+    const { patch } = reconcileAppRegistration(config, application);
+
+    expect(patch.requiredResourceAccess).toEqual([
+      {
+        resourceAppId: "other-api",
+        resourceAccess: [{ id: "other-scope", type: "Scope" }],
+      },
+      {
+        resourceAppId: GRAPH_APP_ID,
+        resourceAccess: [
+          { id: USER_READ_ID, type: "Scope" },
+          { id: USER_READ_ALL_ID, type: "Role" },
+        ],
+      },
+    ]);
+    // The current application is left untouched
+    expect(application.requiredResourceAccess[1].resourceAccess).toHaveLength(
+      1
+    );
+  });
+
+  test("sets the redirect URIs of SPA apps on the spa platform", () => {
+    const { patch } = reconcileAppRegistration(
+      buildConfig({ type: "spa", role: "service", scopes: [] }),
+      buildApplication({ web: {}, spa: { redirectUris: [] } })
+    );
+
+    expect(patch.spa).toEqual({
+      redirectUris: ["https://app.example.com/callback"],
+    });
+    expect(patch.web).toBeUndefined();
+  });
+});
+
+describe("reconcileEnterpriseApplication", () => {
+  const config = {
+    type: "saml",
+    samlSettings: {
+      identifier: "api://myapp-dev-saml",
+      replyUrl: "https://saml.example.com/acs",
+    },
+  };
+
+  test("adds the identifier and sets the reply URL", () => {
+    const { patch, changes } = reconcileEnterpriseApplication(config, {
+      identifierUris: [],
+      web: { redirectUris: [], homePageUrl: "https://saml.example.com/" },
+    });
+
+    expect(patch).toEqual({
+      identifierUris: ["api://myapp-dev-saml"],
+      web: {
+        redirectUris: ["https://saml.example.com/acs"],
+        homePageUrl: "https://saml.example.com/",
+      },
+    });
+    expect(changes.map((change) => change.field)).toEqual([
+      "identifierUris",
+      "web.redirectUris",
+    ]);
+  });
+
+  test("changes nothing on an app that matches its blueprint entry", () => {
+    expect(
+      reconcileEnterpriseApplication(config, {
+        identifierUris: ["api://myapp-dev-saml"],
+        web: { redirectUris: ["https://saml.example.com/acs"] },
+      })
+    ).toEqual({ patch: {}, changes: [] });
+  });
+});
+
+describe("reconcileEnterpriseServicePrincipal", () => {
+  test("switches SAML apps to SAML single sign-on", () => {
+    expect(
+      reconcileEnterpriseServicePrincipal(
+        { type: "saml" },
+        { preferredSingleSignOnMode: null }
+      )
+    ).toEqual({
+      patch: { preferredSingleSignOnMode: "saml" },
+      changes: [
+        { field: "preferredSingleSignOnMode", before: null, after: "saml" },
+      ],
+    });
+  });
+
+  test("leaves proxy-only apps alone", () => {
+    expect(
+      reconcileEnterpriseServicePrincipal(
+        { type: "proxy-only" },
+        { preferredSingleSignOnMode: "password" }
+      )
+    ).toEqual({ patch: {}, changes: [] });
+  });
+});
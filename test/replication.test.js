@@ -0,0 +1,229 @@
+// test/replication.test.js - Waiting out replication lag after directory objects are created
+const {
+  isReplicationLagError,
+  ReplicationWaiter,
+} = require("../services/replication");
+
+function graphError(status, message = "Graph request failed") {
+  return Object.assign(new Error(message), { status });
+}
+
+const notFound = () =>
+  graphError(
+    404,
+    "Resource 'app-id' does not exist or one of its queried reference-property objects are not present."
+  );
+const missingReference = () =>
+  graphError(400, "Resource 'sp-id' does not exist");
+
+function buildWaiter(timeoutMs = 10000) {
+  return new ReplicationWaiter({ timeoutMs, log: jest.fn() });
+}
+
+// Runs a waiter call to completion, letting the fake timers advance through its delays
+async function settle(promise) {
+  const outcome = promise.then(
+    (value) => ({ value }),
+    (error) => ({ error })
+  );
+  await jest.runAllTimersAsync();
+  return outcome;
+}
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date("2026-01-01T00:00:00Z") });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe("isReplicationLagError", () => {
+  test("treats not found as lag only for objects expected to exist", () => {
+    expect(isReplicationLagError(notFound())).toBe(false);
+    expect(isReplicationLagError(notFound(), { expectCreated: true })).toBe(
+      true
+    );
+  });
+
+  test("treats bad requests naming a missing object as lag", () => {
+    expect(isReplicationLagError(missingReference())).toBe(true);
+    expect(
+      isReplicationLagError(
+        graphError(400, "The app does not reference a valid application object")
+      )
+    ).toBe(true);
+  });
+
+  test("ignores other errors", () => {
+    expect(isReplicationLagError(graphError(400, "Invalid value"))).toBe(false);
+    expect(
+      isReplicationLagError(graphError(403), { expectCreated: true })
+    ).toBe(false);
+    expect(isReplicationLagError(null)).toBe(false);
+  });
+});
+
+describe("ReplicationWaiter.retry", () => {
+  test("runs the operation again with growing delays until it succeeds", async () => {
+    const waiter = buildWaiter();
+    const operation = jest
+      .fn()
+      .mockRejectedValueOnce(missingReference())
+      .mockRejectedValueOnce(missingReference())
+      .mockResolvedValueOnce("written");
+
+    const { value } = await settle(waiter.retry("settings", operation));
+
+    expect(value).toBe("written");
+    expect(operation).toHaveBeenCalledTimes(3);
+    expect(waiter.log.mock.calls.map(([, , data]) => data.delayMs)).toEqual([
+      500, 1000,
+    ]);
+  });
+
+  test("gives up with the last error once the timeout is reached", async () => {
+    const waiter = buildWaiter(2000);
+    const operation = jest.fn().mockRejectedValue(missingReference());
+
+    const { error } = await settle(waiter.retry("settings", operation));
+
+    expect(error.message).toBe("Resource 'sp-id' does not exist");
+    // Waits of 500 and 1000 ms fit in the timeout, the next one of 2000 ms does not
+    expect(operation).toHaveBeenCalledTimes(3);
+  });
+
+  test("fails right away on errors other than replication lag", async () => {
+    const waiter = buildWaiter();
+    const operation = jest.fn().mockRejectedValue(notFound());
+
+    const { error } = await settle(waiter.retry("settings", operation));
+
+    expect(error.status).toBe(404);
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  test("waits out not found errors on objects expected to exist", async () => {
+    const waiter = buildWaiter();
+    const operation = jest
+      .fn()
+      .mockRejectedValueOnce(notFound())
+      .mockResolvedValueOnce("written");
+
+    const { value } = await settle(
+      waiter.retry("settings", operation, { expectCreated: true })
+    );
+
+    expect(value).toBe("written");
+  });
+});
+
+describe("ReplicationWaiter.waitUntilReadable", () => {
+  test("polls until a new object can be read", async () => {
+    const waiter = buildWaiter();
+    const read = jest
+      .fn()
+      .mockRejectedValueOnce(notFound())
+      .mockResolvedValueOnce({ id: "app-id" });
+
+    const { value } = await settle(
+      waiter.waitUntilReadable("Application app-id", read)
+    );
+
+    expect(value).toEqual({ id: "app-id" });
+  });
+
+  test("explains objects that never became readable", async () => {
+    const waiter = buildWaiter(1000);
+
+    const { error } = await settle(
+      waiter.waitUntilReadable(
+        "Application app-id",
+        jest.fn().mockRejectedValue(notFound())
+      )
+    );
+
+    expect(error.message).toMatch(
+      /^Application app-id was not readable after 1s: Resource 'app-id'/
+    );
+  });
+
+  test("passes other errors through", async () => {
+    const waiter = buildWaiter();
+    const forbidden = graphError(403, "Insufficient privileges");
+
+    const { error } = await settle(
+      waiter.waitUntilReadable(
+        "Application app-id",
+        jest.fn().mockRejectedValue(forbidden)
+      )
+    );
+
+    expect(error).toBe(forbidden);
+  });
+});
+
+describe("ReplicationWaiter.retryBatch", () => {
+  const ok = (id) => ({ id, status: 200, error: null });
+  const failed = (id, error) => ({ id, status: error.status, error });
+
+  test("sends lagging requests and their dependents again", async () => {
+    const waiter = buildWaiter();
+    const send = jest
+      .fn()
+      .mockResolvedValueOnce([
+        ok("1"),
+        failed("2", missingReference()),
+        failed("3", graphError(424, "Failed dependency")),
+      ])
+      .mockResolvedValueOnce([ok("2"), ok("3")]);
+
+    const { value } = await settle(
+      waiter.retryBatch("grants", send, [
+        { method: "POST", url: "/a" },
+        { method: "POST", url: "/b", dependsOn: [1] },
+        { method: "POST", url: "/c", dependsOn: [2] },
+      ])
+    );
+
+    expect(value.map((result) => result.status)).toEqual([200, 200, 200]);
+    expect(send.mock.calls[1][0]).toEqual([
+      { method: "POST", url: "/b", id: "2", dependsOn: [] },
+      { method: "POST", url: "/c", id: "3", dependsOn: [2] },
+    ]);
+  });
+
+  test("returns not found results unless the objects are expected to exist", async () => {
+    const waiter = buildWaiter();
+    const send = jest.fn().mockResolvedValue([failed("1", notFound())]);
+
+    const { value } = await settle(
+      waiter.retryBatch("grants", send, [{ method: "GET", url: "/a" }])
+    );
+
+    expect(value[0].status).toBe(404);
+    expect(send).toHaveBeenCalledTimes(1);
+
+    send.mockResolvedValueOnce([failed("1", notFound())]);
+    send.mockResolvedValueOnce([ok("1")]);
+    const retried = await settle(
+      waiter.retryBatch("grants", send, [{ method: "GET", url: "/a" }], {
+        expectCreated: true,
+      })
+    );
+
+    expect(retried.value[0].status).toBe(200);
+  });
+
+  test("keeps the last results once the timeout is reached", async () => {
+    const waiter = buildWaiter(2000);
+    const send = jest.fn().mockResolvedValue([failed("1", missingReference())]);
+
+    const { value } = await settle(
+      waiter.retryBatch("grants", send, [{ method: "POST", url: "/a" }])
+    );
+
+    expect(value[0].status).toBe(400);
+    expect(send).toHaveBeenCalledTimes(3);
+  });
+});
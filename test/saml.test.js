@@ -0,0 +1,187 @@
+// test/saml.test.js - SAML claims, claims mapping policies and federation metadata
+const {
+  samlClaimsSchema,
+  buildClaimsMappingPolicy,
+  toPem,
+  identityProviderEndpoints,
+  buildIdentityProviderMetadata,
+  buildServiceProviderConfiguration,
+} = require("../services/saml");
+
+const TENANT_ID = "11111111-1111-1111-1111-111111111111";
+
+describe("samlClaimsSchema", () => {
+  test("defaults to the UPN as email address NameID", () => {
+    expect(samlClaimsSchema.validate(undefined).value).toEqual({
+      nameId: { attribute: "userprincipalname", format: "emailAddress" },
+      attributes: [],
+    });
+  });
+
+  test("rejects unknown NameID formats", () => {
+    const { error } = samlClaimsSchema.validate({
+      nameId: { format: "kerberos" },
+    });
+
+    expect(error.message).toMatch(/"nameId.format" must be one of/);
+  });
+
+  test("rejects a claim type used twice", () => {
+    const { error } = samlClaimsSchema.validate({
+      attributes: [
+        { name: "email", attribute: "mail" },
+        { name: "email", attribute: "userprincipalname" },
+      ],
+    });
+
+    expect(error.message).toMatch(/contains a duplicate value/);
+  });
+});
+
+describe("buildClaimsMappingPolicy", () => {
+  test("emits the NameID and the attribute claims on top of the basic claim set", () => {
+    const policy = buildClaimsMappingPolicy("myapp-dev-saml claims", {
+      nameId: { attribute: "mail", format: "persistent" },
+      attributes: [
+        {
+          name: "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/givenname",
+          attribute: "givenname",
+        },
+      ],
+    });
+
+    expect(policy.displayName).toBe("myapp-dev-saml claims");
+    expect(policy.isOrganizationDefault).toBe(false);
+    expect(JSON.parse(policy.definition[0])).toEqual({
+      ClaimsMappingPolicy: {
+        Version: 1,
+        IncludeBasicClaimSet: "true",
+        ClaimsSchema: [
+          {
+            Source: "user",
+            ID: "mail",
+            SamlClaimType:
+              "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/nameidentifier",
+            SamlNameIdFormat:
+              "urn:oasis:names:tc:SAML:2.0:nameid-format:persistent",
+          },
+          {
+            Source: "user",
+            ID: "givenname",
+            SamlClaimType:
+              "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/givenname",
+          },
+        ],
+      },
+    });
+  });
+});
+
+describe("toPem", () => {
+  test("wraps the base64 certificate in 64 character lines", () => {
+    const base64 = "A".repeat(100);
+
+    expect(toPem(base64)).toBe(
+      `-----BEGIN CERTIFICATE-----\n${"A".repeat(64)}\n${"A".repeat(
+        36
+      )}\n-----END CERTIFICATE-----\n`
+    );
+  });
+});
+
+describe("identityProviderEndpoints", () => {
+  test("returns the endpoints of the tenant", () => {
+    expect(identityProviderEndpoints(TENANT_ID)).toEqual({
+      entityId: `https://sts.windows.net/${TENANT_ID}/`,
+      singleSignOnServiceUrl: `https://login.microsoftonline.com/${TENANT_ID}/saml2`,
+      singleLogoutServiceUrl: `https://login.microsoftonline.com/${TENANT_ID}/saml2`,
+    });
+  });
+
+  test("requires a tenant ID", () => {
+    expect(() => identityProviderEndpoints(null)).toThrow(
+      "The identity provider endpoints require a tenant ID"
+    );
+  });
+});
+
+describe("buildIdentityProviderMetadata", () => {
+  test("describes the tenant with its signing certificate and endpoints", () => {
+    const metadata = buildIdentityProviderMetadata(
+      identityProviderEndpoints(TENANT_ID),
+      "MIIC"
+    );
+
+    expect(metadata).toContain(
+      `<EntityDescriptor xmlns="urn:oasis:names:tc:SAML:2.0:metadata" entityID="https://sts.windows.net/${TENANT_ID}/">`
+    );
+    expect(metadata).toContain("<X509Certificate>MIIC</X509Certificate>");
+    expect(metadata).toContain(
+      `<SingleSignOnService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST" Location="https://login.microsoftonline.com/${TENANT_ID}/saml2" />`
+    );
+    expect(metadata.match(/<SingleLogoutService /g)).toHaveLength(2);
+  });
+
+  test("escapes values in the XML", () => {
+    const metadata = buildIdentityProviderMetadata(
+      {
+        entityId: 'https://idp.example.com/?a=1&b="2"',
+        singleSignOnServiceUrl: "https://idp.example.com/<sso>",
+        singleLogoutServiceUrl: "https://idp.example.com/slo",
+      },
+      "MIIC"
+    );
+
+    expect(metadata).toContain(
+      'entityID="https://idp.example.com/?a=1&amp;b=&quot;2&quot;"'
+    );
+    expect(metadata).toContain(
+      'Location="https://idp.example.com/&lt;sso&gt;"'
+    );
+  });
+});
+
+describe("buildServiceProviderConfiguration", () => {
+  const identityProvider = identityProviderEndpoints(TENANT_ID);
+
+  test("describes the app's side of the SAML setup", () => {
+    const configuration = buildServiceProviderConfiguration(
+      {
+        identifier: "api://myapp-dev-saml",
+        replyUrl: "https://saml.example.com/acs",
+        signOnUrl: "https://saml.example.com/",
+        logoutUrl: "https://saml.example.com/logout",
+      },
+      identityProvider
+    );
+
+    expect(configuration).toMatchObject({
+      entityId: "api://myapp-dev-saml",
+      assertionConsumerServiceUrl: "https://saml.example.com/acs",
+      signOnUrl: "https://saml.example.com/",
+      logoutUrl: "https://saml.example.com/logout",
+      relayState: null,
+      identityProviderEntityId: identityProvider.entityId,
+      identityProviderSignOnUrl: identityProvider.singleSignOnServiceUrl,
+    });
+    expect(configuration.metadata).toContain(
+      'Location="https://saml.example.com/acs" index="0" isDefault="true"'
+    );
+    expect(configuration.metadata).toContain(
+      'Location="https://saml.example.com/logout"'
+    );
+  });
+
+  test("leaves out the logout service of apps without a logout URL", () => {
+    const configuration = buildServiceProviderConfiguration(
+      {
+        identifier: "api://myapp-dev-saml",
+        replyUrl: "https://saml.example.com/acs",
+      },
+      identityProvider
+    );
+
+    expect(configuration.logoutUrl).toBeNull();
+    expect(configuration.metadata).not.toContain("SingleLogoutService");
+  });
+});
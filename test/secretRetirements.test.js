@@ -0,0 +1,74 @@
+// test/secretRetirements.test.js - The file-based store of pending client secret removals
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SecretRetirementStore } = require("../services/secretRetirements");
+
+function buildRetirement(overrides = {}) {
+  return {
+    tenantId: "tenant-a",
+    applicationId: "app-object-id",
+    displayName: "myapp-dev-api",
+    credentials: [{ keyId: "key-1", displayName: "Auto-generated secret" }],
+    removeAt: "2026-01-02T00:00:00.000Z",
+    ...overrides,
+  };
+}
+
+describe("SecretRetirementStore", () => {
+  let directory;
+  let store;
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(
+      path.join(os.tmpdir(), "secret-retirements-")
+    );
+    store = new SecretRetirementStore(directory);
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  test("keeps removals for a later process", async () => {
+    const stored = await store.add(buildRetirement());
+
+    expect(stored).toEqual({ id: expect.any(String), ...buildRetirement() });
+    expect(await new SecretRetirementStore(directory).list()).toEqual([stored]);
+  });
+
+  test("lists the removals that are due soonest first", async () => {
+    await store.add(buildRetirement({ applicationId: "later" }));
+    await store.add(
+      buildRetirement({
+        applicationId: "sooner",
+        removeAt: "2026-01-01T00:00:00.000Z",
+      })
+    );
+
+    expect(
+      (await store.list()).map((retirement) => retirement.applicationId)
+    ).toEqual(["sooner", "later"]);
+  });
+
+  test("forgets removals that were carried out", async () => {
+    const stored = await store.add(buildRetirement());
+
+    await store.remove(stored.id);
+    await store.remove(stored.id);
+
+    expect(await store.list()).toEqual([]);
+  });
+
+  test("lists nothing before the first removal is stored", async () => {
+    const empty = new SecretRetirementStore(path.join(directory, "none"));
+
+    expect(await empty.list()).toEqual([]);
+  });
+
+  test("rejects unsafe IDs", async () => {
+    await expect(store.remove("../secrets")).rejects.toThrow(
+      "Invalid secret removal ID: ../secrets"
+    );
+  });
+});
@@ -0,0 +1,187 @@
+// test/secretSinks.test.js - Secret names and the sinks generated credentials are written to
+jest.mock("axios");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const axios = require("axios");
+const {
+  createSecretSink,
+  toSecretName,
+  buildSecretName,
+  EncryptedFileSecretSink,
+} = require("../services/secretSinks");
+
+const APP_ID = "3e8dcd24-cfbe-43a0-aa4f-1939a4376578";
+
+function buildSecret(overrides = {}) {
+  return {
+    name: "myapp-dev-api",
+    value: "generated-secret",
+    tenantId: "tenant-a",
+    appId: APP_ID,
+    keyId: "key-1",
+    expiresAt: "2027-01-01T00:00:00.000Z",
+    ...overrides,
+  };
+}
+
+describe("toSecretName", () => {
+  test("replaces characters Key Vault and file systems do not accept", () => {
+    expect(toSecretName("My App (dev)/../x.y")).toBe("My-App--dev-----x-y");
+  });
+
+  test("keeps names within Key Vault's limit", () => {
+    expect(toSecretName("x".repeat(200))).toHaveLength(127);
+  });
+});
+
+describe("buildSecretName", () => {
+  test("adds the app ID to the display name", () => {
+    expect(buildSecretName(buildSecret())).toBe(`myapp-dev-api-${APP_ID}`);
+  });
+
+  test("shortens long display names and keeps the app ID", () => {
+    const name = buildSecretName(buildSecret({ name: "x".repeat(200) }));
+
+    expect(name).toBe(`${"x".repeat(64)}-${APP_ID}`);
+    expect(`${name}-client-secret`.length).toBeLessThanOrEqual(127);
+  });
+});
+
+describe("EncryptedFileSecretSink", () => {
+  const key = crypto.randomBytes(32);
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), "secrets-"));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  test("reads back what it stored", async () => {
+    const sink = new EncryptedFileSecretSink({
+      directory,
+      key: key.toString("base64"),
+    });
+
+    const reference = await sink.store(buildSecret());
+
+    expect(reference).toEqual({
+      sink: "encryptedFile",
+      location: path.join(
+        directory,
+        `myapp-dev-api-${APP_ID}.client-secret.json`
+      ),
+    });
+    expect(await sink.read(reference.location)).toBe("generated-secret");
+    const content = await fs.promises.readFile(reference.location, "utf8");
+    expect(content).not.toContain("generated-secret");
+    expect(JSON.parse(content)).toMatchObject({
+      tenantId: "tenant-a",
+      appId: APP_ID,
+      keyId: "key-1",
+      algorithm: "aes-256-gcm",
+    });
+  });
+
+  test("keeps the secrets of same-named apps apart", async () => {
+    const sink = new EncryptedFileSecretSink({
+      directory,
+      key: key.toString("hex"),
+    });
+
+    const first = await sink.store(buildSecret({ value: "first" }));
+    const second = await sink.store(
+      buildSecret({ appId: "other-app", value: "second" })
+    );
+
+    expect(second.location).not.toBe(first.location);
+    expect(await sink.read(first.location)).toBe("first");
+    expect(await sink.read(second.location)).toBe("second");
+  });
+
+  test("refuses to decrypt tampered files", async () => {
+    const sink = new EncryptedFileSecretSink({
+      directory,
+      key: key.toString("base64"),
+    });
+    const { location } = await sink.store(buildSecret());
+    const record = JSON.parse(await fs.promises.readFile(location, "utf8"));
+    record.ciphertext = Buffer.from("tampered").toString("base64");
+    await fs.promises.writeFile(location, JSON.stringify(record));
+
+    await expect(sink.read(location)).rejects.toThrow();
+  });
+
+  test("requires a 32-byte key", () => {
+    expect(() => EncryptedFileSecretSink.parseKey(undefined)).toThrow(
+      "SECRET_ENCRYPTION_KEY is required for the encryptedFile sink"
+    );
+    expect(() =>
+      EncryptedFileSecretSink.parseKey(
+        crypto.randomBytes(16).toString("base64")
+      )
+    ).toThrow("SECRET_ENCRYPTION_KEY must be a 32-byte key");
+  });
+});
+
+describe("EnvFileSecretSink", () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), "secrets-"));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  test("writes a .env file the app can load", async () => {
+    const sink = createSecretSink("envFile", { directory });
+
+    const { location } = await sink.store(buildSecret());
+
+    expect(location).toBe(path.join(directory, `myapp-dev-api-${APP_ID}.env`));
+    expect(await fs.promises.readFile(location, "utf8")).toContain(
+      `AZURE_CLIENT_ID=${APP_ID}\nAZURE_CLIENT_SECRET=generated-secret\n`
+    );
+  });
+});
+
+describe("KeyVaultSecretSink", () => {
+  test("stores the secret under a name with the app ID", async () => {
+    const sink = createSecretSink("keyVault", {
+      vaultUrl: "https://vault.example.net/",
+      credential: { getToken: jest.fn().mockResolvedValue({ token: "t" }) },
+    });
+    axios.put.mockResolvedValueOnce({
+      data: { id: "https://vault.example.net/secrets/name/version" },
+    });
+
+    const reference = await sink.store(buildSecret());
+
+    expect(reference).toEqual({
+      sink: "keyVault",
+      location: "https://vault.example.net/secrets/name/version",
+    });
+    expect(axios.put).toHaveBeenCalledWith(
+      `https://vault.example.net/secrets/myapp-dev-api-${APP_ID}-client-secret?api-version=7.4`,
+      expect.objectContaining({
+        value: "generated-secret",
+        tags: { tenantId: "tenant-a", appId: APP_ID },
+      }),
+      expect.anything()
+    );
+  });
+});
+
+describe("createSecretSink", () => {
+  test("rejects unknown sinks", () => {
+    expect(() => createSecretSink("clipboard", {})).toThrow(
+      "Unknown secret sink clipboard - use one of keyVault, encryptedFile, envFile"
+    );
+  });
+});